@@ -111,6 +111,11 @@ class MessageQueue {
     this.interval = parseInt(process.env.WA_MESSAGE_BATCH_INTERVAL) || 5000;
     this.lastFlush = Date.now();
 
+    // Valid columns in message_logs table (columns missing from an older schema are dropped on the fly)
+    this.validColumns = ['account_id', 'webhook_id', 'direction', 'message_id', 'sender', 
+      'recipient', 'message', 'media', 'timestamp', 'type', 'chat_id', 'is_group', 
+      'group_name', 'status', 'error_message', 'target_message_id', 'created_at'];
+
     // Auto-flush at intervals
     setInterval(() => this.flush(), this.interval);
   }
@@ -136,15 +141,10 @@ class MessageQueue {
     const batch = this.queue.splice(0, this.batchSize);
     this.lastFlush = Date.now();
 
-    // Valid columns in message_logs table
-    const validColumns = ['account_id', 'webhook_id', 'direction', 'message_id', 'sender', 
-      'recipient', 'message', 'media', 'timestamp', 'type', 'chat_id', 'is_group', 
-      'group_name', 'status', 'error_message', 'created_at'];
-    
     // Sanitize batch: only keep valid columns
-    const sanitizedBatch = batch.map(m => {
+    const sanitize = () => batch.map(m => {
       const clean = {};
-      for (const col of validColumns) {
+      for (const col of this.validColumns) {
         if (m[col] !== undefined) clean[col] = m[col];
       }
       return clean;
@@ -153,12 +153,16 @@ class MessageQueue {
     try {
       let { error } = await supabase
         .from('message_logs')
-        .insert(sanitizedBatch);
-
-      // Handle unknown column errors gracefully (shouldn't happen with whitelist, but just in case)
-      if (error && error.code === 'PGRST204') {
-        logger.warn(`Unknown column error (schema mismatch): ${error.message}`);
-        // Already sanitized, so just log the error
+        .insert(sanitize());
+
+      // Column added by a migration that hasn't been run yet - stop sending it and retry once
+      const missingColumn = error?.code === 'PGRST204' && error.message.match(/'(\w+)' column/)?.[1];
+      if (missingColumn && this.validColumns.includes(missingColumn)) {
+        logger.warn(`message_logs has no "${missingColumn}" column - run the latest migrations. Logging without it.`);
+        this.validColumns = this.validColumns.filter(col => col !== missingColumn);
+        ({ error } = await supabase
+          .from('message_logs')
+          .insert(sanitize()));
       }
 
       if (error) {
@@ -232,6 +236,22 @@ function isWebhookQueueMissingError(error) {
   return error?.code === 'PGRST205' && /webhook_delivery_queue/i.test(error?.message || '');
 }
 
+class MissingOutboundQueueTableError extends Error {
+  constructor(message) {
+    super(message || 'outbound_message_queue table not found');
+    this.name = 'MissingOutboundQueueTableError';
+  }
+}
+
+function isOutboundQueueMissingError(error) {
+  return error?.code === 'PGRST205' && /outbound_message_queue/i.test(error?.message || '');
+}
+
+// ilike pattern for a user-supplied search; characters that have a meaning in a PostgREST or() filter are dropped
+function toSearchTerm(search) {
+  return `*${String(search).replace(/[,()*%"\\]/g, ' ').trim()}*`;
+}
+
 const db = {
   // Account management
   async createAccount(accountData) {
@@ -300,7 +320,7 @@ const db = {
       // Exclude session_data to avoid huge payloads
       const { data, error } = await supabase
         .from('accounts')
-        .select('id, name, description, phone_number, status, created_at, updated_at')
+        .select('id, name, description, phone_number, status, metadata, created_at, updated_at')
         .eq('id', id)
         .single();
 
@@ -334,9 +354,11 @@ const db = {
         throw error;
       }
 
-      // Invalidate related caches
-      cacheManager.invalidate(`account_${id}`);
-      cacheManager.invalidatePattern('^accounts');
+      // Invalidate related caches - last_active_at isn't cached, so activity pings keep them
+      if (Object.keys(updates).some(key => key !== 'last_active_at')) {
+        cacheManager.invalidate(`account_${id}`);
+        cacheManager.invalidatePattern('^accounts');
+      }
 
       logger.debug(`Account updated: ${id}`);
       return data[0];
@@ -732,6 +754,7 @@ const db = {
         .select('direction, message, created_at')
         .eq('account_id', accountId)
         .eq('chat_id', contactId)
+        .not('type', 'in', '(reaction,poll_vote)')
         .order('created_at', { ascending: false })
         .limit(limit);
       
@@ -752,6 +775,50 @@ const db = {
     }
   },
 
+  // Latest log row for a WhatsApp message id (incoming or outgoing)
+  async getLoggedMessage(accountId, messageId) {
+    try {
+      const { data, error } = await supabase
+        .from('message_logs')
+        .select('*')
+        .eq('account_id', accountId)
+        .eq('message_id', messageId)
+        .in('direction', ['incoming', 'outgoing'])
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error(`Error fetching logged message ${messageId}:`, error);
+      throw error;
+    }
+  },
+
+  // Record an edit or revoke on the logged message (edited_at / revoked_at)
+  async updateLoggedMessage(accountId, messageId, updates) {
+    try {
+      // The row may still be waiting in the batch queue
+      await messageQueue.flush();
+
+      const { data, error } = await supabase
+        .from('message_logs')
+        .update(updates)
+        .eq('account_id', accountId)
+        .eq('message_id', messageId)
+        .select('id');
+
+      if (error) throw error;
+
+      cacheManager.invalidatePattern(`^messages_${accountId}`);
+      return data?.length || 0;
+    } catch (error) {
+      logger.error(`Error updating logged message ${messageId}:`, error);
+      throw error;
+    }
+  },
+
   // Flush pending messages
   async flushMessageQueue() {
     return await messageQueue.flush();
@@ -1176,197 +1243,585 @@ const db = {
     return stats;
   },
 
-  async getDailyMessageStats(days = 7) {
-    const cacheKey = `daily_stats_${days}`;
-    const cached = cacheManager.get(cacheKey);
+  // ============================================================================
+  // Webhook Delivery History & Replay
+  // ============================================================================
 
-    if (cached) {
-      return cached;
-    }
+  async logWebhookDelivery(record) {
+    const { error } = await supabase
+      .from('webhook_deliveries')
+      .insert([record]);
 
-    try {
-      // Try to use the optimized PostgreSQL function first
-      const { data: funcData, error: funcError } = await supabase
-        .rpc('get_daily_message_stats', { days_count: days });
+    if (error) throw error;
+  },
 
-      if (!funcError && funcData) {
-        // Initialize all days (in case some have no data)
-        const dailyStats = {};
-        for (let i = 0; i < days; i++) {
-          const d = new Date();
-          d.setDate(d.getDate() - i);
-          const dateStr = d.toISOString().split('T')[0];
-          dailyStats[dateStr] = { date: dateStr, incoming: 0, outgoing: 0, total: 0 };
-        }
+  // Drop attempt history older than a date, returns how many rows went
+  async pruneWebhookDeliveries(before) {
+    const { count, error } = await supabase
+      .from('webhook_deliveries')
+      .delete({ count: 'exact' })
+      .lt('created_at', before);
 
-        // Merge in the actual data
-        funcData.forEach(row => {
-          const dateStr = row.date;
-          if (dailyStats[dateStr]) {
-            dailyStats[dateStr].incoming = parseInt(row.incoming) || 0;
-            dailyStats[dateStr].outgoing = parseInt(row.outgoing) || 0;
-            dailyStats[dateStr].total = parseInt(row.total) || 0;
-          }
-        });
+    if (error) throw error;
+    return count || 0;
+  },
 
-        const result = Object.values(dailyStats).sort((a, b) => a.date.localeCompare(b.date));
-        cacheManager.set(cacheKey, result, 600000); // Cache for 10 minutes
-        return result;
-      }
+  // Attempt history of a webhook, newest first
+  async getWebhookDeliveries(webhookId, { status = null, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('webhook_id', webhookId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
 
-      // Fallback to original method if function doesn't exist
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - days);
+    if (status) {
+      query = query.eq('status', status);
+    }
 
-      const { data, error } = await supabase
-        .from('message_logs')
-        .select('created_at, direction')
-        .gte('created_at', startDate.toISOString())
-        .neq('sender', 'status@broadcast');
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
 
-      if (error) throw error;
+  // Queue jobs of a webhook that gave up retrying (the secret is left out)
+  async getWebhookDeadLetters(webhookId, { limit = 50, offset = 0 } = {}) {
+    const { data, error } = await supabase
+      .from('webhook_delivery_queue')
+      .select('id, webhook_id, account_id, webhook_url, payload, attempt_count, max_retries, status, response_status, last_error, created_at, updated_at')
+      .eq('webhook_id', webhookId)
+      .eq('status', 'dead_letter')
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1);
 
-      // Process data in JS to group by day
-      const dailyStats = {};
-      // Initialize last 7 days
-      for (let i = 0; i < days; i++) {
-        const d = new Date();
-        d.setDate(d.getDate() - i);
-        const dateStr = d.toISOString().split('T')[0];
-        dailyStats[dateStr] = { date: dateStr, incoming: 0, outgoing: 0, total: 0 };
+    if (error) {
+      if (isWebhookQueueMissingError(error)) {
+        throw new MissingWebhookQueueTableError();
       }
+      throw error;
+    }
+    return data || [];
+  },
 
-      data.forEach(msg => {
-        const dateStr = new Date(msg.created_at).toISOString().split('T')[0];
-        if (dailyStats[dateStr]) {
-          dailyStats[dateStr].total++;
-          if (msg.direction === 'incoming') dailyStats[dateStr].incoming++;
-          else dailyStats[dateStr].outgoing++;
-        }
-      });
-
-      const result = Object.values(dailyStats).sort((a, b) => a.date.localeCompare(b.date));
-      cacheManager.set(cacheKey, result, 600000); // Cache for 10 minutes
+  async getWebhookDeliveryJob(jobId) {
+    const { data, error } = await supabase
+      .from('webhook_delivery_queue')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
 
-      return result;
-    } catch (error) {
-      logger.error('Error fetching daily message stats:', error);
-      return [];
+    if (error) {
+      if (isWebhookQueueMissingError(error)) {
+        throw new MissingWebhookQueueTableError();
+      }
+      throw error;
     }
+    return data;
   },
 
-  // Get all accounts stats in a single query (avoids N+1 problem)
-  async getAllAccountsStats() {
-    const cacheKey = 'all_accounts_stats';
-    const cached = cacheManager.get(cacheKey);
+  /**
+   * Put finished jobs back in the queue with a fresh retry budget
+   * The webhook's current URL and secret are used, so fixing the endpoint and replaying is enough
+   * @param {object} webhook - Webhook row
+   * @param {object} filter - { jobId } for one job, or { statuses } for all of the webhook's jobs in those states
+   * @returns {Promise<string[]>} Ids of the jobs requeued
+   */
+  async requeueWebhookDeliveries(webhook, { jobId = null, statuses = ['success', 'dead_letter'] } = {}) {
+    let query = supabase
+      .from('webhook_delivery_queue')
+      .update({
+        status: 'pending',
+        attempt_count: 0,
+        webhook_url: webhook.url,
+        webhook_secret: webhook.secret || null,
+        response_status: null,
+        last_error: null,
+        next_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('webhook_id', webhook.id)
+      .in('status', statuses);
 
-    if (cached) {
-      return cached;
+    if (jobId) {
+      query = query.eq('id', jobId);
     }
 
-    try {
-      // Try to use the optimized PostgreSQL function
-      const { data, error } = await supabase.rpc('get_all_accounts_stats');
-
-      if (error) {
-        // Fallback: the function might not exist yet
-        logger.warn('get_all_accounts_stats function not available, using fallback');
-        return null;
+    const { data, error } = await query.select('id');
+    if (error) {
+      if (isWebhookQueueMissingError(error)) {
+        throw new MissingWebhookQueueTableError();
       }
+      throw error;
+    }
+    return (data || []).map(row => row.id);
+  },
 
-      // Convert to a map for easy lookup
-      const statsMap = {};
-      data.forEach(row => {
-        statsMap[row.account_id] = {
-          total: parseInt(row.total) || 0,
-          incoming: parseInt(row.incoming) || 0,
-          outgoing: parseInt(row.outgoing) || 0,
-          success: parseInt(row.success) || 0,
-          failed: parseInt(row.failed) || 0,
-          outgoing_success: parseInt(row.outgoing_success) || 0
-        };
-      });
+  // Hold a webhook's waiting jobs until `until` (circuit breaker), or release them with the current time
+  async postponeWebhookDeliveries(webhookId, until) {
+    const { error } = await supabase
+      .from('webhook_delivery_queue')
+      .update({ next_attempt_at: until, updated_at: new Date().toISOString() })
+      .eq('webhook_id', webhookId)
+      .in('status', ['pending', 'failed']);
 
-      cacheManager.set(cacheKey, statsMap, 60000); // Cache for 1 minute
-      return statsMap;
-    } catch (error) {
-      logger.error('Error fetching all accounts stats:', error);
-      return null;
+    if (error) {
+      if (isWebhookQueueMissingError(error)) {
+        throw new MissingWebhookQueueTableError();
+      }
+      throw error;
+    }
+  },
+
+  // Give up on everything still queued for a webhook (it was disabled)
+  async deadLetterWebhookDeliveries(webhookId, reason) {
+    const { data, error } = await supabase
+      .from('webhook_delivery_queue')
+      .update({
+        status: 'dead_letter',
+        last_error: reason,
+        next_attempt_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('webhook_id', webhookId)
+      .in('status', ['pending', 'failed'])
+      .select('id');
+
+    if (error) {
+      if (isWebhookQueueMissingError(error)) {
+        throw new MissingWebhookQueueTableError();
+      }
+      throw error;
     }
+    return (data || []).length;
   },
 
   // ============================================================================
-  // LEAD CAPTURE WORKFLOWS
+  // Outbound Message Queue (durable sends)
   // ============================================================================
 
-  // Get all workflows for an account
-  async getWorkflows(accountId) {
+  async enqueueOutboundMessage({ accountId, recipient, messageType, payload, maxRetries }) {
     try {
+      const record = {
+        account_id: accountId,
+        recipient,
+        message_type: messageType,
+        payload,
+        max_retries: maxRetries,
+        status: 'pending',
+        next_attempt_at: new Date().toISOString()
+      };
+
       const { data, error } = await supabase
-        .from('lead_workflows')
-        .select('*')
-        .eq('account_id', accountId)
-        .order('created_at', { ascending: false });
+        .from('outbound_message_queue')
+        .insert([record])
+        .select();
 
-      if (error) throw error;
-      return data || [];
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+
+      return data?.[0] || null;
     } catch (error) {
-      logger.error('Error fetching workflows:', error);
-      return [];
+      logger.error('Error enqueuing outbound message:', error);
+      throw error;
     }
   },
 
-  // Get a single workflow
-  async getWorkflow(workflowId) {
+  async getOutboundMessage(jobId) {
     try {
       const { data, error } = await supabase
-        .from('lead_workflows')
-        .select('*')
-        .eq('id', workflowId)
-        .single();
+        .from('outbound_message_queue')
+        .select('id, account_id, recipient, message_type, status, attempt_count, max_retries, message_id, last_error, next_attempt_at, sent_at, created_at, updated_at')
+        .eq('id', jobId)
+        .maybeSingle();
 
-      if (error) throw error;
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
       return data;
     } catch (error) {
-      logger.error('Error fetching workflow:', error);
-      return null;
+      logger.error(`Error fetching outbound message ${jobId}:`, error);
+      throw error;
     }
   },
 
-  // Get active workflow for an account (highest priority active workflow)
-  async getActiveWorkflowForAccount(accountId) {
+  async getDueOutboundMessages(limit = 20, excludeAccountIds = []) {
     try {
-      const { data, error } = await supabase
-        .from('lead_workflows')
+      const now = new Date().toISOString();
+      let query = supabase
+        .from('outbound_message_queue')
         .select('*')
-        .eq('account_id', accountId)
-        .eq('is_active', true)
-        .order('priority', { ascending: false })
-        .limit(1)
-        .single();
+        .in('status', ['pending', 'failed'])
+        .lte('next_attempt_at', now);
 
-      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
-      return data || null;
-    } catch (error) {
-      logger.error('Error fetching active workflow:', error);
-      return null;
-    }
-  },
+      if (excludeAccountIds.length) {
+        query = query.not('account_id', 'in', `(${excludeAccountIds.join(',')})`);
+      }
 
-  // Create a new workflow
-  async createWorkflow(workflow) {
-    try {
-      const { data, error } = await supabase
-        .from('lead_workflows')
-        .insert([workflow])
-        .select()
-        .single();
+      const { data, error } = await query
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
 
-      if (error) throw error;
-      return data;
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+      return data || [];
     } catch (error) {
-      logger.error('Error creating workflow:', error);
-      throw error;
+      if (error instanceof MissingOutboundQueueTableError) {
+        throw error;
+      }
+      logger.error('Error fetching due outbound messages:', error);
+      return [];
+    }
+  },
+
+  async markOutboundMessageProcessing(job) {
+    try {
+      const { data, error } = await supabase
+        .from('outbound_message_queue')
+        .update({
+          status: 'processing',
+          attempt_count: job.attempt_count + 1,
+          last_error: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', job.id)
+        .in('status', ['pending', 'failed'])
+        .select();
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error(`Error marking outbound message ${job.id} processing:`, error);
+      return null;
+    }
+  },
+
+  async completeOutboundMessage(jobId, messageId) {
+    try {
+      const { error } = await supabase
+        .from('outbound_message_queue')
+        .update({
+          status: 'sent',
+          message_id: messageId || null,
+          last_error: null,
+          sent_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', jobId);
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Error completing outbound message ${jobId}:`, error);
+      return false;
+    }
+  },
+
+  /**
+   * Record a failed (or deferred) send attempt
+   * @param {object} job - Claimed queue row
+   * @param {string} errorMessage - Reason for the failure
+   * @param {string|null} nextAttemptAt - ISO time of the next attempt (null for dead letters)
+   * @param {object} [options] - { deadLetter, refundAttempt } - refundAttempt gives back the
+   *   attempt consumed by markOutboundMessageProcessing (used when the account was reconnecting)
+   */
+  async failOutboundMessage(job, errorMessage, nextAttemptAt, { deadLetter = false, refundAttempt = false } = {}) {
+    try {
+      const updates = {
+        status: deadLetter ? 'dead_letter' : 'failed',
+        last_error: errorMessage,
+        next_attempt_at: nextAttemptAt,
+        updated_at: new Date().toISOString()
+      };
+
+      if (refundAttempt) {
+        updates.attempt_count = Math.max((job.attempt_count || 1) - 1, 0);
+      }
+
+      const { error } = await supabase
+        .from('outbound_message_queue')
+        .update(updates)
+        .eq('id', job.id);
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Error failing outbound message ${job.id}:`, error);
+      return false;
+    }
+  },
+
+  async resetStuckOutboundMessages(minutes = 5) {
+    try {
+      const cutoff = new Date(Date.now() - minutes * 60000).toISOString();
+      const { error } = await supabase
+        .from('outbound_message_queue')
+        .update({
+          status: 'failed',
+          next_attempt_at: new Date().toISOString(),
+          last_error: 'Recovered from unexpected shutdown'
+        })
+        .eq('status', 'processing')
+        .lte('updated_at', cutoff);
+
+      if (error) {
+        if (isOutboundQueueMissingError(error)) {
+          throw new MissingOutboundQueueTableError();
+        }
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Error resetting stuck outbound messages:', error);
+      throw error;
+    }
+  },
+
+  async getOutboundQueueStats() {
+    const statuses = ['pending', 'processing', 'failed', 'dead_letter'];
+    const stats = {};
+
+    for (const status of statuses) {
+      try {
+        const { count, error } = await supabase
+          .from('outbound_message_queue')
+          .select('id', { count: 'exact', head: true })
+          .eq('status', status);
+
+        if (error) {
+          if (isOutboundQueueMissingError(error)) {
+            throw new MissingOutboundQueueTableError();
+          }
+          throw error;
+        }
+        stats[status] = count || 0;
+      } catch (error) {
+        if (error instanceof MissingOutboundQueueTableError) {
+          throw error;
+        }
+        logger.error(`Error counting outbound queue status ${status}:`, error);
+        stats[status] = 0;
+      }
+    }
+
+    return stats;
+  },
+
+  async getDailyMessageStats(days = 7) {
+    const cacheKey = `daily_stats_${days}`;
+    const cached = cacheManager.get(cacheKey);
+
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      // Try to use the optimized PostgreSQL function first
+      const { data: funcData, error: funcError } = await supabase
+        .rpc('get_daily_message_stats', { days_count: days });
+
+      if (!funcError && funcData) {
+        // Initialize all days (in case some have no data)
+        const dailyStats = {};
+        for (let i = 0; i < days; i++) {
+          const d = new Date();
+          d.setDate(d.getDate() - i);
+          const dateStr = d.toISOString().split('T')[0];
+          dailyStats[dateStr] = { date: dateStr, incoming: 0, outgoing: 0, total: 0 };
+        }
+
+        // Merge in the actual data
+        funcData.forEach(row => {
+          const dateStr = row.date;
+          if (dailyStats[dateStr]) {
+            dailyStats[dateStr].incoming = parseInt(row.incoming) || 0;
+            dailyStats[dateStr].outgoing = parseInt(row.outgoing) || 0;
+            dailyStats[dateStr].total = parseInt(row.total) || 0;
+          }
+        });
+
+        const result = Object.values(dailyStats).sort((a, b) => a.date.localeCompare(b.date));
+        cacheManager.set(cacheKey, result, 600000); // Cache for 10 minutes
+        return result;
+      }
+
+      // Fallback to original method if function doesn't exist
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - days);
+
+      const { data, error } = await supabase
+        .from('message_logs')
+        .select('created_at, direction')
+        .gte('created_at', startDate.toISOString())
+        .neq('sender', 'status@broadcast');
+
+      if (error) throw error;
+
+      // Process data in JS to group by day
+      const dailyStats = {};
+      // Initialize last 7 days
+      for (let i = 0; i < days; i++) {
+        const d = new Date();
+        d.setDate(d.getDate() - i);
+        const dateStr = d.toISOString().split('T')[0];
+        dailyStats[dateStr] = { date: dateStr, incoming: 0, outgoing: 0, total: 0 };
+      }
+
+      data.forEach(msg => {
+        const dateStr = new Date(msg.created_at).toISOString().split('T')[0];
+        if (dailyStats[dateStr]) {
+          dailyStats[dateStr].total++;
+          if (msg.direction === 'incoming') dailyStats[dateStr].incoming++;
+          else dailyStats[dateStr].outgoing++;
+        }
+      });
+
+      const result = Object.values(dailyStats).sort((a, b) => a.date.localeCompare(b.date));
+      cacheManager.set(cacheKey, result, 600000); // Cache for 10 minutes
+
+      return result;
+    } catch (error) {
+      logger.error('Error fetching daily message stats:', error);
+      return [];
+    }
+  },
+
+  // Get all accounts stats in a single query (avoids N+1 problem)
+  async getAllAccountsStats() {
+    const cacheKey = 'all_accounts_stats';
+    const cached = cacheManager.get(cacheKey);
+
+    if (cached) {
+      return cached;
+    }
+
+    try {
+      // Try to use the optimized PostgreSQL function
+      const { data, error } = await supabase.rpc('get_all_accounts_stats');
+
+      if (error) {
+        // Fallback: the function might not exist yet
+        logger.warn('get_all_accounts_stats function not available, using fallback');
+        return null;
+      }
+
+      // Convert to a map for easy lookup
+      const statsMap = {};
+      data.forEach(row => {
+        statsMap[row.account_id] = {
+          total: parseInt(row.total) || 0,
+          incoming: parseInt(row.incoming) || 0,
+          outgoing: parseInt(row.outgoing) || 0,
+          success: parseInt(row.success) || 0,
+          failed: parseInt(row.failed) || 0,
+          outgoing_success: parseInt(row.outgoing_success) || 0
+        };
+      });
+
+      cacheManager.set(cacheKey, statsMap, 60000); // Cache for 1 minute
+      return statsMap;
+    } catch (error) {
+      logger.error('Error fetching all accounts stats:', error);
+      return null;
+    }
+  },
+
+  // ============================================================================
+  // LEAD CAPTURE WORKFLOWS
+  // ============================================================================
+
+  // Get all workflows for an account
+  async getWorkflows(accountId) {
+    try {
+      const { data, error } = await supabase
+        .from('lead_workflows')
+        .select('*')
+        .eq('account_id', accountId)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching workflows:', error);
+      return [];
+    }
+  },
+
+  // Get a single workflow
+  async getWorkflow(workflowId) {
+    try {
+      const { data, error } = await supabase
+        .from('lead_workflows')
+        .select('*')
+        .eq('id', workflowId)
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error fetching workflow:', error);
+      return null;
+    }
+  },
+
+  // Get active workflow for an account (highest priority active workflow)
+  async getActiveWorkflowForAccount(accountId) {
+    try {
+      const { data, error } = await supabase
+        .from('lead_workflows')
+        .select('*')
+        .eq('account_id', accountId)
+        .eq('is_active', true)
+        .order('priority', { ascending: false })
+        .limit(1)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+      return data || null;
+    } catch (error) {
+      logger.error('Error fetching active workflow:', error);
+      return null;
+    }
+  },
+
+  // Create a new workflow
+  async createWorkflow(workflow) {
+    try {
+      const { data, error } = await supabase
+        .from('lead_workflows')
+        .insert([workflow])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating workflow:', error);
+      throw error;
     }
   },
 
@@ -1374,74 +1829,478 @@ const db = {
   async updateWorkflow(workflowId, updates) {
     try {
       const { data, error } = await supabase
-        .from('lead_workflows')
-        .update({ ...updates, updated_at: new Date().toISOString() })
-        .eq('id', workflowId)
+        .from('lead_workflows')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', workflowId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating workflow:', error);
+      throw error;
+    }
+  },
+
+  // Delete a workflow
+  async deleteWorkflow(workflowId) {
+    try {
+      const { error } = await supabase
+        .from('lead_workflows')
+        .delete()
+        .eq('id', workflowId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error('Error deleting workflow:', error);
+      throw error;
+    }
+  },
+
+  // ============================================================================
+  // LEAD SESSIONS
+  // ============================================================================
+
+  // Get active lead session for a contact
+  async getLeadSession(accountId, contactId) {
+    try {
+      const { data, error } = await supabase
+        .from('lead_sessions')
+        .select('*')
+        .eq('account_id', accountId)
+        .eq('contact_id', contactId)
+        .eq('status', 'active')
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return data || null;
+    } catch (error) {
+      logger.error('Error fetching lead session:', error);
+      return null;
+    }
+  },
+
+  // Create a new lead session
+  async createLeadSession(session) {
+    try {
+      const { data, error } = await supabase
+        .from('lead_sessions')
+        .insert([{
+          account_id: session.account_id,
+          workflow_id: session.workflow_id,
+          contact_id: session.contact_id,
+          current_node_id: session.current_node_id,
+          collected_data: session.collected_data || {},
+          conversation_history: session.conversation_history || [],
+          status: session.status || 'active'
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating lead session:', error);
+      throw error;
+    }
+  },
+
+  // Update a lead session
+  async updateLeadSession(session) {
+    try {
+      const updateData = {
+        current_node_id: session.current_node_id,
+        collected_data: session.collected_data,
+        conversation_history: session.conversation_history,
+        status: session.status,
+        ai_fallback_active: session.ai_fallback_active,
+        ai_fallback_context: session.ai_fallback_context,
+        completed_at: session.completed_at,
+        updated_at: new Date().toISOString()
+      };
+
+      // V2 workflow fields
+      if (session.awaiting_field !== undefined) {
+        updateData.awaiting_field = session.awaiting_field;
+      }
+      if (session.retry_count !== undefined) {
+        updateData.retry_count = session.retry_count;
+      }
+
+      const { data, error } = await supabase
+        .from('lead_sessions')
+        .update(updateData)
+        .eq('id', session.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating lead session:', error);
+      throw error;
+    }
+  },
+
+  // Expire a lead session
+  async expireLeadSession(sessionId) {
+    try {
+      const { error } = await supabase
+        .from('lead_sessions')
+        .update({
+          status: 'expired',
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', sessionId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error('Error expiring lead session:', error);
+      return false;
+    }
+  },
+
+  // Get all sessions for a workflow
+  async getWorkflowSessions(workflowId, status = null) {
+    try {
+      let query = supabase
+        .from('lead_sessions')
+        .select('*')
+        .eq('workflow_id', workflowId);
+
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching workflow sessions:', error);
+      return [];
+    }
+  },
+
+  // ============================================================================
+  // LEAD DATA
+  // ============================================================================
+
+  // Save completed lead data
+  async saveLeadData(leadData) {
+    try {
+      const { data, error } = await supabase
+        .from('lead_data')
+        .insert([leadData])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error saving lead data:', error);
+      throw error;
+    }
+  },
+
+  // Get leads for an account
+  async getLeads(accountId, options = {}) {
+    try {
+      let query = supabase
+        .from('lead_data')
+        .select(`
+          *,
+          lead_workflows!inner(name)
+        `)
+        .eq('account_id', accountId);
+
+      if (options.status) {
+        query = query.eq('status', options.status);
+      }
+
+      if (options.workflowId) {
+        query = query.eq('workflow_id', options.workflowId);
+      }
+
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .limit(options.limit || 100);
+
+      if (error) throw error;
+
+      // Flatten the workflow name
+      return (data || []).map(lead => ({
+        ...lead,
+        workflow_name: lead.lead_workflows?.name || 'Unknown Workflow',
+        lead_workflows: undefined
+      }));
+    } catch (error) {
+      logger.error('Error fetching leads:', error);
+      return [];
+    }
+  },
+
+  // Update lead status
+  async updateLeadStatus(leadId, status, notes = null) {
+    try {
+      const updates = {
+        status,
+        updated_at: new Date().toISOString()
+      };
+      if (notes) updates.notes = notes;
+
+      const { data, error } = await supabase
+        .from('lead_data')
+        .update(updates)
+        .eq('id', leadId)
         .select()
         .single();
 
       if (error) throw error;
       return data;
     } catch (error) {
-      logger.error('Error updating workflow:', error);
+      logger.error('Error updating lead status:', error);
       throw error;
     }
   },
 
-  // Delete a workflow
-  async deleteWorkflow(workflowId) {
+  // Get lead statistics for an account
+  async getLeadStats(accountId) {
     try {
-      const { error } = await supabase
-        .from('lead_workflows')
-        .delete()
-        .eq('id', workflowId);
+      const { data, error } = await supabase
+        .from('lead_data')
+        .select('status')
+        .eq('account_id', accountId);
 
       if (error) throw error;
-      return true;
+
+      const stats = {
+        total: data.length,
+        new: 0,
+        contacted: 0,
+        qualified: 0,
+        converted: 0,
+        lost: 0
+      };
+
+      data.forEach(lead => {
+        if (stats[lead.status] !== undefined) {
+          stats[lead.status]++;
+        }
+      });
+
+      return stats;
     } catch (error) {
-      logger.error('Error deleting workflow:', error);
-      throw error;
+      logger.error('Error fetching lead stats:', error);
+      return { total: 0, new: 0, contacted: 0, qualified: 0, converted: 0, lost: 0 };
     }
   },
 
   // ============================================================================
-  // LEAD SESSIONS
+  // CHATBOT FLOWS
   // ============================================================================
 
-  // Get active lead session for a contact
-  async getLeadSession(accountId, contactId) {
+  // Get all chatbot flows
+  async getChatbotFlows(accountId = null) {
     try {
-      const { data, error } = await supabase
-        .from('lead_sessions')
+      let query = supabase
+        .from('chatbot_flows')
         .select('*')
-        .eq('account_id', accountId)
-        .eq('contact_id', contactId)
-        .eq('status', 'active')
-        .order('created_at', { ascending: false })
-        .limit(1)
+        .order('created_at', { ascending: false });
+
+      if (accountId) {
+        query = query.eq('account_id', accountId);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching chatbot flows:', error);
+      return [];
+    }
+  },
+
+  // Get single chatbot flow with nodes and connections
+  async getChatbotFlow(flowId) {
+    try {
+      const { data: flow, error: flowError } = await supabase
+        .from('chatbot_flows')
+        .select('*')
+        .eq('id', flowId)
         .single();
 
-      if (error && error.code !== 'PGRST116') throw error;
-      return data || null;
+      if (flowError) throw flowError;
+
+      const { data: nodes } = await supabase
+        .from('flow_nodes')
+        .select('*')
+        .eq('flow_id', flowId)
+        .order('created_at', { ascending: true });
+
+      const { data: connections } = await supabase
+        .from('flow_connections')
+        .select('*')
+        .eq('flow_id', flowId);
+
+      return {
+        ...flow,
+        nodes: nodes || [],
+        connections: connections || []
+      };
+    } catch (error) {
+      logger.error('Error fetching chatbot flow:', error);
+      return null;
+    }
+  },
+
+  // Create chatbot flow
+  async createChatbotFlow(flowData) {
+    try {
+      const { data, error } = await supabase
+        .from('chatbot_flows')
+        .insert([{
+          account_id: flowData.account_id,
+          name: flowData.name,
+          description: flowData.description || '',
+          trigger_type: flowData.trigger_type || 'keyword',
+          trigger_keywords: flowData.trigger_keywords || [],
+          is_active: flowData.is_active !== false,
+          // AI LLM Configuration
+          llm_provider: flowData.llm_provider || null,
+          llm_api_key: flowData.llm_api_key || null,
+          llm_model: flowData.llm_model || null,
+          llm_instructions: flowData.llm_instructions || '',
+          // Webhook Configuration
+          webhook_url: flowData.webhook_url || null,
+          webhook_headers: flowData.webhook_headers || {},
+          // Flow type: 'basic' (traditional) or 'ai' (AI-powered data extraction)
+          flow_type: flowData.flow_type || 'basic',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating chatbot flow:', error);
+      throw error;
+    }
+  },
+
+  // Update chatbot flow
+  async updateChatbotFlow(flowId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('chatbot_flows')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', flowId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating chatbot flow:', error);
+      throw error;
+    }
+  },
+
+  // Delete chatbot flow (cascade deletes nodes and connections)
+  async deleteChatbotFlow(flowId) {
+    try {
+      // Delete connections first
+      await supabase.from('flow_connections').delete().eq('flow_id', flowId);
+      // Delete nodes
+      await supabase.from('flow_nodes').delete().eq('flow_id', flowId);
+      // Delete flow
+      const { error } = await supabase.from('chatbot_flows').delete().eq('id', flowId);
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error('Error deleting chatbot flow:', error);
+      throw error;
+    }
+  },
+
+  // Create flow node
+  async createFlowNode(nodeData) {
+    try {
+      const { data, error } = await supabase
+        .from('flow_nodes')
+        .insert([{
+          flow_id: nodeData.flow_id,
+          node_type: nodeData.node_type,
+          name: nodeData.name || nodeData.node_type,
+          position_x: nodeData.position_x || 0,
+          position_y: nodeData.position_y || 0,
+          config: nodeData.config || {},
+          created_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error creating flow node:', error);
+      throw error;
+    }
+  },
+
+  // Update flow node
+  async updateFlowNode(nodeId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('flow_nodes')
+        .update(updates)
+        .eq('id', nodeId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    } catch (error) {
+      logger.error('Error updating flow node:', error);
+      throw error;
+    }
+  },
+
+  // Delete flow node
+  async deleteFlowNode(nodeId) {
+    try {
+      // Delete related connections
+      await supabase.from('flow_connections').delete().or(`source_node_id.eq.${nodeId},target_node_id.eq.${nodeId}`);
+      const { error } = await supabase.from('flow_nodes').delete().eq('id', nodeId);
+      if (error) throw error;
+      return true;
     } catch (error) {
-      logger.error('Error fetching lead session:', error);
-      return null;
+      logger.error('Error deleting flow node:', error);
+      throw error;
     }
   },
 
-  // Create a new lead session
-  async createLeadSession(session) {
+  // Create flow connection
+  async createFlowConnection(connectionData) {
     try {
       const { data, error } = await supabase
-        .from('lead_sessions')
+        .from('flow_connections')
         .insert([{
-          account_id: session.account_id,
-          workflow_id: session.workflow_id,
-          contact_id: session.contact_id,
-          current_node_id: session.current_node_id,
-          collected_data: session.collected_data || {},
-          conversation_history: session.conversation_history || [],
-          status: session.status || 'active'
+          flow_id: connectionData.flow_id,
+          source_node_id: connectionData.source_node_id,
+          target_node_id: connectionData.target_node_id,
+          source_handle: connectionData.source_handle || 'default',
+          condition: connectionData.condition || null
         }])
         .select()
         .single();
@@ -1449,801 +2308,1038 @@ const db = {
       if (error) throw error;
       return data;
     } catch (error) {
-      logger.error('Error creating lead session:', error);
+      logger.error('Error creating flow connection:', error);
       throw error;
     }
   },
 
-  // Update a lead session
-  async updateLeadSession(session) {
+  // Delete flow connection
+  async deleteFlowConnection(connectionId) {
     try {
-      const updateData = {
-        current_node_id: session.current_node_id,
-        collected_data: session.collected_data,
-        conversation_history: session.conversation_history,
-        status: session.status,
-        ai_fallback_active: session.ai_fallback_active,
-        ai_fallback_context: session.ai_fallback_context,
-        completed_at: session.completed_at,
-        updated_at: new Date().toISOString()
-      };
+      const { error } = await supabase.from('flow_connections').delete().eq('id', connectionId);
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error('Error deleting flow connection:', error);
+      throw error;
+    }
+  },
 
-      // V2 workflow fields
-      if (session.awaiting_field !== undefined) {
-        updateData.awaiting_field = session.awaiting_field;
+  // Save entire flow (nodes + connections)
+  async saveFlowDesign(flowId, nodes, connections) {
+    try {
+      const { v4: uuidv4 } = require('uuid');
+
+      // Delete existing nodes and connections
+      await supabase.from('flow_connections').delete().eq('flow_id', flowId);
+      await supabase.from('flow_nodes').delete().eq('flow_id', flowId);
+
+      // Create a mapping from frontend IDs to new UUIDs
+      const idMapping = {};
+
+      // Insert new nodes with proper UUIDs
+      if (nodes.length > 0) {
+        const nodesWithFlowId = nodes.map(n => {
+          // Generate a new UUID for this node
+          const newId = uuidv4();
+          // Store mapping from old ID to new UUID
+          idMapping[n.id] = newId;
+
+          return {
+            id: newId,
+            flow_id: flowId,
+            node_type: n.node_type,
+            name: n.name,
+            position_x: n.position_x,
+            position_y: n.position_y,
+            config: n.config || {},
+            created_at: new Date().toISOString()
+          };
+        });
+
+        const { error: nodesError } = await supabase
+          .from('flow_nodes')
+          .insert(nodesWithFlowId);
+        if (nodesError) throw nodesError;
       }
-      if (session.retry_count !== undefined) {
-        updateData.retry_count = session.retry_count;
+
+      // Insert new connections with mapped UUIDs
+      if (connections.length > 0) {
+        const connectionsWithFlowId = connections.map(c => ({
+          flow_id: flowId,
+          source_node_id: idMapping[c.source_node_id] || c.source_node_id,
+          target_node_id: idMapping[c.target_node_id] || c.target_node_id,
+          source_handle: c.source_handle || 'default',
+          condition: c.condition || null
+        }));
+
+        const { error: connError } = await supabase
+          .from('flow_connections')
+          .insert(connectionsWithFlowId);
+        if (connError) throw connError;
       }
 
+      // Update flow timestamp
+      await supabase
+        .from('chatbot_flows')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', flowId);
+
+      return true;
+    } catch (error) {
+      logger.error('Error saving flow design:', error);
+      throw error;
+    }
+  },
+
+  // Get active flows for an account (for message matching)
+  async getActiveFlowsForAccount(accountId) {
+    try {
       const { data, error } = await supabase
-        .from('lead_sessions')
-        .update(updateData)
-        .eq('id', session.id)
-        .select()
-        .single();
+        .from('chatbot_flows')
+        .select('*, flow_nodes(*), flow_connections(*)')
+        .eq('account_id', accountId)
+        .eq('is_active', true);
 
       if (error) throw error;
-      return data;
+      return data || [];
     } catch (error) {
-      logger.error('Error updating lead session:', error);
-      throw error;
+      logger.error('Error fetching active flows:', error);
+      return [];
     }
   },
 
-  // Expire a lead session
-  async expireLeadSession(sessionId) {
+  // Log chatbot conversation
+  async logChatbotConversation(data) {
     try {
       const { error } = await supabase
-        .from('lead_sessions')
-        .update({
-          status: 'expired',
+        .from('chatbot_conversations')
+        .insert([{
+          flow_id: data.flow_id,
+          account_id: data.account_id,
+          contact_number: data.contact_number,
+          current_node_id: data.current_node_id,
+          context: data.context || {},
+          status: data.status || 'active',
+          started_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
-        })
-        .eq('id', sessionId);
-
+        }]);
       if (error) throw error;
       return true;
     } catch (error) {
-      logger.error('Error expiring lead session:', error);
+      logger.error('Error logging chatbot conversation:', error);
       return false;
     }
   },
 
-  // Get all sessions for a workflow
-  async getWorkflowSessions(workflowId, status = null) {
+  // Get or create conversation state
+  async getConversationState(accountId, contactNumber) {
     try {
-      let query = supabase
-        .from('lead_sessions')
+      const { data, error } = await supabase
+        .from('chatbot_conversations')
         .select('*')
-        .eq('workflow_id', workflowId);
-
-      if (status) {
-        query = query.eq('status', status);
-      }
-
-      const { data, error } = await query.order('created_at', { ascending: false });
+        .eq('account_id', accountId)
+        .eq('contact_number', contactNumber)
+        .eq('status', 'active')
+        .order('updated_at', { ascending: false })
+        .limit(1)
+        .single();
 
-      if (error) throw error;
-      return data || [];
+      if (error && error.code !== 'PGRST116') throw error;
+      return data;
     } catch (error) {
-      logger.error('Error fetching workflow sessions:', error);
-      return [];
+      logger.error('Error getting conversation state:', error);
+      return null;
     }
   },
 
-  // ============================================================================
-  // LEAD DATA
-  // ============================================================================
-
-  // Save completed lead data
-  async saveLeadData(leadData) {
+  // Update conversation state
+  async updateConversationState(conversationId, updates) {
     try {
       const { data, error } = await supabase
-        .from('lead_data')
-        .insert([leadData])
+        .from('chatbot_conversations')
+        .update({
+          ...updates,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', conversationId)
         .select()
         .single();
 
       if (error) throw error;
       return data;
     } catch (error) {
-      logger.error('Error saving lead data:', error);
-      throw error;
+      logger.error('Error updating conversation state:', error);
+      return null;
     }
   },
 
-  // Get leads for an account
-  async getLeads(accountId, options = {}) {
+  // Log AI flow completion
+  async logAIFlowCompletion(data) {
     try {
-      let query = supabase
-        .from('lead_data')
-        .select(`
-          *,
-          lead_workflows!inner(name)
-        `)
-        .eq('account_id', accountId);
-
-      if (options.status) {
-        query = query.eq('status', options.status);
-      }
-
-      if (options.workflowId) {
-        query = query.eq('workflow_id', options.workflowId);
-      }
-
-      const { data, error } = await query
-        .order('created_at', { ascending: false })
-        .limit(options.limit || 100);
-
+      const { error } = await supabase
+        .from('ai_flow_completions')
+        .insert([{
+          flow_id: data.flow_id,
+          flow_name: data.flow_name,
+          account_id: data.account_id,
+          contact_id: data.contact_id,
+          collected_data: data.collected_data || {},
+          conversation_history: data.conversation_history || [],
+          webhook_delivered: data.webhook_delivered || false,
+          webhook_response_code: data.webhook_response_code,
+          completed_at: data.completed_at || new Date().toISOString(),
+          created_at: new Date().toISOString()
+        }]);
       if (error) throw error;
-
-      // Flatten the workflow name
-      return (data || []).map(lead => ({
-        ...lead,
-        workflow_name: lead.lead_workflows?.name || 'Unknown Workflow',
-        lead_workflows: undefined
-      }));
+      return true;
     } catch (error) {
-      logger.error('Error fetching leads:', error);
-      return [];
+      logger.error('Error logging AI flow completion:', error);
+      return false;
     }
   },
 
-  // Update lead status
-  async updateLeadStatus(leadId, status, notes = null) {
+  // Get AI flow completions for analytics
+  async getAIFlowCompletions(accountId, options = {}) {
     try {
-      const updates = {
-        status,
-        updated_at: new Date().toISOString()
-      };
-      if (notes) updates.notes = notes;
+      let query = supabase
+        .from('ai_flow_completions')
+        .select('*')
+        .eq('account_id', accountId)
+        .order('completed_at', { ascending: false });
 
-      const { data, error } = await supabase
-        .from('lead_data')
-        .update(updates)
-        .eq('id', leadId)
-        .select()
-        .single();
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+
+      if (options.flowId) {
+        query = query.eq('flow_id', options.flowId);
+      }
 
+      const { data, error } = await query;
       if (error) throw error;
-      return data;
+      return data || [];
     } catch (error) {
-      logger.error('Error updating lead status:', error);
-      throw error;
+      logger.error('Error fetching AI flow completions:', error);
+      return [];
     }
   },
 
-  // Get lead statistics for an account
-  async getLeadStats(accountId) {
+  // ============================================================================
+  // ACCOUNT NUMBER SETTINGS (with caching for speed)
+  // ============================================================================
+
+  // Get number settings - uses cache for fast lookups
+  async getNumberSettings(accountId, phoneNumber) {
     try {
+      // Normalize phone number (remove non-digits)
+      const normalizedPhone = phoneNumber.replace(/\D/g, '');
+      const cacheKey = `number_settings:${accountId}:${normalizedPhone}`;
+
+      // Check cache first
+      const cached = cacheManager.get(cacheKey);
+      if (cached !== null) {
+        return cached;
+      }
+
+      // Query database
       const { data, error } = await supabase
-        .from('lead_data')
-        .select('status')
-        .eq('account_id', accountId);
+        .from('account_number_settings')
+        .select('*')
+        .eq('account_id', accountId)
+        .eq('phone_number', normalizedPhone)
+        .single();
 
-      if (error) throw error;
+      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
+        throw error;
+      }
 
-      const stats = {
-        total: data.length,
-        new: 0,
-        contacted: 0,
-        qualified: 0,
-        converted: 0,
-        lost: 0
+      // Default settings if not found (all enabled)
+      const settings = data || {
+        webhook_enabled: true,
+        chatbot_enabled: true,
+        flow_enabled: true
       };
 
-      data.forEach(lead => {
-        if (stats[lead.status] !== undefined) {
-          stats[lead.status]++;
-        }
-      });
+      // Cache for 5 minutes
+      cacheManager.set(cacheKey, settings, 300000);
 
-      return stats;
+      return settings;
     } catch (error) {
-      logger.error('Error fetching lead stats:', error);
-      return { total: 0, new: 0, contacted: 0, qualified: 0, converted: 0, lost: 0 };
+      logger.error('Error getting number settings:', error);
+      // Return defaults on error (don't block processing)
+      return { webhook_enabled: true, chatbot_enabled: true, flow_enabled: true };
     }
   },
 
-  // ============================================================================
-  // CHATBOT FLOWS
-  // ============================================================================
-
-  // Get all chatbot flows
-  async getChatbotFlows(accountId = null) {
+  // Get all number settings for an account
+  async getAllNumberSettings(accountId) {
     try {
-      let query = supabase
-        .from('chatbot_flows')
+      const { data, error } = await supabase
+        .from('account_number_settings')
         .select('*')
+        .eq('account_id', accountId)
         .order('created_at', { ascending: false });
 
-      if (accountId) {
-        query = query.eq('account_id', accountId);
-      }
-
-      const { data, error } = await query;
       if (error) throw error;
       return data || [];
     } catch (error) {
-      logger.error('Error fetching chatbot flows:', error);
+      logger.error('Error getting all number settings:', error);
       return [];
     }
   },
 
-  // Get single chatbot flow with nodes and connections
-  async getChatbotFlow(flowId) {
+  // Add or update number settings
+  async upsertNumberSettings(accountId, phoneNumber, settings) {
     try {
-      const { data: flow, error: flowError } = await supabase
-        .from('chatbot_flows')
-        .select('*')
-        .eq('id', flowId)
-        .single();
+      const normalizedPhone = phoneNumber.replace(/\D/g, '');
 
-      if (flowError) throw flowError;
+      const { data, error } = await supabase
+        .from('account_number_settings')
+        .upsert({
+          account_id: accountId,
+          phone_number: normalizedPhone,
+          webhook_enabled: settings.webhook_enabled !== false,
+          chatbot_enabled: settings.chatbot_enabled !== false,
+          flow_enabled: settings.flow_enabled !== false,
+          notes: settings.notes || null,
+          updated_at: new Date().toISOString()
+        }, {
+          onConflict: 'account_id,phone_number'
+        })
+        .select()
+        .single();
 
-      const { data: nodes } = await supabase
-        .from('flow_nodes')
-        .select('*')
-        .eq('flow_id', flowId)
-        .order('created_at', { ascending: true });
+      if (error) throw error;
 
-      const { data: connections } = await supabase
-        .from('flow_connections')
-        .select('*')
-        .eq('flow_id', flowId);
+      // Invalidate cache
+      const cacheKey = `number_settings:${accountId}:${normalizedPhone}`;
+      cacheManager.invalidate(cacheKey);
 
-      return {
-        ...flow,
-        nodes: nodes || [],
-        connections: connections || []
-      };
+      return data;
     } catch (error) {
-      logger.error('Error fetching chatbot flow:', error);
-      return null;
+      logger.error('Error upserting number settings:', error);
+      throw error;
     }
   },
 
-  // Create chatbot flow
-  async createChatbotFlow(flowData) {
+  // Bulk upsert number settings (for n8n batch updates)
+  async bulkUpsertNumberSettings(accountId, numbersArray) {
     try {
+      const records = numbersArray.map(item => ({
+        account_id: accountId,
+        phone_number: (item.phone_number || item.phone || item.number || '').replace(/\D/g, ''),
+        webhook_enabled: item.webhook_enabled !== false,
+        chatbot_enabled: item.chatbot_enabled !== false,
+        flow_enabled: item.flow_enabled !== false,
+        notes: item.notes || null,
+        updated_at: new Date().toISOString()
+      }));
+
       const { data, error } = await supabase
-        .from('chatbot_flows')
-        .insert([{
-          account_id: flowData.account_id,
-          name: flowData.name,
-          description: flowData.description || '',
-          trigger_type: flowData.trigger_type || 'keyword',
-          trigger_keywords: flowData.trigger_keywords || [],
-          is_active: flowData.is_active !== false,
-          // AI LLM Configuration
-          llm_provider: flowData.llm_provider || null,
-          llm_api_key: flowData.llm_api_key || null,
-          llm_model: flowData.llm_model || null,
-          llm_instructions: flowData.llm_instructions || '',
-          // Webhook Configuration
-          webhook_url: flowData.webhook_url || null,
-          webhook_headers: flowData.webhook_headers || {},
-          // Flow type: 'basic' (traditional) or 'ai' (AI-powered data extraction)
-          flow_type: flowData.flow_type || 'basic',
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        }])
-        .select()
-        .single();
+        .from('account_number_settings')
+        .upsert(records, {
+          onConflict: 'account_id,phone_number'
+        })
+        .select();
 
       if (error) throw error;
+
+      // Invalidate cache for all affected numbers
+      records.forEach(r => {
+        cacheManager.invalidate(`number_settings:${accountId}:${r.phone_number}`);
+      });
+
       return data;
     } catch (error) {
-      logger.error('Error creating chatbot flow:', error);
+      logger.error('Error bulk upserting number settings:', error);
       throw error;
     }
   },
 
-  // Update chatbot flow
-  async updateChatbotFlow(flowId, updates) {
+  // Delete number settings
+  async deleteNumberSettings(accountId, phoneNumber) {
     try {
-      const { data, error } = await supabase
-        .from('chatbot_flows')
-        .update({
-          ...updates,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', flowId)
+      const normalizedPhone = phoneNumber.replace(/\D/g, '');
+
+      const { error } = await supabase
+        .from('account_number_settings')
+        .delete()
+        .eq('account_id', accountId)
+        .eq('phone_number', normalizedPhone);
+
+      if (error) throw error;
+
+      // Invalidate cache
+      cacheManager.invalidate(`number_settings:${accountId}:${normalizedPhone}`);
+
+      return true;
+    } catch (error) {
+      logger.error('Error deleting number settings:', error);
+      throw error;
+    }
+  },
+
+  // Quick check helpers (use cached data)
+  // Per-sender webhook rules live on the webhook itself (webhooks.filters, see utils/webhookFilters.js)
+  async isChatbotEnabledForNumber(accountId, phoneNumber) {
+    const settings = await this.getNumberSettings(accountId, phoneNumber);
+    return settings.chatbot_enabled !== false;
+  },
+
+  async isFlowEnabledForNumber(accountId, phoneNumber) {
+    const settings = await this.getNumberSettings(accountId, phoneNumber);
+    return settings.flow_enabled !== false;
+  },
+
+  // ============================================================================
+  // CAMPAIGNS (broadcast to many recipients)
+  // ============================================================================
+
+  // Create a campaign and its recipient rows ([{ number, variables? }])
+  async createCampaign(campaign, numbers) {
+    try {
+      const { data, error } = await supabase
+        .from('campaigns')
+        .insert([{ ...campaign, total_recipients: numbers.length }])
         .select()
         .single();
 
       if (error) throw error;
+
+      // Insert recipients in chunks to stay under request size limits
+      const chunkSize = 500;
+      for (let i = 0; i < numbers.length; i += chunkSize) {
+        const rows = numbers.slice(i, i + chunkSize).map(recipient => ({
+          campaign_id: data.id,
+          number: recipient.number,
+          variables: recipient.variables || null,
+          status: 'pending'
+        }));
+
+        const { error: recipientsError } = await supabase
+          .from('campaign_recipients')
+          .insert(rows);
+
+        if (recipientsError) {
+          // Don't leave a half-populated campaign behind
+          await supabase.from('campaigns').delete().eq('id', data.id);
+          throw recipientsError;
+        }
+      }
+
       return data;
     } catch (error) {
-      logger.error('Error updating chatbot flow:', error);
+      logger.error('Error creating campaign:', error);
       throw error;
     }
   },
 
-  // Delete chatbot flow (cascade deletes nodes and connections)
-  async deleteChatbotFlow(flowId) {
+  // Get campaigns, optionally for a single account
+  async getCampaigns(accountId = null) {
     try {
-      // Delete connections first
-      await supabase.from('flow_connections').delete().eq('flow_id', flowId);
-      // Delete nodes
-      await supabase.from('flow_nodes').delete().eq('flow_id', flowId);
-      // Delete flow
-      const { error } = await supabase.from('chatbot_flows').delete().eq('id', flowId);
+      let query = supabase
+        .from('campaigns')
+        .select('*')
+        .order('created_at', { ascending: false });
+
+      if (accountId) {
+        query = query.eq('account_id', accountId);
+      }
+
+      const { data, error } = await query;
       if (error) throw error;
-      return true;
+      return data || [];
     } catch (error) {
-      logger.error('Error deleting chatbot flow:', error);
-      throw error;
+      logger.error('Error fetching campaigns:', error);
+      return [];
     }
   },
 
-  // Create flow node
-  async createFlowNode(nodeData) {
+  async getCampaign(campaignId) {
     try {
       const { data, error } = await supabase
-        .from('flow_nodes')
-        .insert([{
-          flow_id: nodeData.flow_id,
-          node_type: nodeData.node_type,
-          name: nodeData.name || nodeData.node_type,
-          position_x: nodeData.position_x || 0,
-          position_y: nodeData.position_y || 0,
-          config: nodeData.config || {},
-          created_at: new Date().toISOString()
-        }])
-        .select()
-        .single();
+        .from('campaigns')
+        .select('*')
+        .eq('id', campaignId)
+        .maybeSingle();
 
       if (error) throw error;
       return data;
     } catch (error) {
-      logger.error('Error creating flow node:', error);
+      logger.error('Error fetching campaign:', error);
       throw error;
     }
   },
 
-  // Update flow node
-  async updateFlowNode(nodeId, updates) {
+  /**
+   * Update a campaign, optionally only if it is currently in one of fromStatuses
+   * @returns {object|null} Updated campaign, or null if the status guard didn't match
+   */
+  async updateCampaign(campaignId, updates, fromStatuses = null) {
     try {
-      const { data, error } = await supabase
-        .from('flow_nodes')
-        .update(updates)
-        .eq('id', nodeId)
-        .select()
-        .single();
+      let query = supabase
+        .from('campaigns')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', campaignId);
+
+      if (fromStatuses) {
+        query = query.in('status', fromStatuses);
+      }
 
+      const { data, error } = await query.select();
       if (error) throw error;
-      return data;
+      return data?.[0] || null;
     } catch (error) {
-      logger.error('Error updating flow node:', error);
+      logger.error('Error updating campaign:', error);
       throw error;
     }
   },
 
-  // Delete flow node
-  async deleteFlowNode(nodeId) {
+  // Campaigns the worker should look at: running, or scheduled and due
+  async getActiveCampaigns() {
     try {
-      // Delete related connections
-      await supabase.from('flow_connections').delete().or(`source_node_id.eq.${nodeId},target_node_id.eq.${nodeId}`);
-      const { error } = await supabase.from('flow_nodes').delete().eq('id', nodeId);
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('campaigns')
+        .select('*')
+        .or(`status.eq.running,and(status.eq.scheduled,start_at.lte.${now})`)
+        .order('start_at', { ascending: true });
+
       if (error) throw error;
-      return true;
+      return data || [];
     } catch (error) {
-      logger.error('Error deleting flow node:', error);
-      throw error;
+      logger.error('Error fetching active campaigns:', error);
+      return [];
     }
   },
 
-  // Create flow connection
-  async createFlowConnection(connectionData) {
+  async getCampaignRecipients(campaignId, { status = null, limit = 100, offset = 0 } = {}) {
     try {
-      const { data, error } = await supabase
-        .from('flow_connections')
-        .insert([{
-          flow_id: connectionData.flow_id,
-          source_node_id: connectionData.source_node_id,
-          target_node_id: connectionData.target_node_id,
-          source_handle: connectionData.source_handle || 'default',
-          condition: connectionData.condition || null
-        }])
-        .select()
-        .single();
+      let query = supabase
+        .from('campaign_recipients')
+        .select('*')
+        .eq('campaign_id', campaignId)
+        .order('created_at', { ascending: true })
+        .range(offset, offset + limit - 1);
 
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
       if (error) throw error;
-      return data;
+      return data || [];
     } catch (error) {
-      logger.error('Error creating flow connection:', error);
-      throw error;
+      logger.error('Error fetching campaign recipients:', error);
+      return [];
     }
   },
 
-  // Delete flow connection
-  async deleteFlowConnection(connectionId) {
+  // Claim the next pending recipient (returns null when none are left or another worker won)
+  async claimNextCampaignRecipient(campaignId) {
     try {
-      const { error } = await supabase.from('flow_connections').delete().eq('id', connectionId);
+      const { data: next, error } = await supabase
+        .from('campaign_recipients')
+        .select('*')
+        .eq('campaign_id', campaignId)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: true })
+        .limit(1);
+
       if (error) throw error;
-      return true;
+      if (!next?.length) return null;
+
+      const { data, error: claimError } = await supabase
+        .from('campaign_recipients')
+        .update({ status: 'processing', updated_at: new Date().toISOString() })
+        .eq('id', next[0].id)
+        .eq('status', 'pending')
+        .select();
+
+      if (claimError) throw claimError;
+      return data?.[0] || null;
     } catch (error) {
-      logger.error('Error deleting flow connection:', error);
-      throw error;
+      logger.error('Error claiming campaign recipient:', error);
+      return null;
     }
   },
 
-  // Save entire flow (nodes + connections)
-  async saveFlowDesign(flowId, nodes, connections) {
+  async updateCampaignRecipient(recipientId, updates) {
     try {
-      const { v4: uuidv4 } = require('uuid');
-
-      // Delete existing nodes and connections
-      await supabase.from('flow_connections').delete().eq('flow_id', flowId);
-      await supabase.from('flow_nodes').delete().eq('flow_id', flowId);
+      const { error } = await supabase
+        .from('campaign_recipients')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', recipientId);
 
-      // Create a mapping from frontend IDs to new UUIDs
-      const idMapping = {};
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      logger.error('Error updating campaign recipient:', error);
+      return false;
+    }
+  },
 
-      // Insert new nodes with proper UUIDs
-      if (nodes.length > 0) {
-        const nodesWithFlowId = nodes.map(n => {
-          // Generate a new UUID for this node
-          const newId = uuidv4();
-          // Store mapping from old ID to new UUID
-          idMapping[n.id] = newId;
+  // Count recipients per status for a campaign
+  async getCampaignRecipientStats(campaignId) {
+    const statuses = ['pending', 'processing', 'sent', 'failed', 'cancelled'];
+    const stats = {};
 
-          return {
-            id: newId,
-            flow_id: flowId,
-            node_type: n.node_type,
-            name: n.name,
-            position_x: n.position_x,
-            position_y: n.position_y,
-            config: n.config || {},
-            created_at: new Date().toISOString()
-          };
-        });
+    await Promise.all(statuses.map(async (status) => {
+      try {
+        const { count, error } = await supabase
+          .from('campaign_recipients')
+          .select('id', { count: 'exact', head: true })
+          .eq('campaign_id', campaignId)
+          .eq('status', status);
 
-        const { error: nodesError } = await supabase
-          .from('flow_nodes')
-          .insert(nodesWithFlowId);
-        if (nodesError) throw nodesError;
+        if (error) throw error;
+        stats[status] = count || 0;
+      } catch (error) {
+        logger.error(`Error counting campaign recipients (${status}):`, error);
+        stats[status] = 0;
       }
+    }));
 
-      // Insert new connections with mapped UUIDs
-      if (connections.length > 0) {
-        const connectionsWithFlowId = connections.map(c => ({
-          flow_id: flowId,
-          source_node_id: idMapping[c.source_node_id] || c.source_node_id,
-          target_node_id: idMapping[c.target_node_id] || c.target_node_id,
-          source_handle: c.source_handle || 'default',
-          condition: c.condition || null
-        }));
+    return stats;
+  },
 
-        const { error: connError } = await supabase
-          .from('flow_connections')
-          .insert(connectionsWithFlowId);
-        if (connError) throw connError;
-      }
+  // Recount sent_count / failed_count from the recipients, so the totals can't drift from a stale copy
+  async refreshCampaignCounts(campaignId) {
+    const count = async (status) => {
+      const { count: total, error } = await supabase
+        .from('campaign_recipients')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign_id', campaignId)
+        .eq('status', status);
 
-      // Update flow timestamp
-      await supabase
-        .from('chatbot_flows')
-        .update({ updated_at: new Date().toISOString() })
-        .eq('id', flowId);
+      if (error) throw error;
+      return total || 0;
+    };
 
-      return true;
+    try {
+      const [sent, failed] = await Promise.all([count('sent'), count('failed')]);
+      return await this.updateCampaign(campaignId, { sent_count: sent, failed_count: failed });
     } catch (error) {
-      logger.error('Error saving flow design:', error);
+      logger.error('Error refreshing campaign counts:', error);
       throw error;
     }
   },
 
-  // Get active flows for an account (for message matching)
-  async getActiveFlowsForAccount(accountId) {
+  async cancelPendingCampaignRecipients(campaignId) {
     try {
-      const { data, error } = await supabase
-        .from('chatbot_flows')
-        .select('*, flow_nodes(*), flow_connections(*)')
-        .eq('account_id', accountId)
-        .eq('is_active', true);
+      const { error } = await supabase
+        .from('campaign_recipients')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('campaign_id', campaignId)
+        .eq('status', 'pending');
 
       if (error) throw error;
-      return data || [];
+      return true;
     } catch (error) {
-      logger.error('Error fetching active flows:', error);
-      return [];
+      logger.error('Error cancelling campaign recipients:', error);
+      return false;
     }
   },
 
-  // Log chatbot conversation
-  async logChatbotConversation(data) {
+  // Put recipients left mid-send by a crash back in line
+  async resetStuckCampaignRecipients(minutes = 5) {
     try {
+      const cutoff = new Date(Date.now() - minutes * 60000).toISOString();
       const { error } = await supabase
-        .from('chatbot_conversations')
-        .insert([{
-          flow_id: data.flow_id,
-          account_id: data.account_id,
-          contact_number: data.contact_number,
-          current_node_id: data.current_node_id,
-          context: data.context || {},
-          status: data.status || 'active',
-          started_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        }]);
+        .from('campaign_recipients')
+        .update({ status: 'pending' })
+        .eq('status', 'processing')
+        .lte('updated_at', cutoff);
+
       if (error) throw error;
-      return true;
     } catch (error) {
-      logger.error('Error logging chatbot conversation:', error);
-      return false;
+      logger.error('Error resetting stuck campaign recipients:', error);
     }
   },
 
-  // Get or create conversation state
-  async getConversationState(accountId, contactNumber) {
+  // ============================================================================
+  // SCHEDULED MESSAGES
+  // ============================================================================
+
+  async createScheduledMessage(scheduled) {
     try {
       const { data, error } = await supabase
-        .from('chatbot_conversations')
-        .select('*')
-        .eq('account_id', accountId)
-        .eq('contact_number', contactNumber)
-        .eq('status', 'active')
-        .order('updated_at', { ascending: false })
-        .limit(1)
+        .from('scheduled_messages')
+        .insert([scheduled])
+        .select()
         .single();
 
-      if (error && error.code !== 'PGRST116') throw error;
+      if (error) throw error;
       return data;
     } catch (error) {
-      logger.error('Error getting conversation state:', error);
-      return null;
+      logger.error('Error creating scheduled message:', error);
+      throw error;
+    }
+  },
+
+  async getScheduledMessages({ accountId = null, status = null, limit = 100, offset = 0 } = {}) {
+    try {
+      let query = supabase
+        .from('scheduled_messages')
+        .select('*')
+        .order('send_at', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (accountId) {
+        query = query.eq('account_id', accountId);
+      }
+      if (status) {
+        query = query.eq('status', status);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error('Error fetching scheduled messages:', error);
+      return [];
     }
   },
 
-  // Update conversation state
-  async updateConversationState(conversationId, updates) {
+  async getScheduledMessage(id) {
     try {
       const { data, error } = await supabase
-        .from('chatbot_conversations')
-        .update({
-          ...updates,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', conversationId)
-        .select()
-        .single();
+        .from('scheduled_messages')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
 
       if (error) throw error;
       return data;
     } catch (error) {
-      logger.error('Error updating conversation state:', error);
-      return null;
+      logger.error('Error fetching scheduled message:', error);
+      throw error;
     }
   },
 
-  // Log AI flow completion
-  async logAIFlowCompletion(data) {
+  /**
+   * Update a scheduled message, optionally only if it is in one of fromStatuses
+   * @returns {object|null} Updated row, or null if the status guard didn't match
+   */
+  async updateScheduledMessage(id, updates, fromStatuses = null) {
     try {
-      const { error } = await supabase
-        .from('ai_flow_completions')
-        .insert([{
-          flow_id: data.flow_id,
-          flow_name: data.flow_name,
-          account_id: data.account_id,
-          contact_id: data.contact_id,
-          collected_data: data.collected_data || {},
-          conversation_history: data.conversation_history || [],
-          webhook_delivered: data.webhook_delivered || false,
-          webhook_response_code: data.webhook_response_code,
-          completed_at: data.completed_at || new Date().toISOString(),
-          created_at: new Date().toISOString()
-        }]);
+      let query = supabase
+        .from('scheduled_messages')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id);
+
+      if (fromStatuses) {
+        query = query.in('status', fromStatuses);
+      }
+
+      const { data, error } = await query.select();
       if (error) throw error;
-      return true;
+      return data?.[0] || null;
     } catch (error) {
-      logger.error('Error logging AI flow completion:', error);
-      return false;
+      logger.error('Error updating scheduled message:', error);
+      throw error;
     }
   },
 
-  // Get AI flow completions for analytics
-  async getAIFlowCompletions(accountId, options = {}) {
+  async getDueScheduledMessages(limit = 50, accountIds = null) {
     try {
       let query = supabase
-        .from('ai_flow_completions')
+        .from('scheduled_messages')
         .select('*')
-        .eq('account_id', accountId)
-        .order('completed_at', { ascending: false });
-
-      if (options.limit) {
-        query = query.limit(options.limit);
-      }
+        .eq('status', 'scheduled')
+        .lte('send_at', new Date().toISOString())
+        .order('send_at', { ascending: true })
+        .limit(limit);
 
-      if (options.flowId) {
-        query = query.eq('flow_id', options.flowId);
+      if (accountIds) {
+        query = query.in('account_id', accountIds);
       }
 
       const { data, error } = await query;
+
       if (error) throw error;
       return data || [];
     } catch (error) {
-      logger.error('Error fetching AI flow completions:', error);
+      logger.error('Error fetching due scheduled messages:', error);
       return [];
     }
   },
 
+  // Messages left in 'sending' by a crash go back to 'scheduled'
+  async resetStuckScheduledMessages(minutes = 5) {
+    try {
+      const cutoff = new Date(Date.now() - minutes * 60000).toISOString();
+      const { error } = await supabase
+        .from('scheduled_messages')
+        .update({ status: 'scheduled', last_error: 'Recovered from unexpected shutdown' })
+        .eq('status', 'sending')
+        .lte('updated_at', cutoff);
+
+      if (error) throw error;
+    } catch (error) {
+      logger.error('Error resetting stuck scheduled messages:', error);
+    }
+  },
+
   // ============================================================================
-  // ACCOUNT NUMBER SETTINGS (with caching for speed)
+  // MESSAGE TEMPLATES
   // ============================================================================
 
-  // Get number settings - uses cache for fast lookups
-  async getNumberSettings(accountId, phoneNumber) {
+  async getTemplates(accountId) {
     try {
-      // Normalize phone number (remove non-digits)
-      const normalizedPhone = phoneNumber.replace(/\D/g, '');
-      const cacheKey = `number_settings:${accountId}:${normalizedPhone}`;
-
-      // Check cache first
-      const cached = cacheManager.get(cacheKey);
-      if (cached !== null) {
-        return cached;
-      }
-
-      // Query database
       const { data, error } = await supabase
-        .from('account_number_settings')
+        .from('message_templates')
         .select('*')
         .eq('account_id', accountId)
-        .eq('phone_number', normalizedPhone)
-        .single();
-
-      if (error && error.code !== 'PGRST116') { // PGRST116 = not found
-        throw error;
-      }
+        .order('name', { ascending: true });
 
-      // Default settings if not found (all enabled)
-      const settings = data || {
-        webhook_enabled: true,
-        chatbot_enabled: true,
-        flow_enabled: true
-      };
-
-      // Cache for 5 minutes
-      cacheManager.set(cacheKey, settings, 300000);
-
-      return settings;
+      if (error) throw error;
+      return data || [];
     } catch (error) {
-      logger.error('Error getting number settings:', error);
-      // Return defaults on error (don't block processing)
-      return { webhook_enabled: true, chatbot_enabled: true, flow_enabled: true };
+      logger.error(`Error fetching templates for account ${accountId}:`, error);
+      throw error;
     }
   },
 
-  // Get all number settings for an account
-  async getAllNumberSettings(accountId) {
+  async getTemplate(templateId) {
+    const cacheKey = `template_${templateId}`;
+    const cached = cacheManager.get(cacheKey);
+
+    if (cached) {
+      return cached;
+    }
+
     try {
       const { data, error } = await supabase
-        .from('account_number_settings')
+        .from('message_templates')
         .select('*')
-        .eq('account_id', accountId)
-        .order('created_at', { ascending: false });
+        .eq('id', templateId)
+        .maybeSingle();
 
       if (error) throw error;
-      return data || [];
+
+      if (data) {
+        cacheManager.set(cacheKey, data);
+      }
+      return data;
     } catch (error) {
-      logger.error('Error getting all number settings:', error);
-      return [];
+      logger.error(`Error fetching template ${templateId}:`, error);
+      throw error;
     }
   },
 
-  // Add or update number settings
-  async upsertNumberSettings(accountId, phoneNumber, settings) {
+  async createTemplate(template) {
     try {
-      const normalizedPhone = phoneNumber.replace(/\D/g, '');
-
       const { data, error } = await supabase
-        .from('account_number_settings')
-        .upsert({
-          account_id: accountId,
-          phone_number: normalizedPhone,
-          webhook_enabled: settings.webhook_enabled !== false,
-          chatbot_enabled: settings.chatbot_enabled !== false,
-          flow_enabled: settings.flow_enabled !== false,
-          notes: settings.notes || null,
-          updated_at: new Date().toISOString()
-        }, {
-          onConflict: 'account_id,phone_number'
-        })
+        .from('message_templates')
+        .insert([template])
         .select()
         .single();
 
       if (error) throw error;
-
-      // Invalidate cache
-      const cacheKey = `number_settings:${accountId}:${normalizedPhone}`;
-      cacheManager.invalidate(cacheKey);
-
       return data;
     } catch (error) {
-      logger.error('Error upserting number settings:', error);
+      logger.error('Error creating template:', error);
       throw error;
     }
   },
 
-  // Bulk upsert number settings (for n8n batch updates)
-  async bulkUpsertNumberSettings(accountId, numbersArray) {
+  async updateTemplate(templateId, updates) {
     try {
-      const records = numbersArray.map(item => ({
-        account_id: accountId,
-        phone_number: (item.phone_number || item.phone || item.number || '').replace(/\D/g, ''),
-        webhook_enabled: item.webhook_enabled !== false,
-        chatbot_enabled: item.chatbot_enabled !== false,
-        flow_enabled: item.flow_enabled !== false,
-        notes: item.notes || null,
-        updated_at: new Date().toISOString()
-      }));
-
       const { data, error } = await supabase
-        .from('account_number_settings')
-        .upsert(records, {
-          onConflict: 'account_id,phone_number'
-        })
+        .from('message_templates')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', templateId)
         .select();
 
       if (error) throw error;
 
-      // Invalidate cache for all affected numbers
-      records.forEach(r => {
-        cacheManager.invalidate(`number_settings:${accountId}:${r.phone_number}`);
-      });
-
-      return data;
+      cacheManager.invalidate(`template_${templateId}`);
+      return data?.[0] || null;
     } catch (error) {
-      logger.error('Error bulk upserting number settings:', error);
+      logger.error(`Error updating template ${templateId}:`, error);
       throw error;
     }
   },
 
-  // Delete number settings
-  async deleteNumberSettings(accountId, phoneNumber) {
+  async deleteTemplate(templateId) {
     try {
-      const normalizedPhone = phoneNumber.replace(/\D/g, '');
-
       const { error } = await supabase
-        .from('account_number_settings')
+        .from('message_templates')
         .delete()
+        .eq('id', templateId);
+
+      if (error) throw error;
+
+      cacheManager.invalidate(`template_${templateId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting template ${templateId}:`, error);
+      throw error;
+    }
+  },
+
+  // ============================================================================
+  // CONTACTS & CHATS (synced from WhatsApp)
+  // ============================================================================
+
+  // Upsert rows that all have the same columns - columns left out keep their stored value
+  async upsertContacts(records) {
+    const { error } = await supabase
+      .from('contacts')
+      .upsert(records, { onConflict: 'account_id,jid' });
+
+    if (error) throw error;
+  },
+
+  async upsertChats(records) {
+    const { error } = await supabase
+      .from('chats')
+      .upsert(records, { onConflict: 'account_id,jid' });
+
+    if (error) throw error;
+  },
+
+  // Stored unread counts, for applying unread deltas ({ jid: count })
+  async getChatUnreadCounts(accountId, jids) {
+    const { data, error } = await supabase
+      .from('chats')
+      .select('jid, unread_count')
+      .eq('account_id', accountId)
+      .in('jid', jids);
+
+    if (error) throw error;
+    return Object.fromEntries((data || []).map(chat => [chat.jid, chat.unread_count || 0]));
+  },
+
+  async deleteChats(accountId, jids) {
+    const { error } = await supabase
+      .from('chats')
+      .delete()
+      .eq('account_id', accountId)
+      .in('jid', jids);
+
+    if (error) throw error;
+  },
+
+  // ?search= matches names and phone numbers
+  async getContacts(accountId, { search = null, limit = 100, offset = 0 } = {}) {
+    try {
+      let query = supabase
+        .from('contacts')
+        .select('*')
         .eq('account_id', accountId)
-        .eq('phone_number', normalizedPhone);
+        .order('name', { ascending: true, nullsFirst: false })
+        .order('push_name', { ascending: true, nullsFirst: false })
+        .range(offset, offset + limit - 1);
+
+      if (search) {
+        const term = toSearchTerm(search);
+        query = query.or(`name.ilike.${term},push_name.ilike.${term},verified_name.ilike.${term},phone_number.ilike.${term}`);
+      }
 
+      const { data, error } = await query;
       if (error) throw error;
+      return data || [];
+    } catch (error) {
+      logger.error(`Error fetching contacts for account ${accountId}:`, error);
+      throw error;
+    }
+  },
 
-      // Invalidate cache
-      cacheManager.invalidate(`number_settings:${accountId}:${normalizedPhone}`);
+  // Most recent first; ?search= matches the chat name and jid
+  async getChats(accountId, { search = null, unread = null, archived = null, limit = 100, offset = 0 } = {}) {
+    try {
+      let query = supabase
+        .from('chats')
+        .select('*')
+        .eq('account_id', accountId)
+        .order('last_message_at', { ascending: false, nullsFirst: false })
+        .range(offset, offset + limit - 1);
 
-      return true;
+      if (search) {
+        const term = toSearchTerm(search);
+        query = query.or(`name.ilike.${term},jid.ilike.${term}`);
+      }
+      if (unread === true) {
+        query = query.gt('unread_count', 0);
+      } else if (unread === false) {
+        query = query.eq('unread_count', 0);
+      }
+      if (archived !== null) {
+        query = query.eq('archived', archived);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
     } catch (error) {
-      logger.error('Error deleting number settings:', error);
+      logger.error(`Error fetching chats for account ${accountId}:`, error);
       throw error;
     }
   },
 
-  // Quick check helpers (use cached data)
-  async isWebhookEnabledForNumber(accountId, phoneNumber) {
-    const settings = await this.getNumberSettings(accountId, phoneNumber);
-    return settings.webhook_enabled !== false;
+  // ============================================================================
+  // LID MAPPINGS (WhatsApp privacy ids -> phone numbers)
+  // ============================================================================
+
+  async upsertLidMappings(records) {
+    const { error } = await supabase
+      .from('lid_mappings')
+      .upsert(records, { onConflict: 'account_id,lid' });
+
+    if (error) throw error;
   },
 
-  async isChatbotEnabledForNumber(accountId, phoneNumber) {
-    const settings = await this.getNumberSettings(accountId, phoneNumber);
-    return settings.chatbot_enabled !== false;
+  async getLidMappings(accountId, { search = null, limit = 100, offset = 0 } = {}) {
+    let query = supabase
+      .from('lid_mappings')
+      .select('*')
+      .eq('account_id', accountId)
+      .order('updated_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      const term = toSearchTerm(search);
+      query = query.or(`lid.ilike.${term},phone_number.ilike.${term}`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
   },
 
-  async isFlowEnabledForNumber(accountId, phoneNumber) {
-    const settings = await this.getNumberSettings(accountId, phoneNumber);
-    return settings.flow_enabled !== false;
+  async getLidMapping(accountId, lid) {
+    const { data, error } = await supabase
+      .from('lid_mappings')
+      .select('*')
+      .eq('account_id', accountId)
+      .eq('lid', lid)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deleteLidMapping(accountId, lid) {
+    const { data, error } = await supabase
+      .from('lid_mappings')
+      .delete()
+      .eq('account_id', accountId)
+      .eq('lid', lid)
+      .select();
+
+    if (error) throw error;
+    return data?.length > 0;
   },
 };
 
 module.exports = {
   supabase,
   db,
-  MissingWebhookQueueTableError
+  cacheManager,
+  CacheManager,
+  MissingWebhookQueueTableError,
+  MissingOutboundQueueTableError
 };
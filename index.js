@@ -15,11 +15,20 @@ const pg = require('pg');
 const pgSession = require('connect-pg-simple')(session);
 
 const { requireAuth, requireGuest, checkSessionTimeout, login, logout, getCurrentUser } = require('./middleware/auth');
-const { db, supabase, MissingWebhookQueueTableError } = require('./config/database');
+const { db, supabase, MissingWebhookQueueTableError, MissingOutboundQueueTableError } = require('./config/database');
 const whatsappManager = require('./utils/whatsappManager');
 const webhookDeliveryService = require('./utils/webhookDeliveryService');
+const outboundMessageService = require('./utils/outboundMessageService');
+const campaignService = require('./utils/campaignService');
+const schedulerService = require('./utils/schedulerService');
+const mediaStorage = require('./utils/storage');
+const lidMappingStore = require('./utils/lidMappingStore');
+const { buildSignatureHeaders } = require('./utils/webhookSignature');
+const { PAYLOAD_FORMATS, buildWebhookPayload } = require('./utils/webhookPayload');
+const { normalizeFilters } = require('./utils/webhookFilters');
+const { TemplateError, extractVariables, resolveTemplate } = require('./utils/messageTemplates');
 const logger = require('./utils/logger');
-const { validate, schemas } = require('./utils/validator');
+const { validate, schemas, parseJsonFields } = require('./utils/validator');
 const { apiLimiter, authLimiter, messageLimiter, webhookLimiter, accountLimiter } = require('./utils/rateLimiter');
 
 const app = express();
@@ -229,6 +238,47 @@ const emitToAccount = (accountId, event, data) => {
   io.to(`account-${accountId}`).emit(event, data);
 };
 
+// Report queued, campaign and scheduled send progress to the dashboard
+outboundMessageService.on('message-sent', ({ job, result }) => {
+  emitToAccount(job.account_id, 'message-sent', { ...result, jobId: job.id, queued: true, status: 'sent' });
+});
+
+outboundMessageService.on('message-failed', ({ job, error, deadLetter }) => {
+  emitToAccount(job.account_id, 'message-sent', {
+    success: false,
+    jobId: job.id,
+    queued: true,
+    status: deadLetter ? 'dead_letter' : 'retrying',
+    attempt: job.attempt_count,
+    error: error.message
+  });
+});
+
+campaignService.on('campaign-progress', (progress) => {
+  emitToAccount(progress.account_id, 'campaign-progress', progress);
+});
+
+schedulerService.on('scheduled-sent', ({ scheduled }) => {
+  emitToAccount(scheduled.account_id, 'scheduled-message-updated', scheduled);
+});
+
+schedulerService.on('scheduled-failed', ({ scheduled }) => {
+  emitToAccount(scheduled.account_id, 'scheduled-message-updated', scheduled);
+});
+
+// Webhook endpoint health - sent to every dashboard, like connection changes
+webhookDeliveryService.on('circuit-open', ({ webhookId, accountId, error }) => {
+  emitToAll('webhook-health', { webhookId, accountId, circuit: 'open', error });
+});
+
+webhookDeliveryService.on('circuit-closed', ({ webhookId, accountId }) => {
+  emitToAll('webhook-health', { webhookId, accountId, circuit: 'closed' });
+});
+
+webhookDeliveryService.on('webhook-disabled', (data) => {
+  emitToAll('webhook-disabled', data);
+});
+
 // Keepalive ping (optional Render/Railway wake-up)
 const keepAliveUrl = process.env.KEEPALIVE_URL;
 const keepAliveIntervalMs = Math.max((parseInt(process.env.KEEPALIVE_INTERVAL_MINUTES, 10) || 14) * 60 * 1000, 60 * 1000);
@@ -288,6 +338,37 @@ app.get('/dashboard.html', requireAuth, (req, res) => {
   res.redirect('/dashboard');
 });
 
+// ============================================================================
+// MEDIA
+// ============================================================================
+
+// Stored incoming media - no session needed, the URL carries an HMAC signature of the key
+app.get('/media/*', async (req, res) => {
+  const key = req.params[0];
+
+  if (!mediaStorage.verifySignature(key, req.query.sig)) {
+    return res.status(403).json({ error: 'Invalid media signature' });
+  }
+
+  try {
+    const file = await mediaStorage.read(key);
+    if (!file) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    if (file.mimetype) {
+      res.set('Content-Type', file.mimetype);
+    } else {
+      res.type(path.extname(key));
+    }
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.send(file.buffer);
+  } catch (error) {
+    logger.error('Error serving media:', error);
+    res.status(500).json({ error: 'Failed to read media', message: error.message });
+  }
+});
+
 // ============================================================================
 // API ROUTES
 // ============================================================================
@@ -308,6 +389,16 @@ app.get('/api/health', async (req, res) => {
         throw error;
       }
     }
+    let outboundQueue;
+    try {
+      outboundQueue = await db.getOutboundQueueStats();
+    } catch (error) {
+      if (error instanceof MissingOutboundQueueTableError) {
+        outboundQueue = { error: 'missing_table' };
+      } else {
+        throw error;
+      }
+    }
 
     res.json({
       status: 'ok',
@@ -322,6 +413,7 @@ app.get('/api/health', async (req, res) => {
       queue: queueStatus,
       cache: cacheStats,
       webhookQueue,
+      outboundQueue,
       metrics
     });
   } catch (error) {
@@ -448,6 +540,31 @@ app.delete('/api/accounts/:id', requireAuth, apiLimiter, async (req, res) => {
   }
 });
 
+// Account options (stored in accounts.metadata)
+app.patch('/api/accounts/:id/settings', requireAuth, apiLimiter, validate(schemas.accountSettings), async (req, res) => {
+  try {
+    const account = await db.getAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const metadata = { ...account.metadata, ...req.body };
+    await db.updateAccount(req.params.id, { metadata, updated_at: new Date().toISOString() });
+
+    res.json({
+      success: true,
+      settings: {
+        auto_read_receipts: metadata.auto_read_receipts === true,
+        webhook_contact_profile: metadata.webhook_contact_profile === true,
+        default_country: metadata.default_country || null
+      }
+    });
+  } catch (error) {
+    logger.error(`Error updating settings for ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update account settings', message: error.message });
+  }
+});
+
 // Get QR code (passive - just returns current QR if available)
 app.get('/api/accounts/:id/qr', requireAuth, apiLimiter, async (req, res) => {
   const accountId = req.params.id;
@@ -526,10 +643,109 @@ app.post('/api/accounts/:id/reconnect', requireAuth, apiLimiter, async (req, res
   }
 });
 
+// ============================================================================
+// ACCOUNT PROFILE API (the linked number's own name, about, picture, privacy)
+// ============================================================================
+
+// Our own 400s, or WhatsApp rejecting the change (Boom errors)
+function sendProfileError(res, error, message) {
+  const status = error.status || error.output?.statusCode;
+  if (status >= 400 && status < 500) {
+    return res.status(status).json({ error: error.message });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({ error: message, message: error.message });
+}
+
+app.get('/api/accounts/:id/profile', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const profile = await whatsappManager.getAccountProfile(req.params.id);
+    res.json(profile);
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to fetch profile');
+  }
+});
+
+// Change display name and/or about text
+app.patch('/api/accounts/:id/profile', requireAuth, apiLimiter, validate(schemas.updateAccountProfile), async (req, res) => {
+  try {
+    const profile = await whatsappManager.updateAccountProfile(req.params.id, req.body);
+    res.json(profile);
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to update profile');
+  }
+});
+
+// Set profile picture (multipart "picture" file, or JSON { media: { url | data, mimetype } })
+app.put('/api/accounts/:id/profile/picture', requireAuth, apiLimiter, upload.single('picture'), validate(schemas.updateProfilePicture), async (req, res) => {
+  try {
+    const media = req.file
+      ? { data: req.file.buffer.toString('base64'), mimetype: req.file.mimetype, filename: req.file.originalname }
+      : req.body.media;
+
+    if (!media) {
+      return res.status(400).json({ error: 'A picture file or media is required' });
+    }
+
+    const profile = await whatsappManager.updateAccountPicture(req.params.id, media);
+    res.json(profile);
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to update profile picture');
+  }
+});
+
+app.delete('/api/accounts/:id/profile/picture', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    await whatsappManager.removeAccountPicture(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to remove profile picture');
+  }
+});
+
+// Who can see last seen, online, profile photo and about, read receipts, who can add us to groups
+app.patch('/api/accounts/:id/profile/privacy', requireAuth, apiLimiter, validate(schemas.updatePrivacy), async (req, res) => {
+  try {
+    const privacy = await whatsappManager.updatePrivacySettings(req.params.id, req.body);
+    res.json({ success: true, privacy });
+  } catch (error) {
+    sendProfileError(res, error, 'Failed to update privacy settings');
+  }
+});
+
 // ============================================================================
 // WEBHOOKS API
 // ============================================================================
 
+// Events a webhook can subscribe to ('*' / 'all' = everything)
+const WEBHOOK_EVENTS = [
+  'message', 'message_ack',
+  'reaction', 'message_edited', 'message_deleted', 'poll_vote',
+  'group_participants_update', 'group_update',
+  'connection.qr', 'connection.ready', 'connection.disconnected', 'connection.logged_out',
+  'presence.update',
+  '*', 'all'
+];
+
+// Payload format and filter fields only when given, so databases without the columns keep working
+// Sender filters are read with the account's default country (throws 400 INVALID_NUMBER)
+async function getOptionalWebhookFields(accountId, { payload_format, payload_template, filters }) {
+  const fields = {};
+  if (payload_format !== undefined) fields.payload_format = payload_format;
+  if (payload_template !== undefined) fields.payload_template = payload_template;
+  if (filters !== undefined) {
+    fields.filters = normalizeFilters(filters, await whatsappManager.getDefaultCountry(accountId));
+  }
+  return fields;
+}
+
+// A webhook switched back on starts with a clean health record
+function getReactivationFields(webhook) {
+  webhookDeliveryService.resetHealth(webhook.id);
+  if (!('consecutive_failures' in webhook)) return {}; // health columns not migrated
+  return { consecutive_failures: 0, circuit_open_until: null, disabled_reason: null, disabled_at: null };
+}
+
 app.get('/api/accounts/:id/webhooks', requireAuth, apiLimiter, async (req, res) => {
   try {
     const webhooks = await db.getWebhooks(req.params.id);
@@ -542,16 +758,28 @@ app.get('/api/accounts/:id/webhooks', requireAuth, apiLimiter, async (req, res)
 
 app.post('/api/accounts/:id/webhooks', requireAuth, webhookLimiter, async (req, res) => {
   try {
-    const { url, secret, is_active, events } = req.body;
+    const { url, secret, is_active, events, payload_format, payload_template } = req.body;
     const account_id = req.params.id;
 
     if (!url) {
       return res.status(400).json({ error: 'Webhook URL is required' });
     }
 
+    if (payload_format !== undefined && !PAYLOAD_FORMATS.includes(payload_format)) {
+      return res.status(400).json({ error: `payload_format must be one of: ${PAYLOAD_FORMATS.join(', ')}` });
+    }
+
+    if (payload_format === 'custom' && (!payload_template || typeof payload_template !== 'object' || Array.isArray(payload_template))) {
+      return res.status(400).json({ error: 'payload_template must be a JSON object for the custom format' });
+    }
+
+    const filtersCheck = schemas.webhookFilters.validate(req.body.filters);
+    if (filtersCheck.error) {
+      return res.status(400).json({ error: `Invalid filters: ${filtersCheck.error.message}` });
+    }
+
     // Validate events array - default to 'message' if not provided
-    const validEvents = ['message', 'message_ack', '*', 'all'];
-    const webhookEvents = Array.isArray(events) ? events.filter(e => validEvents.includes(e)) : ['message'];
+    const webhookEvents = Array.isArray(events) ? events.filter(e => WEBHOOK_EVENTS.includes(e)) : ['message'];
     
     if (webhookEvents.length === 0) {
       webhookEvents.push('message'); // Default fallback
@@ -564,6 +792,7 @@ app.post('/api/accounts/:id/webhooks', requireAuth, webhookLimiter, async (req,
       events: webhookEvents,
       secret: secret || null,
       is_active: is_active !== false,
+      ...await getOptionalWebhookFields(account_id, req.body),
       created_at: new Date().toISOString()
     };
 
@@ -574,6 +803,9 @@ app.post('/api/accounts/:id/webhooks', requireAuth, webhookLimiter, async (req,
 
     res.json(webhook);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     logger.error('Error creating webhook:', error);
     res.status(500).json({ error: 'Failed to create webhook', message: error.message });
   }
@@ -619,22 +851,20 @@ app.post('/api/accounts/:accountId/webhooks/:webhookId/test', requireAuth, apiLi
       }
     };
 
+    // Sent in the webhook's payload format, so presets and templates can be checked
+    const body = JSON.stringify(buildWebhookPayload(webhook, testPayload));
     const headers = {
       'Content-Type': 'application/json',
-      'User-Agent': 'WA-Multi-Automation-Webhook/1.0'
+      'X-Account-ID': accountId,
+      'User-Agent': 'WhatsApp-Multi-Automation/3.0'
     };
 
-    // Add signature if secret is configured
+    // Signed the same way as real deliveries
     if (webhook.secret) {
-      const crypto = require('crypto');
-      const signature = crypto
-        .createHmac('sha256', webhook.secret)
-        .update(JSON.stringify(testPayload))
-        .digest('hex');
-      headers['X-Webhook-Signature'] = signature;
+      Object.assign(headers, buildSignatureHeaders(webhook.secret, body));
     }
 
-    const response = await axios.post(webhook.url, testPayload, {
+    const response = await axios.post(webhook.url, body, {
       headers,
       timeout: 10000,
       validateStatus: () => true // Don't throw on any status code
@@ -668,8 +898,7 @@ app.post('/api/webhooks', requireAuth, webhookLimiter, validate(schemas.createWe
     const { account_id, url, secret, is_active, events } = req.body;
 
     // Validate events array
-    const validEvents = ['message', 'message_ack', '*', 'all'];
-    const webhookEvents = Array.isArray(events) ? events.filter(e => validEvents.includes(e)) : ['message'];
+    const webhookEvents = Array.isArray(events) ? events.filter(e => WEBHOOK_EVENTS.includes(e)) : ['message'];
     if (webhookEvents.length === 0) webhookEvents.push('message');
 
     const webhookData = {
@@ -679,6 +908,7 @@ app.post('/api/webhooks', requireAuth, webhookLimiter, validate(schemas.createWe
       events: webhookEvents,
       secret: secret || '',
       is_active: is_active !== false,
+      ...await getOptionalWebhookFields(account_id, req.body),
       created_at: new Date().toISOString()
     };
 
@@ -689,11 +919,54 @@ app.post('/api/webhooks', requireAuth, webhookLimiter, validate(schemas.createWe
 
     res.json(webhook);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     logger.error('Error creating webhook:', error);
     res.status(500).json({ error: 'Failed to create webhook', message: error.message });
   }
 });
 
+app.put('/api/webhooks/:id', requireAuth, apiLimiter, validate(schemas.updateWebhook), async (req, res) => {
+  try {
+    const webhook = await db.getWebhook(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const updates = { ...req.body, ...await getOptionalWebhookFields(webhook.account_id, req.body), updated_at: new Date().toISOString() };
+
+    if (updates.events) {
+      updates.events = updates.events.filter(e => WEBHOOK_EVENTS.includes(e));
+      if (updates.events.length === 0) updates.events.push('message');
+    }
+
+    const format = updates.payload_format ?? webhook.payload_format;
+    const template = updates.payload_template !== undefined ? updates.payload_template : webhook.payload_template;
+    if (format === 'custom' && !template) {
+      return res.status(400).json({ error: 'payload_template is required for the custom format' });
+    }
+
+    if (updates.is_active === true && !webhook.is_active) {
+      Object.assign(updates, getReactivationFields(webhook));
+    }
+
+    const updatedWebhook = await db.updateWebhook(req.params.id, updates);
+
+    // Emit socket event
+    emitToAccount(webhook.account_id, 'webhook-updated', updatedWebhook);
+
+    res.json(updatedWebhook);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`Error updating webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to update webhook', message: error.message });
+  }
+});
+
 app.patch('/api/webhooks/:id/toggle', requireAuth, apiLimiter, async (req, res) => {
   try {
     const webhook = await db.getWebhook(req.params.id);
@@ -704,6 +977,7 @@ app.patch('/api/webhooks/:id/toggle', requireAuth, apiLimiter, async (req, res)
 
     const updatedWebhook = await db.updateWebhook(req.params.id, {
       is_active: !webhook.is_active,
+      ...(!webhook.is_active ? getReactivationFields(webhook) : {}),
       updated_at: new Date().toISOString()
     });
 
@@ -754,6 +1028,102 @@ app.get('/api/accounts/:id/webhook-secrets', requireAuth, apiLimiter, async (req
   }
 });
 
+// Endpoint health: circuit state, consecutive failures, success rate of recent attempts, last error
+app.get('/api/webhooks/:id/health', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const webhook = await db.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(webhookDeliveryService.getHealthSnapshot(webhook));
+  } catch (error) {
+    logger.error(`Error fetching health of webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch webhook health', message: error.message });
+  }
+});
+
+// Delivery history: one entry per attempt with the payload sent, response status/body excerpt and latency
+app.get('/api/webhooks/:id/deliveries', requireAuth, apiLimiter, validate(schemas.webhookDeliveriesQuery, 'query'), async (req, res) => {
+  try {
+    const webhook = await db.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const deliveries = await db.getWebhookDeliveries(webhook.id, req.query);
+    res.json({ deliveries, limit: req.query.limit, offset: req.query.offset });
+  } catch (error) {
+    if (error.code === 'PGRST205' || error.code === 'PGRST204') {
+      return res.status(503).json({
+        error: 'Delivery history is not set up',
+        message: 'Run migrations/add_webhook_delivery_log.sql in Supabase'
+      });
+    }
+    logger.error(`Error fetching deliveries for webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries', message: error.message });
+  }
+});
+
+// Deliveries that ran out of retries (or were dead-lettered when the webhook was switched off) and wait for a replay
+app.get('/api/webhooks/:id/dead-letters', requireAuth, apiLimiter, validate(schemas.webhookDeadLettersQuery, 'query'), async (req, res) => {
+  try {
+    const webhook = await db.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const deadLetters = await db.getWebhookDeadLetters(webhook.id, req.query);
+    res.json({ dead_letters: deadLetters, limit: req.query.limit, offset: req.query.offset });
+  } catch (error) {
+    logger.error(`Error fetching dead letters for webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch dead letters', message: error.message });
+  }
+});
+
+// Replay all dead letters of a webhook
+app.post('/api/webhooks/:id/dead-letters/replay', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const webhook = await db.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const jobIds = await db.requeueWebhookDeliveries(webhook, { statuses: ['dead_letter'] });
+    logger.info(`Requeued ${jobIds.length} dead-lettered deliveries for webhook ${webhook.id}`);
+
+    res.json({ success: true, replayed: jobIds.length, job_ids: jobIds });
+  } catch (error) {
+    logger.error(`Error replaying dead letters for webhook ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to replay dead letters', message: error.message });
+  }
+});
+
+// Send one delivery again - dead-lettered or already delivered
+app.post('/api/webhook-deliveries/:jobId/replay', requireAuth, apiLimiter, validate(schemas.jobParams, 'params'), async (req, res) => {
+  try {
+    const job = await db.getWebhookDeliveryJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const webhook = job.webhook_id ? await db.getWebhook(job.webhook_id) : null;
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const [jobId] = await db.requeueWebhookDeliveries(webhook, { jobId: job.id });
+    if (!jobId) {
+      return res.status(409).json({ error: `Delivery is already queued (${job.status})`, code: 'DELIVERY_QUEUED' });
+    }
+
+    res.json({ success: true, job_id: jobId });
+  } catch (error) {
+    logger.error(`Error replaying webhook delivery ${req.params.jobId}:`, error);
+    res.status(500).json({ error: 'Failed to replay delivery', message: error.message });
+  }
+});
+
 // ============================================================================
 // CHATBOT API
 // ============================================================================
@@ -779,13 +1149,17 @@ app.get('/api/accounts/:id/chatbot', requireAuth, apiLimiter, async (req, res) =
 app.post('/api/accounts/:id/chatbot', requireAuth, apiLimiter, async (req, res) => {
   try {
     const accountId = req.params.id;
-    const { provider, model, api_key, system_prompt, temperature, is_active, history_limit } = req.body;
+    const { provider, model, api_key, system_prompt, temperature, is_active, history_limit, group_mode } = req.body;
 
     // Validate required fields if enabling
     if (is_active && !api_key) {
       return res.status(400).json({ error: 'API Key is required to enable chatbot' });
     }
 
+    if (group_mode !== undefined && !['off', 'mention'].includes(group_mode)) {
+      return res.status(400).json({ error: "group_mode must be 'off' or 'mention'" });
+    }
+
     const configData = {
       account_id: accountId,
       provider: provider || 'gemini',
@@ -794,7 +1168,8 @@ app.post('/api/accounts/:id/chatbot', requireAuth, apiLimiter, async (req, res)
       system_prompt: system_prompt || 'You are a helpful assistant.',
       temperature: temperature !== undefined ? temperature : 0.7,
       is_active: is_active || false,
-      history_limit: history_limit || 10
+      history_limit: history_limit || 10,
+      group_mode: group_mode || 'off'
     };
 
     const savedConfig = await db.saveAiConfig(configData);
@@ -858,37 +1233,356 @@ app.delete('/api/accounts/:id/chatbot', requireAuth, apiLimiter, async (req, res
   }
 });
 
+// ============================================================================
+// TEMPLATES API
+// ============================================================================
+
+// List templates for an account
+app.get('/api/accounts/:id/templates', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const templates = await db.getTemplates(req.params.id);
+    res.json(templates);
+  } catch (error) {
+    logger.error('Error fetching templates:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+// Create a template ({{placeholders}} in body become required variables)
+app.post('/api/accounts/:id/templates', requireAuth, apiLimiter, validate(schemas.createTemplate), async (req, res) => {
+  try {
+    const account = await db.getAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const template = await db.createTemplate({
+      ...req.body,
+      account_id: req.params.id,
+      variables: extractVariables(req.body.body)
+    });
+
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+    logger.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template', message: error.message });
+  }
+});
+
+app.get('/api/accounts/:id/templates/:templateId', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const template = await db.getTemplate(req.params.templateId);
+    if (!template || template.account_id !== req.params.id) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    logger.error('Error fetching template:', error);
+    res.status(500).json({ error: 'Failed to fetch template', message: error.message });
+  }
+});
+
+app.put('/api/accounts/:id/templates/:templateId', requireAuth, apiLimiter, validate(schemas.updateTemplate), async (req, res) => {
+  try {
+    const existing = await db.getTemplate(req.params.templateId);
+    if (!existing || existing.account_id !== req.params.id) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const updates = { ...req.body };
+    if (updates.body) {
+      updates.variables = extractVariables(updates.body);
+    }
+
+    const template = await db.updateTemplate(req.params.templateId, updates);
+    res.json(template);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+    logger.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template', message: error.message });
+  }
+});
+
+app.delete('/api/accounts/:id/templates/:templateId', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const existing = await db.getTemplate(req.params.templateId);
+    if (!existing || existing.account_id !== req.params.id) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    await db.deleteTemplate(req.params.templateId);
+    res.json({ success: true, message: 'Template deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template', message: error.message });
+  }
+});
+
+// ============================================================================
+// CONTACTS & CHATS API
+// ============================================================================
+
+// Contacts synced from the phone, plus anyone who has messaged the account
+app.get('/api/accounts/:id/contacts', requireAuth, apiLimiter, validate(schemas.contactsQuery, 'query'), async (req, res) => {
+  try {
+    const contacts = await db.getContacts(req.params.id, req.query);
+    res.json(contacts);
+  } catch (error) {
+    logger.error(`Error fetching contacts for account ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch contacts', message: error.message });
+  }
+});
+
+// Profile picture, about text and business profile of a number (?refresh=true bypasses the cache)
+app.get('/api/accounts/:id/contacts/:number/profile', requireAuth, apiLimiter, validate(schemas.contactProfileQuery, 'query'), async (req, res) => {
+  try {
+    const profile = await whatsappManager.getContactProfile(req.params.id, req.params.number, { refresh: req.query.refresh });
+    res.json(profile);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error(`Error fetching profile of ${req.params.number}:`, error);
+    res.status(500).json({ error: 'Failed to fetch contact profile', message: error.message });
+  }
+});
+
+// Chats, most recent first (?unread=true for chats with unread messages)
+app.get('/api/accounts/:id/chats', requireAuth, apiLimiter, validate(schemas.chatsQuery, 'query'), async (req, res) => {
+  try {
+    const chats = await db.getChats(req.params.id, req.query);
+    res.json(chats);
+  } catch (error) {
+    logger.error(`Error fetching chats for account ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch chats', message: error.message });
+  }
+});
+
+// Which numbers are registered on WhatsApp (numbers without a country code use the account's default country)
+app.post('/api/accounts/:id/check-numbers', requireAuth, messageLimiter, validate(schemas.checkNumbers), async (req, res) => {
+  try {
+    const results = await whatsappManager.checkNumbers(req.params.id, req.body.numbers);
+    res.json({ results });
+  } catch (error) {
+    logger.error(`Error checking numbers for account ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to check numbers', message: error.message });
+  }
+});
+
+// LID (WhatsApp privacy id) -> phone number mappings, for checking and fixing them
+// :lid accepts the id with or without @lid
+const toLid = (value) => value.split('@')[0];
+
+app.get('/api/accounts/:id/lid-mappings', requireAuth, apiLimiter, validate(schemas.lidMappingsQuery, 'query'), async (req, res) => {
+  try {
+    const mappings = await db.getLidMappings(req.params.id, req.query);
+    res.json(mappings);
+  } catch (error) {
+    logger.error(`Error fetching LID mappings for account ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to fetch LID mappings', message: error.message });
+  }
+});
+
+// Resolve one LID, asking the connected account when it isn't known yet
+app.get('/api/accounts/:id/lid-mappings/:lid', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const lid = toLid(req.params.lid);
+    const phoneNumber = await whatsappManager.lookupLid(req.params.id, lid);
+    if (!phoneNumber) {
+      return res.status(404).json({ error: 'No phone number known for this LID' });
+    }
+    res.json({ lid, phone_number: phoneNumber });
+  } catch (error) {
+    logger.error(`Error resolving LID ${req.params.lid}:`, error);
+    res.status(500).json({ error: 'Failed to resolve LID', message: error.message });
+  }
+});
+
+app.put('/api/accounts/:id/lid-mappings/:lid', requireAuth, apiLimiter, validate(schemas.updateLidMapping), async (req, res) => {
+  try {
+    const mapping = await lidMappingStore.update(req.params.id, toLid(req.params.lid), req.body.phone_number);
+    res.json(mapping);
+  } catch (error) {
+    logger.error(`Error updating LID mapping ${req.params.lid}:`, error);
+    res.status(500).json({ error: 'Failed to update LID mapping', message: error.message });
+  }
+});
+
+app.delete('/api/accounts/:id/lid-mappings/:lid', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const deleted = await lidMappingStore.remove(req.params.id, toLid(req.params.lid));
+    if (!deleted) {
+      return res.status(404).json({ error: 'LID mapping not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error deleting LID mapping ${req.params.lid}:`, error);
+    res.status(500).json({ error: 'Failed to delete LID mapping', message: error.message });
+  }
+});
+
+// ============================================================================
+// GROUPS API
+// ============================================================================
+
+// WhatsApp rejects group changes with Boom errors (403 not an admin, 404 unknown group, ...)
+function sendGroupError(res, error, message) {
+  const status = error.output?.statusCode;
+  if (status >= 400 && status < 500) {
+    return res.status(status).json({ error: error.message });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({ error: message, message: error.message });
+}
+
+// List joined groups with metadata
+app.get('/api/accounts/:id/groups', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const groups = await whatsappManager.getGroups(req.params.id);
+    res.json(groups);
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to fetch groups');
+  }
+});
+
+// Create group
+app.post('/api/accounts/:id/groups', requireAuth, apiLimiter, validate(schemas.createGroup), async (req, res) => {
+  try {
+    const { subject, participants } = req.body;
+    const group = await whatsappManager.createGroup(req.params.id, subject, participants);
+    res.status(201).json(group);
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to create group');
+  }
+});
+
+// Get group (id with or without @g.us)
+app.get('/api/accounts/:id/groups/:groupId', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const group = await whatsappManager.getGroup(req.params.id, req.params.groupId);
+    res.json(group);
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to fetch group');
+  }
+});
+
+// Rename group and/or change its description
+app.patch('/api/accounts/:id/groups/:groupId', requireAuth, apiLimiter, validate(schemas.updateGroup), async (req, res) => {
+  try {
+    const group = await whatsappManager.updateGroup(req.params.id, req.params.groupId, req.body);
+    res.json(group);
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to update group');
+  }
+});
+
+// Add, remove, promote or demote participants
+app.post('/api/accounts/:id/groups/:groupId/participants', requireAuth, apiLimiter, validate(schemas.updateGroupParticipants), async (req, res) => {
+  try {
+    const { action, participants } = req.body;
+    const results = await whatsappManager.updateGroupParticipants(req.params.id, req.params.groupId, participants, action);
+    res.json({ success: true, action, participants: results });
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to update participants');
+  }
+});
+
+// Get invite link
+app.get('/api/accounts/:id/groups/:groupId/invite', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const invite = await whatsappManager.getGroupInvite(req.params.id, req.params.groupId);
+    res.json(invite);
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to fetch invite link');
+  }
+});
+
+// Revoke invite link (returns the new one)
+app.post('/api/accounts/:id/groups/:groupId/invite/revoke', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const invite = await whatsappManager.revokeGroupInvite(req.params.id, req.params.groupId);
+    res.json(invite);
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to revoke invite link');
+  }
+});
+
+// Leave group
+app.post('/api/accounts/:id/groups/:groupId/leave', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    await whatsappManager.leaveGroup(req.params.id, req.params.groupId);
+    res.json({ success: true });
+  } catch (error) {
+    sendGroupError(res, error, 'Failed to leave group');
+  }
+});
+
 // ============================================================================
 // MESSAGING API
 // ============================================================================
 
-// Send text message
+// Send text message, or a template with variables (queue: true returns a job id and sends in the background)
+// quoted_message_id replies to an earlier message, mentions @-tags numbers in a group
 app.post('/api/send', requireAuth, messageLimiter, validate(schemas.sendMessage), async (req, res) => {
   try {
-    const { account_id, number, message } = req.body;
+    const { account_id, number, template_id, variables, queue } = req.body;
+    const replyOptions = { quotedMessageId: req.body.quoted_message_id, mentions: req.body.mentions };
+
+    // Templates with media are sent as media with the rendered body as caption
+    const content = template_id
+      ? await resolveTemplate(account_id, template_id, variables)
+      : { type: 'text', message: req.body.message };
+
+    if (queue) {
+      const account = await db.getAccount(account_id);
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      // Fail now rather than in the worker if the number is malformed or the quoted message is unknown
+      await whatsappManager.toJid(account_id, number);
+      const options = await whatsappManager.queueableReplyOptions(account_id, replyOptions);
 
-    const result = await whatsappManager.sendMessage(account_id, number, message);
+      const payload = content.type === 'media'
+        ? { media: content.media, caption: content.caption, options }
+        : { message: content.message, options };
+
+      const job = await outboundMessageService.enqueue(account_id, number, content.type, payload);
+      return res.status(202).json({ success: true, queued: true, jobId: job.id, status: job.status });
+    }
+
+    const result = content.type === 'media'
+      ? await whatsappManager.sendMedia(account_id, number, content.media, content.caption, replyOptions)
+      : await whatsappManager.sendMessage(account_id, number, content.message, replyOptions);
 
     // Emit socket event
     emitToAccount(account_id, 'message-sent', result);
 
     res.json(result);
   } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json({ error: error.message, details: error.details || undefined });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     logger.error('Error sending message:', error);
     res.status(500).json({ error: 'Failed to send message', message: error.message });
   }
 });
 
-// Send media
-app.post('/api/send-media', requireAuth, messageLimiter, upload.single('media'), async (req, res) => {
+// Send media (multipart; mentions may be a JSON array)
+app.post('/api/send-media', requireAuth, messageLimiter, upload.single('media'), parseJsonFields('mentions'), validate(schemas.sendMediaUpload), async (req, res) => {
   try {
-    const { account_id, number, caption } = req.body;
+    const { account_id, number, caption, queue } = req.body;
+    const replyOptions = { quotedMessageId: req.body.quoted_message_id, mentions: req.body.mentions };
     const file = req.file;
 
-    if (!account_id || !number) {
-      return res.status(400).json({ error: 'account_id and number are required' });
-    }
-
     if (!file) {
       return res.status(400).json({ error: 'Media file is required' });
     }
@@ -900,12 +1594,29 @@ app.post('/api/send-media', requireAuth, messageLimiter, upload.single('media'),
       filename: file.originalname
     };
 
+    if (queue) {
+      const account = await db.getAccount(account_id);
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      await whatsappManager.toJid(account_id, number);
+      const options = await whatsappManager.queueableReplyOptions(account_id, replyOptions);
+
+      const job = await outboundMessageService.enqueue(account_id, number, 'media', {
+        media: mediaData,
+        caption: caption || '',
+        options
+      });
+      return res.status(202).json({ success: true, queued: true, jobId: job.id, status: job.status });
+    }
+
     const result = await whatsappManager.sendMedia(
       account_id,
       number,
       mediaData,
       caption || '',
-      {}
+      replyOptions
     );
 
     // Emit socket event
@@ -913,32 +1624,21 @@ app.post('/api/send-media', requireAuth, messageLimiter, upload.single('media'),
 
     res.json(result);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     logger.error('Error sending media:', error);
     res.status(500).json({ error: 'Failed to send media', message: error.message });
   }
 });
 
-// Send buttons
-app.post('/api/send-buttons', requireAuth, messageLimiter, upload.single('media'), async (req, res) => {
+// Send buttons (native interactive message, optional media header)
+app.post('/api/send-buttons', requireAuth, messageLimiter, upload.single('media'), parseJsonFields('buttons'), validate(schemas.sendButtons), async (req, res) => {
   try {
-    const { account_id, number, body, title, footer } = req.body;
-    let { buttons } = req.body;
+    const { account_id, number, body, buttons, title, footer } = req.body;
     const file = req.file;
 
-    if (!account_id || !number || !buttons) {
-      return res.status(400).json({ error: 'Missing required fields: account_id, number, buttons' });
-    }
-
-    // Parse buttons if it's a string (when using FormData)
-    if (typeof buttons === 'string') {
-      try {
-        buttons = JSON.parse(buttons);
-      } catch (e) {
-        return res.status(400).json({ error: 'Invalid buttons format. Must be a JSON array.' });
-      }
-    }
-
-    // Prepare media if file is uploaded
+    // Prepare header media if file is uploaded
     let media = null;
     if (file) {
       media = {
@@ -948,21 +1648,6 @@ app.post('/api/send-buttons', requireAuth, messageLimiter, upload.single('media'
       };
     }
 
-    // If sending media buttons, body is optional (or used as caption if supported, but here we pass it as content if no media)
-    // If media is present, whatsappManager uses media as content. 
-    // Note: whatsapp-web.js Buttons constructor takes (body, buttons, title, footer). 
-    // If body is MessageMedia, it sends media. 
-    // If we want text AND media, it's complicated. 
-    // For now, if media is present, 'body' text from request might be ignored by whatsappManager logic 
-    // unless we pass it as title/footer or if Buttons supports caption.
-    // However, let's pass 'body' as is. If media is present, whatsappManager uses media as content.
-    // If the user wants a caption, they might need to put it in title or footer, or we rely on library behavior.
-
-    // Actually, looking at my whatsappManager change:
-    // let content = body;
-    // if (media) content = new MessageMedia(...)
-    // So if media is present, body text is ignored as the main content.
-
     const result = await whatsappManager.sendButtons(account_id, number, body, buttons, title, footer, media);
 
     // Emit socket event
@@ -970,20 +1655,19 @@ app.post('/api/send-buttons', requireAuth, messageLimiter, upload.single('media'
 
     res.json(result);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     logger.error('Error sending buttons:', error);
     res.status(500).json({ error: 'Failed to send buttons', message: error.message });
   }
 });
 
 // Send list
-app.post('/api/send-list', requireAuth, messageLimiter, async (req, res) => {
+app.post('/api/send-list', requireAuth, messageLimiter, validate(schemas.sendList), async (req, res) => {
   try {
     const { account_id, number, body, button_text, sections, title, footer } = req.body;
 
-    if (!account_id || !number || !body || !button_text || !sections) {
-      return res.status(400).json({ error: 'Missing required fields: account_id, number, body, button_text, sections' });
-    }
-
     const result = await whatsappManager.sendList(account_id, number, body, button_text, sections, title, footer);
 
     // Emit socket event
@@ -991,21 +1675,206 @@ app.post('/api/send-list', requireAuth, messageLimiter, async (req, res) => {
 
     res.json(result);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     logger.error('Error sending list:', error);
     res.status(500).json({ error: 'Failed to send list', message: error.message });
   }
 });
 
+// Send location pin
+app.post('/api/send-location', requireAuth, messageLimiter, validate(schemas.sendLocation), async (req, res) => {
+  try {
+    const { account_id, number, latitude, longitude, name, address } = req.body;
+
+    const result = await whatsappManager.sendLocation(account_id, number, { latitude, longitude, name, address }, {
+      quotedMessageId: req.body.quoted_message_id
+    });
+
+    // Emit socket event
+    emitToAccount(account_id, 'message-sent', result);
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error sending location:', error);
+    res.status(500).json({ error: 'Failed to send location', message: error.message });
+  }
+});
+
+// Send contact card(s) as vCards
+app.post('/api/send-contact', requireAuth, messageLimiter, validate(schemas.sendContact), async (req, res) => {
+  try {
+    const { account_id, number, contacts } = req.body;
+
+    const result = await whatsappManager.sendContacts(account_id, number, contacts, {
+      quotedMessageId: req.body.quoted_message_id
+    });
+
+    // Emit socket event
+    emitToAccount(account_id, 'message-sent', result);
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error sending contact:', error);
+    res.status(500).json({ error: 'Failed to send contact', message: error.message });
+  }
+});
+
+// Send poll (selectable_count 0 allows any number of answers)
+app.post('/api/send-poll', requireAuth, messageLimiter, validate(schemas.sendPoll), async (req, res) => {
+  try {
+    const { account_id, number, name, options, selectable_count } = req.body;
+
+    const result = await whatsappManager.sendPoll(account_id, number, { name, options, selectable_count }, {
+      quotedMessageId: req.body.quoted_message_id,
+      mentions: req.body.mentions
+    });
+
+    // Emit socket event
+    emitToAccount(account_id, 'message-sent', result);
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error sending poll:', error);
+    res.status(500).json({ error: 'Failed to send poll', message: error.message });
+  }
+});
+
+// Get queued message status
+app.get('/api/queue/:jobId', requireAuth, apiLimiter, validate(schemas.jobParams, 'params'), async (req, res) => {
+  try {
+    const job = await outboundMessageService.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error('Error fetching queued message:', error);
+    res.status(500).json({ error: 'Failed to fetch queued message', message: error.message });
+  }
+});
+
+// React to a message with an emoji ("" removes the reaction)
+app.post('/api/messages/:messageId/react', requireAuth, messageLimiter, validate(schemas.reactMessage), async (req, res) => {
+  try {
+    const { account_id, emoji } = req.body;
+    const result = await whatsappManager.reactToMessage(account_id, req.params.messageId, emoji);
+
+    emitToAccount(account_id, 'message-reacted', result);
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error reacting to message:', error);
+    res.status(500).json({ error: 'Failed to react to message', message: error.message });
+  }
+});
+
+// Edit a sent text message
+app.patch('/api/messages/:messageId', requireAuth, messageLimiter, validate(schemas.editMessage), async (req, res) => {
+  try {
+    const { account_id, message } = req.body;
+    const result = await whatsappManager.editMessage(account_id, req.params.messageId, message);
+
+    emitToAccount(account_id, 'message-edited', result);
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error editing message:', error);
+    res.status(500).json({ error: 'Failed to edit message', message: error.message });
+  }
+});
+
+// Delete a sent message for everyone (?account_id=)
+app.delete('/api/messages/:messageId', requireAuth, messageLimiter, validate(schemas.messageAccountQuery, 'query'), async (req, res) => {
+  try {
+    const { account_id } = req.query;
+    const result = await whatsappManager.deleteMessage(account_id, req.params.messageId);
+
+    emitToAccount(account_id, 'message-deleted', result);
+
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error deleting message:', error);
+    res.status(500).json({ error: 'Failed to delete message', message: error.message });
+  }
+});
+
+// Send read receipts for a chat (all recent incoming messages, or the given message_ids)
+app.post('/api/read', requireAuth, messageLimiter, validate(schemas.markRead), async (req, res) => {
+  try {
+    const { account_id, number, message_ids } = req.body;
+    const result = await whatsappManager.markChatRead(account_id, number, message_ids);
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Error marking chat as read:', error);
+    res.status(500).json({ error: 'Failed to mark chat as read', message: error.message });
+  }
+});
+
+// Show typing / recording / paused in a chat, or set the account online / offline
+app.post('/api/presence', requireAuth, messageLimiter, validate(schemas.sendPresence), async (req, res) => {
+  try {
+    const { account_id, state, number } = req.body;
+    const result = await whatsappManager.sendPresence(account_id, state, number);
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error sending presence:', error);
+    res.status(500).json({ error: 'Failed to send presence', message: error.message });
+  }
+});
+
+// Receive presence.update webhooks for a contact
+app.post('/api/presence/subscribe', requireAuth, messageLimiter, validate(schemas.subscribePresence), async (req, res) => {
+  try {
+    const { account_id, number } = req.body;
+    const result = await whatsappManager.subscribePresence(account_id, number);
+    res.json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    logger.error('Error subscribing to presence:', error);
+    res.status(500).json({ error: 'Failed to subscribe to presence', message: error.message });
+  }
+});
+
 // Webhook reply (authenticated via webhook secret)
 app.post('/api/webhook-reply', apiLimiter, validate(schemas.webhookReply), async (req, res) => {
   try {
-    const { account_id, number, message, webhook_secret, media, caption } = req.body;
+    const { account_id, number, webhook_secret, template_id, variables, location, contacts, poll } = req.body;
+    let { message, media, caption } = req.body;
+    const replyOptions = { quotedMessageId: req.body.quoted_message_id, mentions: req.body.mentions };
     const isN8n = req.headers['user-agent']?.includes('n8n') || req.query.source === 'n8n';
 
-    // Validate at least message or media is provided
-    if (!message && (!media || (!media.data && !media.url))) {
+    // Validate at least message, media, a template, location, contacts or poll is provided
+    if (!message && !template_id && !location && !contacts && !poll && (!media || (!media.data && !media.url))) {
       return res.status(400).json({
-        error: 'Either message text or media (with data or url) is required'
+        error: 'Either message text, media (with data or url), template_id, location, contacts or poll is required'
       });
     }
 
@@ -1025,32 +1894,279 @@ app.post('/api/webhook-reply', apiLimiter, validate(schemas.webhookReply), async
       return res.status(401).json({ error: 'Invalid webhook secret' });
     }
 
+    // Template replaces message/media
+    if (template_id) {
+      const content = await resolveTemplate(account_id, template_id, variables);
+      message = content.message || '';
+      media = content.media;
+      caption = content.caption;
+    }
+
+    // Check the quoted message before answering n8n, which doesn't wait for the send
+    await whatsappManager.buildReplyContext(account_id, replyOptions);
+
+    const sendReply = () => {
+      if (location) return whatsappManager.sendLocation(account_id, number, location, replyOptions);
+      if (contacts) return whatsappManager.sendContacts(account_id, number, contacts, replyOptions);
+      if (poll) return whatsappManager.sendPoll(account_id, number, poll, replyOptions);
+      if (media && (media.data || media.url)) {
+        return whatsappManager.sendMedia(account_id, number, media, caption || message || '', replyOptions);
+      }
+      return whatsappManager.sendMessage(account_id, number, message, replyOptions);
+    };
+
     // For n8n requests, respond immediately and process in background
     if (isN8n) {
       res.json({ status: 'pending', message: 'Message queued for delivery' });
 
       // Process in background
-      const sendPromise = media && (media.data || media.url) && media.mimetype
-        ? whatsappManager.sendMedia(account_id, number, media, caption || message || '')
-        : whatsappManager.sendMessage(account_id, number, message);
-
-      sendPromise
+      sendReply()
         .then(result => logger.info(`Background message sent: ${result.success}`))
         .catch(err => logger.error(`Background message error:`, err));
     } else {
       // For regular clients, wait for result
-      const result = media && (media.data || media.url) && media.mimetype
-        ? await whatsappManager.sendMedia(account_id, number, media, caption || message || '')
-        : await whatsappManager.sendMessage(account_id, number, message);
+      const result = await sendReply();
 
       res.json(result);
     }
   } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json({ error: error.message, details: error.details || undefined });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     logger.error('Error sending webhook reply:', error);
     res.status(500).json({ error: 'Failed to send message', message: error.message });
   }
 });
 
+// ============================================================================
+// CAMPAIGNS API
+// ============================================================================
+
+// Create a broadcast campaign (starts at start_at, or immediately)
+app.post('/api/campaigns', requireAuth, messageLimiter, validate(schemas.createCampaign), async (req, res) => {
+  try {
+    const account = await db.getAccount(req.body.account_id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const campaign = await campaignService.createCampaign(req.body);
+
+    emitToAccount(campaign.account_id, 'campaign-created', campaign);
+
+    res.status(201).json(campaign);
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      return res.status(error.status).json({ error: error.message, details: error.details || undefined });
+    }
+    logger.error('Error creating campaign:', error);
+    res.status(500).json({ error: 'Failed to create campaign', message: error.message });
+  }
+});
+
+// List campaigns (optionally filtered by ?account_id=)
+app.get('/api/campaigns', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const campaigns = await db.getCampaigns(req.query.account_id || null);
+    res.json(campaigns);
+  } catch (error) {
+    logger.error('Error fetching campaigns:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+// Get campaign with per-status recipient counts
+app.get('/api/campaigns/:id', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const campaign = await campaignService.getCampaignWithStats(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json(campaign);
+  } catch (error) {
+    logger.error('Error fetching campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign', message: error.message });
+  }
+});
+
+// List campaign recipients (?status=&limit=&offset=)
+app.get('/api/campaigns/:id/recipients', requireAuth, apiLimiter, validate(schemas.campaignRecipients, 'query'), async (req, res) => {
+  try {
+    const recipients = await db.getCampaignRecipients(req.params.id, req.query);
+    res.json(recipients);
+  } catch (error) {
+    logger.error('Error fetching campaign recipients:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign recipients' });
+  }
+});
+
+// Pause a scheduled or running campaign
+app.post('/api/campaigns/:id/pause', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const existing = await db.getCampaign(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const campaign = await campaignService.pauseCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(409).json({ error: `Cannot pause a campaign that is ${existing.status}` });
+    }
+
+    emitToAccount(campaign.account_id, 'campaign-updated', campaign);
+
+    res.json(campaign);
+  } catch (error) {
+    logger.error('Error trying to pause campaign:', error);
+    res.status(500).json({ error: 'Failed to pause campaign', message: error.message });
+  }
+});
+
+// Resume a paused campaign
+app.post('/api/campaigns/:id/resume', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const existing = await db.getCampaign(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const campaign = await campaignService.resumeCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(409).json({ error: `Cannot resume a campaign that is ${existing.status}` });
+    }
+
+    emitToAccount(campaign.account_id, 'campaign-updated', campaign);
+
+    res.json(campaign);
+  } catch (error) {
+    logger.error('Error trying to resume campaign:', error);
+    res.status(500).json({ error: 'Failed to resume campaign', message: error.message });
+  }
+});
+
+// Cancel a campaign (pending recipients are marked cancelled)
+app.post('/api/campaigns/:id/cancel', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const existing = await db.getCampaign(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const campaign = await campaignService.cancelCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(409).json({ error: `Cannot cancel a campaign that is ${existing.status}` });
+    }
+
+    emitToAccount(campaign.account_id, 'campaign-updated', campaign);
+
+    res.json(campaign);
+  } catch (error) {
+    logger.error('Error trying to cancel campaign:', error);
+    res.status(500).json({ error: 'Failed to cancel campaign', message: error.message });
+  }
+});
+
+// ============================================================================
+// SCHEDULED MESSAGES API
+// ============================================================================
+
+// Schedule a text or media message (send_at without an offset is read in `timezone`)
+app.post('/api/scheduled-messages', requireAuth, messageLimiter, validate(schemas.scheduleMessage), async (req, res) => {
+  try {
+    const account = await db.getAccount(req.body.account_id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const scheduled = await schedulerService.schedule(req.body);
+
+    emitToAccount(scheduled.account_id, 'scheduled-message-created', scheduled);
+
+    res.status(201).json(scheduled);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error scheduling message:', error);
+    res.status(500).json({ error: 'Failed to schedule message', message: error.message });
+  }
+});
+
+// List scheduled messages (?account_id=&status=&limit=&offset=)
+app.get('/api/scheduled-messages', requireAuth, apiLimiter, validate(schemas.scheduledMessagesQuery, 'query'), async (req, res) => {
+  try {
+    const { account_id, status, limit, offset } = req.query;
+    const scheduled = await db.getScheduledMessages({ accountId: account_id, status, limit, offset });
+    res.json(scheduled);
+  } catch (error) {
+    logger.error('Error fetching scheduled messages:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled messages' });
+  }
+});
+
+app.get('/api/scheduled-messages/:id', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const scheduled = await db.getScheduledMessage(req.params.id);
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    res.json(scheduled);
+  } catch (error) {
+    logger.error('Error fetching scheduled message:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled message', message: error.message });
+  }
+});
+
+// Edit a scheduled message (only while it is still 'scheduled')
+app.put('/api/scheduled-messages/:id', requireAuth, apiLimiter, validate(schemas.updateScheduledMessage), async (req, res) => {
+  try {
+    const existing = await db.getScheduledMessage(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+
+    const scheduled = await schedulerService.update(existing, req.body);
+    if (!scheduled) {
+      return res.status(409).json({ error: `Cannot edit a message that is ${existing.status}` });
+    }
+
+    emitToAccount(scheduled.account_id, 'scheduled-message-updated', scheduled);
+
+    res.json(scheduled);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Error updating scheduled message:', error);
+    res.status(500).json({ error: 'Failed to update scheduled message', message: error.message });
+  }
+});
+
+// Cancel a scheduled message
+app.delete('/api/scheduled-messages/:id', requireAuth, apiLimiter, async (req, res) => {
+  try {
+    const existing = await db.getScheduledMessage(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+
+    const scheduled = await schedulerService.cancel(req.params.id);
+    if (!scheduled) {
+      return res.status(409).json({ error: `Cannot cancel a message that is ${existing.status}` });
+    }
+
+    emitToAccount(scheduled.account_id, 'scheduled-message-updated', scheduled);
+
+    res.json({ success: true, message: 'Scheduled message cancelled' });
+  } catch (error) {
+    logger.error('Error cancelling scheduled message:', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled message', message: error.message });
+  }
+});
+
 // ============================================================================
 // MESSAGE LOGS API
 // ============================================================================
@@ -1582,6 +2698,27 @@ async function initializeApp() {
       logger.error('Failed to start WebhookDeliveryService:', error);
     }
 
+    // Start outbound message queue worker
+    try {
+      await outboundMessageService.start();
+    } catch (error) {
+      logger.error('Failed to start OutboundMessageService:', error);
+    }
+
+    // Start campaign worker
+    try {
+      await campaignService.start();
+    } catch (error) {
+      logger.error('Failed to start CampaignService:', error);
+    }
+
+    // Start scheduled message dispatcher
+    try {
+      await schedulerService.start();
+    } catch (error) {
+      logger.error('Failed to start SchedulerService:', error);
+    }
+
     logger.info('System initialized successfully!');
   } catch (error) {
     logger.error('Error initializing app:', error);
@@ -1698,6 +2835,24 @@ const shutdown = async (signal) => {
     logger.error('Error stopping WebhookDeliveryService:', error);
   }
 
+  try {
+    outboundMessageService.stop();
+  } catch (error) {
+    logger.error('Error stopping OutboundMessageService:', error);
+  }
+
+  try {
+    campaignService.stop();
+  } catch (error) {
+    logger.error('Error stopping CampaignService:', error);
+  }
+
+  try {
+    schedulerService.stop();
+  } catch (error) {
+    logger.error('Error stopping SchedulerService:', error);
+  }
+
   stopKeepAlivePing();
 
   // Close all WhatsApp clients first
@@ -0,0 +1,49 @@
+-- Migration: Add broadcast campaigns
+-- Run this in your Supabase SQL editor
+
+-- Broadcast campaigns (one message to many recipients)
+CREATE TABLE IF NOT EXISTS campaigns (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    message_type VARCHAR(50) DEFAULT 'text',  -- text, media
+    payload JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'scheduled',  -- scheduled, running, paused, completed, cancelled
+    start_at TIMESTAMPTZ DEFAULT NOW(),
+    total_recipients INTEGER DEFAULT 0,
+    sent_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Per-recipient delivery status for campaigns
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+    number VARCHAR(255) NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending',  -- pending, processing, sent, failed, cancelled
+    message_id VARCHAR(255),
+    error_message TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_account ON campaigns(account_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status) WHERE status IN ('scheduled', 'running');
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign ON campaign_recipients(campaign_id, status);
+
+DROP TRIGGER IF EXISTS update_campaigns_updated_at ON campaigns;
+CREATE TRIGGER update_campaigns_updated_at
+    BEFORE UPDATE ON campaigns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_campaign_recipients_updated_at ON campaign_recipients;
+CREATE TRIGGER update_campaign_recipients_updated_at
+    BEFORE UPDATE ON campaign_recipients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,8 @@
+-- Migration: Chatbot group mode
+-- Run this in your Supabase SQL editor
+
+-- off: never reply in groups, mention: reply only when @mentioned or quoted
+ALTER TABLE ai_auto_replies ADD COLUMN IF NOT EXISTS group_mode VARCHAR(20) DEFAULT 'off';
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,53 @@
+-- Migration: Add contacts and chats synced from WhatsApp
+-- Run this in your Supabase SQL editor
+
+-- WhatsApp contacts per account (address book name, push name, business name)
+CREATE TABLE IF NOT EXISTS contacts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    jid VARCHAR(255) NOT NULL,          -- 919876543210@s.whatsapp.net or xxx@lid
+    phone_number VARCHAR(50),
+    lid VARCHAR(255),
+    name VARCHAR(255),                  -- name saved in the phone's address book
+    push_name VARCHAR(255),             -- name the contact set for themselves
+    verified_name VARCHAR(255),         -- business name verified by WhatsApp
+    is_business BOOLEAN DEFAULT false,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(account_id, jid)
+);
+
+-- WhatsApp chats per account (one row per conversation)
+CREATE TABLE IF NOT EXISTS chats (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    jid VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    is_group BOOLEAN DEFAULT false,
+    unread_count INTEGER DEFAULT 0,
+    last_message TEXT,
+    last_message_from_me BOOLEAN,
+    last_message_at TIMESTAMPTZ,
+    archived BOOLEAN DEFAULT false,
+    pinned BOOLEAN DEFAULT false,
+    muted_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(account_id, jid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_contacts_account ON contacts(account_id);
+CREATE INDEX IF NOT EXISTS idx_chats_account_recent ON chats(account_id, last_message_at DESC);
+
+DROP TRIGGER IF EXISTS update_contacts_updated_at ON contacts;
+CREATE TRIGGER update_contacts_updated_at
+    BEFORE UPDATE ON contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_chats_updated_at ON chats;
+CREATE TRIGGER update_chats_updated_at
+    BEFORE UPDATE ON chats
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
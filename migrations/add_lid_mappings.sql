@@ -0,0 +1,24 @@
+-- Migration: Persist the LID to phone number mapping
+-- Run this in your Supabase SQL editor
+
+-- LID -> phone number per account (WhatsApp hides numbers behind @lid ids)
+CREATE TABLE IF NOT EXISTS lid_mappings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    lid VARCHAR(100) NOT NULL,          -- user part of xxx@lid
+    phone_number VARCHAR(50) NOT NULL,
+    source VARCHAR(20) DEFAULT 'message' CHECK (source IN ('message', 'contact', 'lookup', 'manual')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(account_id, lid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lid_mappings_phone ON lid_mappings(account_id, phone_number);
+
+DROP TRIGGER IF EXISTS update_lid_mappings_updated_at ON lid_mappings;
+CREATE TRIGGER update_lid_mappings_updated_at
+    BEFORE UPDATE ON lid_mappings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
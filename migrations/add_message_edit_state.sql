@@ -0,0 +1,11 @@
+-- Migration: Record edited / deleted state of logged messages
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+
+-- Edits and deletes look messages up by WhatsApp message id
+CREATE INDEX IF NOT EXISTS idx_message_logs_message_id ON message_logs(account_id, message_id);
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
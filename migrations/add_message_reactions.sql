@@ -0,0 +1,8 @@
+-- Migration: Log reactions and poll votes against the message they belong to
+-- Run this in your Supabase SQL editor
+
+-- reaction / poll_vote rows point at the message reacted to / voted on
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS target_message_id VARCHAR(255);
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,32 @@
+-- Migration: Add message templates
+-- Run this in your Supabase SQL editor
+
+-- Reusable message templates ({{placeholders}} filled in at send time)
+CREATE TABLE IF NOT EXISTS message_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    body TEXT NOT NULL,
+    media JSONB,  -- optional { url | data, mimetype, filename }; body becomes the caption
+    language VARCHAR(20) DEFAULT 'en',
+    variables TEXT[] DEFAULT '{}',  -- placeholder names found in body
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(account_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_templates_account ON message_templates(account_id);
+
+DROP TRIGGER IF EXISTS update_message_templates_updated_at ON message_templates;
+CREATE TRIGGER update_message_templates_updated_at
+    BEFORE UPDATE ON message_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Per-recipient template variables for campaigns
+ALTER TABLE campaign_recipients
+ADD COLUMN IF NOT EXISTS variables JSONB;
+
+COMMENT ON COLUMN campaigns.message_type IS 'text, media or template (rendered per recipient)';
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
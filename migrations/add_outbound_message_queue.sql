@@ -0,0 +1,32 @@
+-- Migration: Add durable outbound message queue
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS outbound_message_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    recipient VARCHAR(255) NOT NULL,
+    message_type VARCHAR(50) DEFAULT 'text',  -- text, media
+    payload JSONB NOT NULL,
+    max_retries INTEGER DEFAULT 5,
+    attempt_count INTEGER DEFAULT 0,
+    status VARCHAR(50) DEFAULT 'pending',  -- pending, processing, sent, failed, dead_letter
+    message_id VARCHAR(255),
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_account ON outbound_message_queue(account_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_next_attempt ON outbound_message_queue(next_attempt_at) WHERE status IN ('pending', 'failed');
+
+DROP TRIGGER IF EXISTS update_outbound_queue_updated_at ON outbound_message_queue;
+CREATE TRIGGER update_outbound_queue_updated_at
+    BEFORE UPDATE ON outbound_message_queue
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE outbound_message_queue IS 'Queued outgoing messages, sent by the outbound worker with per-account pacing';
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,30 @@
+-- Migration: Add scheduled messages
+-- Run this in your Supabase SQL editor
+
+-- Scheduled messages (sent once send_at has passed and the account is ready)
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    recipient VARCHAR(255) NOT NULL,
+    message_type VARCHAR(50) DEFAULT 'text',  -- text, media
+    payload JSONB NOT NULL,
+    send_at TIMESTAMPTZ NOT NULL,
+    timezone VARCHAR(100),  -- IANA zone the send time was given in (display only)
+    status VARCHAR(50) DEFAULT 'scheduled',  -- scheduled, sending, sent, failed, cancelled
+    message_id VARCHAR(255),
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_account ON scheduled_messages(account_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(send_at) WHERE status = 'scheduled';
+
+DROP TRIGGER IF EXISTS update_scheduled_messages_updated_at ON scheduled_messages;
+CREATE TRIGGER update_scheduled_messages_updated_at
+    BEFORE UPDATE ON scheduled_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,30 @@
+-- Migration: Webhook delivery history (one row per attempt) for inspection and replay
+-- Run this in your Supabase SQL editor
+
+-- The table may already exist from an older schema.sql; it was never written to before
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE,
+    account_id UUID REFERENCES accounts(id) ON DELETE SET NULL,
+    payload JSONB,
+    response_status INTEGER,
+    response_body TEXT,
+    attempts INTEGER DEFAULT 1,
+    status VARCHAR(50) DEFAULT 'success',
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ
+);
+
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS job_id UUID REFERENCES webhook_delivery_queue(id) ON DELETE SET NULL;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS event VARCHAR(100);
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS webhook_url TEXT;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS latency_ms INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_recent ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_job ON webhook_deliveries(job_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_queue_webhook_status ON webhook_delivery_queue(webhook_id, status);
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
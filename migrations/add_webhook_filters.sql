@@ -0,0 +1,8 @@
+-- Migration: Per-webhook filter rules (senders, chat type, message types, keywords)
+-- Run this in your Supabase SQL editor
+
+-- { senders, exclude_senders, chat_type, message_types, keywords } - see utils/webhookFilters.js
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS filters JSONB;
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
@@ -0,0 +1,13 @@
+-- Migration: Webhook endpoint health (circuit breaker and automatic disabling)
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER DEFAULT 0;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS last_success_at TIMESTAMPTZ;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS last_failure_at TIMESTAMPTZ;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS circuit_open_until TIMESTAMPTZ;  -- deliveries paused until then
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS disabled_reason TEXT;            -- set when turned off automatically
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMPTZ;
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
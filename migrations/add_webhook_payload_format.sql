@@ -0,0 +1,9 @@
+-- Migration: Per-webhook payload format (raw, n8n, Slack/Discord/Teams presets or a custom JSON template)
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS payload_format VARCHAR(20) DEFAULT 'auto'
+    CHECK (payload_format IN ('auto', 'raw', 'n8n', 'slack', 'discord', 'teams', 'custom'));
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS payload_template JSONB;  -- used when payload_format = 'custom'
+
+-- Refresh the schema cache (Supabase specific)
+NOTIFY pgrst, 'reload schema';
@@ -75,6 +75,11 @@ function debounce(func, wait) {
     };
 }
 
+// Escape API data (names, message text, errors from receivers) before putting it in HTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 // Debounced stats loader
 const debouncedLoadStats = debounce(() => {
     console.log('Debounced loadStats triggered');
@@ -119,10 +124,49 @@ function setupSocketListeners() {
         debouncedLoadStats();
     });
 
+    socket.on('account-updated', () => {
+        loadAccounts();
+    });
+
     socket.on('message', (data) => {
         console.log('Message received:', data);
         debouncedLoadStats();
     });
+
+    socket.on('scheduled-message-updated', () => {
+        if (document.getElementById('scheduledContainer')) {
+            loadScheduledMessages();
+        }
+    });
+
+    socket.on('webhook-health', (data) => {
+        refreshOpenWebhooksList(data.accountId);
+    });
+
+    socket.on('webhook-disabled', (data) => {
+        showAlert(`Webhook disabled after repeated failures: ${data.url}`, 'warning');
+        addNotification({
+            type: 'warning',
+            icon: 'fa-plug',
+            iconColor: 'var(--warning)',
+            title: 'Webhook disabled',
+            desc: `${data.url.substring(0, 40)}... kept failing (${data.deadLettered} queued deliveries moved to dead letters)`,
+            time: 'Just now'
+        });
+        refreshOpenWebhooksList(data.accountId);
+    });
+
+    socket.on('campaign-progress', (data) => {
+        updateCampaignProgress(data);
+        if (data.status === 'completed') {
+            addNotification({
+                type: 'success',
+                icon: 'fa-bullhorn',
+                title: 'Campaign completed',
+                desc: `${escapeHtml(data.name)}: ${data.sent} sent, ${data.failed} failed`
+            });
+        }
+    });
 }
 
 // Setup Event Listeners
@@ -144,6 +188,8 @@ function setupEventListeners() {
                 'accounts': 'Accounts',
                 'webhooks': 'Webhooks',
                 'messages': 'Messages',
+                'scheduled': 'Scheduled',
+                'campaigns': 'Campaigns',
                 'analytics': 'Analytics',
                 'system': 'System'
             };
@@ -167,6 +213,16 @@ function setupEventListeners() {
                 showMessagesView();
                 return;
             }
+
+            if (view === 'scheduled') {
+                showScheduledView();
+                return;
+            }
+
+            if (view === 'campaigns') {
+                showCampaignsView();
+                return;
+            }
             
             // For dashboard, accounts, and analytics - restore original view if needed
             const statsGrid = document.getElementById('statsGrid');
@@ -317,6 +373,17 @@ function setupEventListeners() {
     const createWebhookForm = document.getElementById('createWebhookForm');
     if (createWebhookForm) {
         createWebhookForm.addEventListener('submit', handleCreateWebhook);
+        createWebhookForm.addEventListener('reset', () => {
+            document.getElementById('webhookPayloadTemplate').style.display = 'none';
+        });
+    }
+
+    // Payload template only for the custom format
+    const webhookPayloadFormat = document.getElementById('webhookPayloadFormat');
+    if (webhookPayloadFormat) {
+        webhookPayloadFormat.addEventListener('change', (e) => {
+            document.getElementById('webhookPayloadTemplate').style.display = e.target.value === 'custom' ? 'block' : 'none';
+        });
     }
 
     // Add Webhook Button
@@ -338,12 +405,15 @@ function setupEventListeners() {
             const type = e.target.value;
             const mediaGroup = document.getElementById('mediaInputGroup');
             const buttonGroup = document.getElementById('buttonInputs');
+            const pollGroup = document.getElementById('pollInputs');
             const messageLabel = document.getElementById('messageBodyLabel');
             const messageInput = document.getElementById('messageText');
             
             // Reset visibility
             if (mediaGroup) mediaGroup.style.display = 'none';
             if (buttonGroup) buttonGroup.style.display = 'none';
+            if (pollGroup) pollGroup.style.display = 'none';
+            messageInput.closest('.form-group').style.display = 'block';
             
             if (type === 'text') {
                 messageLabel.textContent = 'Message';
@@ -358,6 +428,10 @@ function setupEventListeners() {
                 if (mediaGroup) mediaGroup.style.display = 'block'; 
                 messageLabel.textContent = 'Body Text';
                 messageInput.placeholder = 'Main message text...';
+            } else if (type === 'poll') {
+                if (pollGroup) pollGroup.style.display = 'block';
+                // The poll question replaces the message body
+                messageInput.closest('.form-group').style.display = 'none';
             }
         });
     });
@@ -384,7 +458,28 @@ function setupEventListeners() {
         });
     }
 
-    // Remove Button Option (Delegation)
+    // Add Poll Option
+    const addPollOption = document.getElementById('addPollOption');
+    if (addPollOption) {
+        addPollOption.addEventListener('click', () => {
+            const list = document.getElementById('pollOptionsList');
+            
+            if (list.children.length >= 12) {
+                showAlert('Maximum 12 poll options allowed', 'warning');
+                return;
+            }
+            
+            const div = document.createElement('div');
+            div.className = 'button-option-item';
+            div.innerHTML = `
+                <input type="text" class="cyber-input poll-option-input" placeholder="Option Text" required>
+                <button type="button" class="btn-remove-option"><i class="fas fa-times"></i></button>
+            `;
+            list.appendChild(div);
+        });
+    }
+
+    // Remove Button / Poll Option (Delegation)
     document.addEventListener('click', (e) => {
         if (e.target.closest('.btn-remove-option')) {
             e.target.closest('.button-option-item').remove();
@@ -434,6 +529,15 @@ function setupEventListeners() {
                 case 'delete-webhook':
                     deleteWebhook(webhookId, accountId);
                     break;
+                case 'webhook-deliveries':
+                    loadWebhookDeliveries(webhookId);
+                    break;
+                case 'replay-delivery':
+                    replayWebhookDelivery(actionBtn.getAttribute('data-job-id'), webhookId);
+                    break;
+                case 'replay-dead-letters':
+                    replayDeadLetters(webhookId);
+                    break;
             }
         }
     });
@@ -1131,7 +1235,31 @@ async function handleSendMessage(e) {
     try {
         let response;
 
-        if (messageType === 'text') {
+        const sendAt = document.getElementById('messageSendAt').value;
+
+        if (sendAt && messageType !== 'text') {
+            throw new Error('Only text messages can be scheduled from the dashboard');
+        }
+
+        if (messageType === 'text' && sendAt) {
+            if (!message) {
+                throw new Error('Message text is required');
+            }
+
+            // Schedule text message in the browser's timezone
+            response = await fetch('/api/scheduled-messages', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    account_id: accountId,
+                    number: recipient,
+                    message: message,
+                    send_at: sendAt,
+                    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+                })
+            });
+        } else if (messageType === 'text') {
             if (!message) {
                 throw new Error('Message text is required');
             }
@@ -1186,7 +1314,7 @@ async function handleSendMessage(e) {
                 const formData = new FormData();
                 formData.append('account_id', accountId);
                 formData.append('number', recipient);
-                formData.append('body', message); // Used as content if no media, or ignored/caption if media
+                formData.append('body', message); // Shown below the media header
                 formData.append('buttons', JSON.stringify(buttons.map(b => ({ body: b }))));
                 if (title) formData.append('title', title);
                 if (footer) formData.append('footer', footer);
@@ -1213,6 +1341,33 @@ async function handleSendMessage(e) {
                     })
                 });
             }
+        } else if (messageType === 'poll') {
+            const question = document.getElementById('pollQuestion').value.trim();
+            const optionInputs = document.querySelectorAll('.poll-option-input');
+            const options = Array.from(optionInputs).map(input => input.value.trim()).filter(val => val);
+            
+            if (!question) {
+                throw new Error('Poll question is required');
+            }
+            
+            if (options.length < 2) {
+                throw new Error('At least two poll options are required');
+            }
+            
+            const allowMultiple = document.getElementById('pollMultiSelect').value === 'true';
+            
+            response = await fetch('/api/send-poll', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({
+                    account_id: accountId,
+                    number: recipient,
+                    name: question,
+                    options: options,
+                    selectable_count: allowMultiple ? 0 : 1
+                })
+            });
         }
 
         const data = await response.json();
@@ -1225,13 +1380,14 @@ async function handleSendMessage(e) {
             throw new Error(data.error || data.message || 'Failed to send message');
         }
 
-        showAlert('Message sent successfully!', 'success');
+        showAlert(sendAt ? 'Message scheduled!' : 'Message sent successfully!', 'success');
         closeModal('sendMessageModal');
         document.getElementById('sendMessageForm').reset();
         
         // Reset UI state
         document.querySelector('input[name="messageType"][value="text"]').click();
         document.getElementById('buttonsList').innerHTML = '';
+        document.getElementById('pollOptionsList').innerHTML = '';
         
         // Re-enable button
         submitBtn.disabled = false;
@@ -1303,9 +1459,20 @@ async function loadWebhooks(accountId) {
     }
 }
 
+// Reload the webhooks modal if it is showing this account
+function refreshOpenWebhooksList(accountId) {
+    const modal = document.getElementById('webhooksModal');
+    if (modal && modal.classList.contains('active') && document.getElementById('webhookAccountId').value === accountId) {
+        loadWebhooks(accountId);
+    }
+}
+
 // Render Webhooks List
 function renderWebhooksList(accountId) {
     const list = document.getElementById('webhooksList');
+    const deliveriesPanel = document.getElementById('webhookDeliveriesPanel');
+    deliveriesPanel.style.display = 'none';
+    deliveriesPanel.innerHTML = '';
     
     if (webhooks.length === 0) {
         list.innerHTML = `
@@ -1323,6 +1490,9 @@ function renderWebhooksList(accountId) {
         const hasAllEvents = events.includes('*') || events.includes('all');
         const hasMessages = hasAllEvents || events.includes('message');
         const hasAcks = hasAllEvents || events.includes('message_ack');
+        const hasGroups = hasAllEvents || events.includes('group_participants_update') || events.includes('group_update');
+        const hasConnection = hasAllEvents || events.some(e => e.startsWith('connection.'));
+        const hasActivity = hasAllEvents || ['reaction', 'message_edited', 'message_deleted', 'poll_vote'].some(e => events.includes(e));
         
         // Build event badges with clear descriptions
         let eventBadgesHtml = '';
@@ -1335,6 +1505,15 @@ function renderWebhooksList(accountId) {
             if (hasAcks) {
                 eventBadgesHtml += '<span class="event-badge ack" style="margin-right: 4px;" title="Sent ✓ / Delivered ✓✓ / Read (blue ✓✓) status updates"><i class="fas fa-check-double"></i> Seen/Delivered</span>';
             }
+            if (hasActivity) {
+                eventBadgesHtml += '<span class="event-badge activity" style="margin-right: 4px;" title="Reactions, edited and deleted messages, poll votes"><i class="fas fa-face-smile"></i> Activity</span>';
+            }
+            if (hasConnection) {
+                eventBadgesHtml += '<span class="event-badge connection" style="margin-right: 4px;" title="QR code, connected, disconnected and logged out"><i class="fas fa-plug"></i> Connection</span>';
+            }
+            if (hasGroups) {
+                eventBadgesHtml += '<span class="event-badge group" style="margin-right: 4px;" title="Participants added/removed/promoted and group name or description changes"><i class="fas fa-users"></i> Groups</span>';
+            }
         }
         
         return `
@@ -1344,6 +1523,9 @@ function renderWebhooksList(accountId) {
                     <div style="font-weight: 600; margin-bottom: 5px; word-break: break-all;">${webhook.url}</div>
                     <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-bottom: 8px;">
                         ${eventBadgesHtml}
+                        ${webhook.payload_format && webhook.payload_format !== 'auto' ? `<span class="event-badge" style="margin-right: 4px;" title="Payload format"><i class="fas fa-code"></i> ${webhook.payload_format}</span>` : ''}
+                        ${webhook.filters ? `<span class="event-badge" style="margin-right: 4px;" title="${escapeHtml(describeWebhookFilters(webhook.filters))}"><i class="fas fa-filter"></i> Filtered</span>` : ''}
+                        ${renderWebhookHealthBadge(webhook)}
                     </div>
                     ${webhook.secret ? `
                         <div style="font-size: 12px; color: var(--primary); margin-bottom: 3px;">
@@ -1359,6 +1541,9 @@ function renderWebhooksList(accountId) {
                     <button class="btn-action" style="background: var(--info); color: white;" onclick="testWebhook('${webhook.id}', '${accountId}', '${webhook.url}')" title="Test Webhook">
                         <i class="fas fa-vial"></i>
                     </button>
+                    <button class="btn-action" data-action="webhook-deliveries" data-webhook-id="${webhook.id}" title="Delivery Log">
+                        <i class="fas fa-list"></i>
+                    </button>
                     <button class="btn-action danger" data-action="delete-webhook" data-webhook-id="${webhook.id}" data-account-id="${accountId}" title="Delete">
                         <i class="fas fa-trash"></i>
                     </button>
@@ -1368,6 +1553,29 @@ function renderWebhooksList(accountId) {
     `}).join('');
 }
 
+// Filter rules from the create webhook form (null when nothing is set)
+function getWebhookFormFilters() {
+    const list = (id, separator) => document.getElementById(id).value
+        .split(separator)
+        .map(item => item.trim())
+        .filter(Boolean);
+
+    const filters = {};
+    const chatType = document.getElementById('webhookFilterChatType').value;
+    const messageTypes = list('webhookFilterMessageTypes', ',').map(type => type.toLowerCase());
+    const senders = list('webhookFilterSenders', /[\n,]/);
+    const excludeSenders = list('webhookFilterExcludeSenders', /[\n,]/);
+    const keywords = list('webhookFilterKeywords', '\n');
+
+    if (chatType !== 'all') filters.chat_type = chatType;
+    if (messageTypes.length) filters.message_types = messageTypes;
+    if (senders.length) filters.senders = senders;
+    if (excludeSenders.length) filters.exclude_senders = excludeSenders;
+    if (keywords.length) filters.keywords = keywords;
+
+    return Object.keys(filters).length ? filters : null;
+}
+
 // Handle Create Webhook
 async function handleCreateWebhook(e) {
     e.preventDefault();
@@ -1376,11 +1584,16 @@ async function handleCreateWebhook(e) {
     const url = document.getElementById('webhookUrl').value.trim();
     const secret = document.getElementById('webhookSecret').value.trim();
     const isActive = document.getElementById('webhookActive').checked;
+    const payloadFormat = document.getElementById('webhookPayloadFormat').value;
+    const payloadTemplateText = document.getElementById('webhookPayloadTemplate').value.trim();
     
     // Collect selected events
     const events = [];
     if (document.getElementById('eventMessage').checked) events.push('message');
     if (document.getElementById('eventMessageAck').checked) events.push('message_ack');
+    if (document.getElementById('eventActivity').checked) events.push('reaction', 'message_edited', 'message_deleted', 'poll_vote');
+    if (document.getElementById('eventGroup').checked) events.push('group_participants_update', 'group_update');
+    if (document.getElementById('eventConnection').checked) events.push('connection.qr', 'connection.ready', 'connection.disconnected', 'connection.logged_out');
 
     if (!accountId || !url) {
         showAlert('Please fill in all required fields', 'error');
@@ -1392,6 +1605,20 @@ async function handleCreateWebhook(e) {
         return;
     }
 
+    let payloadTemplate = null;
+    if (payloadFormat === 'custom') {
+        try {
+            payloadTemplate = JSON.parse(payloadTemplateText);
+        } catch (error) {
+            showAlert('Payload template must be valid JSON', 'error');
+            return;
+        }
+        if (!payloadTemplate || typeof payloadTemplate !== 'object' || Array.isArray(payloadTemplate)) {
+            showAlert('Payload template must be a JSON object', 'error');
+            return;
+        }
+    }
+
     // Show loading state
     const submitBtn = e.target.querySelector('button[type="submit"]');
     const originalBtnContent = submitBtn.innerHTML;
@@ -1409,6 +1636,19 @@ async function handleCreateWebhook(e) {
             webhookData.secret = secret;
         }
 
+        const filters = getWebhookFormFilters();
+        if (filters) {
+            webhookData.filters = filters;
+        }
+
+        // 'auto' is the column default - left out so older databases keep working
+        if (payloadFormat !== 'auto') {
+            webhookData.payload_format = payloadFormat;
+        }
+        if (payloadTemplate) {
+            webhookData.payload_template = payloadTemplate;
+        }
+
         const response = await fetch(`/api/accounts/${accountId}/webhooks`, {
             method: 'POST',
             headers: {
@@ -1485,6 +1725,161 @@ async function deleteWebhook(webhookId, accountId) {
     }
 }
 
+// Auto-disabled / paused / failing badge from the webhook's stored health
+function renderWebhookHealthBadge(webhook) {
+    if (!webhook.is_active && webhook.disabled_reason) {
+        return `<span class="event-badge" style="margin-right: 4px; color: var(--danger);" title="${escapeHtml(webhook.disabled_reason)}"><i class="fas fa-ban"></i> Auto-disabled</span>`;
+    }
+    if (webhook.circuit_open_until && new Date(webhook.circuit_open_until) > new Date()) {
+        return `<span class="event-badge" style="margin-right: 4px; color: var(--danger);" title="${escapeHtml(webhook.last_error || '')} - next try ${formatDate(webhook.circuit_open_until)}"><i class="fas fa-circle-pause"></i> Paused: endpoint down</span>`;
+    }
+    if (webhook.consecutive_failures > 0) {
+        return `<span class="event-badge" style="margin-right: 4px; color: var(--warning);" title="${escapeHtml(webhook.last_error || '')}"><i class="fas fa-triangle-exclamation"></i> ${webhook.consecutive_failures} failed in a row</span>`;
+    }
+    return '';
+}
+
+// Readable summary of a webhook's filter rules (badge tooltip)
+function describeWebhookFilters(filters) {
+    const parts = [];
+    if (filters.chat_type) parts.push(`${filters.chat_type} chats only`);
+    if (filters.message_types) parts.push(`types: ${filters.message_types.join(', ')}`);
+    if (filters.senders) parts.push(`only from: ${filters.senders.join(', ')}`);
+    if (filters.exclude_senders) parts.push(`never from: ${filters.exclude_senders.join(', ')}`);
+    if (filters.keywords) parts.push(`keywords: ${filters.keywords.join(' | ')}`);
+    return parts.join('; ');
+}
+
+// Load Webhook Delivery Log (dead letters + recent attempts)
+async function loadWebhookDeliveries(webhookId) {
+    const panel = document.getElementById('webhookDeliveriesPanel');
+    const webhook = webhooks.find(w => w.id === webhookId);
+
+    panel.style.display = 'block';
+    panel.innerHTML = '<div style="padding: 15px; text-align: center;"><i class="fas fa-spinner fa-spin"></i> Loading deliveries...</div>';
+
+    try {
+        const [deliveriesRes, deadLettersRes] = await Promise.all([
+            fetch(`/api/webhooks/${webhookId}/deliveries?limit=25`, { credentials: 'include' }),
+            fetch(`/api/webhooks/${webhookId}/dead-letters?limit=25`, { credentials: 'include' })
+        ]);
+
+        const deliveriesData = await deliveriesRes.json();
+        const deadLettersData = await deadLettersRes.json();
+
+        if (!deliveriesRes.ok) throw new Error(deliveriesData.message || deliveriesData.error || 'Failed to fetch deliveries');
+        if (!deadLettersRes.ok) throw new Error(deadLettersData.message || deadLettersData.error || 'Failed to fetch dead letters');
+
+        renderWebhookDeliveries(webhookId, webhook ? webhook.url : '', deliveriesData.deliveries, deadLettersData.dead_letters);
+    } catch (error) {
+        console.error('Error loading webhook deliveries:', error);
+        panel.innerHTML = `<div style="padding: 15px; color: var(--danger);"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Render Webhook Delivery Log
+function renderWebhookDeliveries(webhookId, webhookUrl, deliveries, deadLetters) {
+    const panel = document.getElementById('webhookDeliveriesPanel');
+    const statusColors = { success: 'var(--success)', failed: 'var(--warning)', dead_letter: 'var(--danger)' };
+
+    const deadLettersHtml = deadLetters.length === 0 ? '' : `
+        <div style="padding: 12px; border: 1px solid var(--danger); border-radius: 8px; margin-bottom: 12px;">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                <strong style="color: var(--danger);"><i class="fas fa-skull-crossbones"></i> ${deadLetters.length} dead letter${deadLetters.length === 1 ? '' : 's'}</strong>
+                <button class="btn-action" data-action="replay-dead-letters" data-webhook-id="${webhookId}" title="Replay all dead letters">
+                    <i class="fas fa-redo"></i> Replay all
+                </button>
+            </div>
+            ${deadLetters.map(job => `
+                <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; font-size: 12px; padding: 6px 0; border-top: 1px solid var(--border-color);">
+                    <div style="flex: 1; min-width: 0;">
+                        <div>${job.payload?.event ? `${escapeHtml(job.payload.event)} · ` : ''}${job.attempt_count} attempt${job.attempt_count === 1 ? '' : 's'} · ${formatDate(job.updated_at)}</div>
+                        <div style="color: var(--text-secondary); word-break: break-all;">${escapeHtml(job.last_error || '')}</div>
+                    </div>
+                    <button class="btn-action" data-action="replay-delivery" data-job-id="${job.id}" data-webhook-id="${webhookId}" title="Replay">
+                        <i class="fas fa-redo"></i>
+                    </button>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    const deliveriesHtml = deliveries.length === 0
+        ? '<div style="font-size: 12px; color: var(--text-secondary);">No deliveries recorded yet</div>'
+        : deliveries.map(delivery => `
+            <details style="font-size: 12px; padding: 6px 0; border-top: 1px solid var(--border-color);">
+                <summary style="cursor: pointer;">
+                    <span style="color: ${statusColors[delivery.status] || 'var(--text-secondary)'};">${escapeHtml(delivery.status)}</span>
+                    ${delivery.event ? `· ${escapeHtml(delivery.event)}` : ''}
+                    · ${delivery.response_status ? `HTTP ${delivery.response_status}` : 'no response'}
+                    · ${delivery.latency_ms ?? '-'} ms
+                    · attempt ${delivery.attempts}
+                    · ${formatDate(delivery.created_at)}
+                    ${delivery.job_id && delivery.status !== 'failed' ? `<button class="btn-action" style="margin-left: 6px;" data-action="replay-delivery" data-job-id="${delivery.job_id}" data-webhook-id="${webhookId}" title="Replay"><i class="fas fa-redo"></i></button>` : ''}
+                </summary>
+                ${delivery.error_message ? `<div style="color: var(--danger); margin-top: 6px;">${escapeHtml(delivery.error_message)}</div>` : ''}
+                ${delivery.response_body ? `<div style="margin-top: 6px;">Response:</div><pre style="white-space: pre-wrap; word-break: break-all; max-height: 150px; overflow: auto;">${escapeHtml(delivery.response_body)}</pre>` : ''}
+                <div style="margin-top: 6px;">Payload:</div>
+                <pre style="white-space: pre-wrap; word-break: break-all; max-height: 200px; overflow: auto;">${escapeHtml(JSON.stringify(delivery.payload, null, 2))}</pre>
+            </details>
+        `).join('');
+
+    panel.innerHTML = `
+        <div style="padding: 15px; background: rgba(255, 255, 255, 0.03); border-radius: 8px; border: 1px solid var(--border-color);">
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                <div style="font-weight: 600; word-break: break-all;"><i class="fas fa-list"></i> Delivery log · ${escapeHtml(webhookUrl)}</div>
+                <button class="btn-action" data-action="webhook-deliveries" data-webhook-id="${webhookId}" title="Refresh">
+                    <i class="fas fa-sync"></i>
+                </button>
+            </div>
+            ${deadLettersHtml}
+            ${deliveriesHtml}
+        </div>
+    `;
+}
+
+// Replay a single webhook delivery
+async function replayWebhookDelivery(jobId, webhookId) {
+    try {
+        const response = await fetch(`/api/webhook-deliveries/${jobId}/replay`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to replay delivery');
+
+        showAlert('Delivery queued for replay', 'success');
+        await loadWebhookDeliveries(webhookId);
+    } catch (error) {
+        console.error('Error replaying delivery:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
+// Replay every dead letter of a webhook
+async function replayDeadLetters(webhookId) {
+    if (!confirm('Replay all dead-lettered deliveries for this webhook?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/webhooks/${webhookId}/dead-letters/replay`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to replay dead letters');
+
+        showAlert(`${data.replayed} deliveries queued for replay`, 'success');
+        await loadWebhookDeliveries(webhookId);
+    } catch (error) {
+        console.error('Error replaying dead letters:', error);
+        showAlert(error.message, 'error');
+    }
+}
+
 // Get Message Stats
 async function getMessageStats() {
     try {
@@ -1779,6 +2174,252 @@ async function loadAllMessages() {
     }
 }
 
+// Scheduled Messages View
+function showScheduledView() {
+    const mainContent = document.getElementById('mainContent');
+    mainContent.innerHTML = '<div class="cyber-card"><div class="card-header"><div><h2 class="card-title">Scheduled Messages</h2><p class="card-subtitle">Messages waiting for their send time</p></div><button class="btn-cyber" onclick="openModal(\'sendMessageModal\');"><span class="btn-content"><i class="fas fa-clock"></i> Schedule Message</span></button></div><div id="scheduledContainer" style="padding: 20px;"><div style="text-align: center; padding: 40px;"><i class="fas fa-spinner fa-spin" style="font-size: 32px;"></i><p style="margin-top: 15px;">Loading scheduled messages...</p></div></div></div>';
+    loadScheduledMessages();
+}
+
+async function loadScheduledMessages() {
+    const container = document.getElementById('scheduledContainer');
+    if (!container) return;
+
+    try {
+        const response = await fetch('/api/scheduled-messages?limit=100', { credentials: 'include' });
+        if (!response.ok) throw new Error('Failed to load scheduled messages');
+        const scheduled = await response.json();
+
+        // Still-pending messages first, then by send time
+        scheduled.sort((a, b) => (a.status === 'scheduled' ? 0 : 1) - (b.status === 'scheduled' ? 0 : 1) || new Date(a.send_at) - new Date(b.send_at));
+
+        [...new Set(scheduled.map(m => m.account_id))].forEach(accountId => {
+            socket.emit('subscribe-account', accountId);
+        });
+
+        if (scheduled.length === 0) {
+            container.innerHTML = '<div style="text-align: center; padding: 40px;"><i class="fas fa-clock" style="font-size: 48px; opacity: 0.3;"></i><p style="margin-top: 15px;">No scheduled messages</p></div>';
+            return;
+        }
+
+        container.innerHTML = scheduled.map(msg => {
+            const account = accounts.find(a => a.id === msg.account_id);
+            const accountName = account ? account.name : msg.account_id;
+            const text = msg.message_type === 'media'
+                ? `<i class="fas fa-paperclip"></i> ${escapeHtml(msg.payload?.caption || msg.payload?.media?.filename || 'Media')}`
+                : escapeHtml(msg.payload?.message || '');
+            const cancelBtn = msg.status === 'scheduled'
+                ? `<button class="btn-secondary" onclick="cancelScheduledMessage('${msg.id}')"><i class="fas fa-times"></i> Cancel</button>`
+                : '';
+
+            return `
+            <div style="background: rgba(0,243,255,0.05); border: 1px solid rgba(0,243,255,0.2); border-radius: 8px; padding: 15px; margin-bottom: 10px;">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+                    <div style="font-size: 12px; color: var(--text-secondary);">
+                        <i class="fas fa-clock"></i> ${formatDate(msg.send_at)}${msg.timezone ? ` (${escapeHtml(msg.timezone)})` : ''} &middot; ${escapeHtml(accountName)} &rarr; ${escapeHtml(msg.recipient)}
+                    </div>
+                    <span class="status-badge ${escapeHtml(msg.status)}">${escapeHtml(msg.status)}</span>
+                </div>
+                <div style="color: var(--text-primary); font-size: 14px; line-height: 1.4;">${text}</div>
+                ${msg.last_error ? `<div style="font-size: 12px; color: var(--error); margin-top: 6px;">${escapeHtml(msg.last_error)}</div>` : ''}
+                ${cancelBtn ? `<div style="margin-top: 10px;">${cancelBtn}</div>` : ''}
+            </div>`;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading scheduled messages:', error);
+        container.innerHTML = '<div style="text-align: center; padding: 40px; color: var(--error);"><i class="fas fa-exclamation-circle" style="font-size: 48px;"></i><p style="margin-top: 15px;">Failed to load scheduled messages</p></div>';
+    }
+}
+
+async function cancelScheduledMessage(id) {
+    if (!confirm('Cancel this scheduled message?')) return;
+
+    try {
+        const response = await fetch(`/api/scheduled-messages/${id}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to cancel scheduled message');
+
+        showAlert('Scheduled message cancelled', 'success');
+        loadScheduledMessages();
+    } catch (error) {
+        console.error('Error cancelling scheduled message:', error);
+        showAlert(escapeHtml(error.message), 'error');
+    }
+}
+
+// Campaigns View
+let campaignChartInstance = null;
+let campaignsCache = [];
+
+function showCampaignsView() {
+    const mainContent = document.getElementById('mainContent');
+    mainContent.innerHTML = '<div class="cyber-card" style="margin-bottom: 20px;"><div class="card-header"><div><h2 class="card-title">Campaign Progress</h2><p class="card-subtitle">Sent, failed and pending recipients per campaign</p></div><button class="btn-secondary" onclick="loadCampaigns();"><i class="fas fa-sync-alt"></i> Refresh</button></div><div style="padding: 20px;"><div class="analytics-chart"><canvas id="campaignProgressChart"></canvas></div></div></div><div class="cyber-card"><div class="card-header"><h2 class="card-title">Campaigns</h2></div><div id="campaignsContainer" style="padding: 20px;"><div style="text-align: center; padding: 40px;"><i class="fas fa-spinner fa-spin" style="font-size: 32px;"></i><p style="margin-top: 15px;">Loading campaigns...</p></div></div></div>';
+    loadCampaigns();
+}
+
+async function loadCampaigns() {
+    const container = document.getElementById('campaignsContainer');
+    if (!container) return;
+
+    try {
+        const response = await fetch('/api/campaigns', { credentials: 'include' });
+        if (!response.ok) throw new Error('Failed to load campaigns');
+        campaignsCache = await response.json();
+
+        // Receive live progress for every account with a campaign
+        [...new Set(campaignsCache.map(c => c.account_id))].forEach(accountId => {
+            socket.emit('subscribe-account', accountId);
+        });
+
+        if (campaignsCache.length === 0) {
+            container.innerHTML = '<div style="text-align: center; padding: 40px;"><i class="fas fa-bullhorn" style="font-size: 48px; opacity: 0.3;"></i><p style="margin-top: 15px;">No campaigns yet. Create one with POST /api/campaigns</p></div>';
+        } else {
+            container.innerHTML = campaignsCache.map(renderCampaignCard).join('');
+        }
+
+        renderCampaignChart();
+    } catch (error) {
+        console.error('Error loading campaigns:', error);
+        container.innerHTML = '<div style="text-align: center; padding: 40px; color: var(--error);"><i class="fas fa-exclamation-circle" style="font-size: 48px;"></i><p style="margin-top: 15px;">Failed to load campaigns</p></div>';
+    }
+}
+
+function renderCampaignCard(campaign) {
+    const total = campaign.total_recipients || 0;
+    const done = (campaign.sent_count || 0) + (campaign.failed_count || 0);
+    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+    const account = accounts.find(a => a.id === campaign.account_id);
+    const accountName = account ? account.name : campaign.account_id;
+
+    let actions = '';
+    if (campaign.status === 'scheduled' || campaign.status === 'running') {
+        actions += `<button class="btn-secondary" onclick="campaignAction('${campaign.id}', 'pause')"><i class="fas fa-pause"></i> Pause</button>`;
+    }
+    if (campaign.status === 'paused') {
+        actions += `<button class="btn-secondary" onclick="campaignAction('${campaign.id}', 'resume')"><i class="fas fa-play"></i> Resume</button>`;
+    }
+    if (['scheduled', 'running', 'paused'].includes(campaign.status)) {
+        actions += `<button class="btn-secondary" onclick="campaignAction('${campaign.id}', 'cancel')"><i class="fas fa-times"></i> Cancel</button>`;
+    }
+
+    return `
+    <div id="campaign-${campaign.id}" style="background: rgba(0,243,255,0.05); border: 1px solid rgba(0,243,255,0.2); border-radius: 8px; padding: 15px; margin-bottom: 10px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+            <div>
+                <div style="font-weight: 600;">${escapeHtml(campaign.name)}</div>
+                <div style="font-size: 11px; color: var(--text-secondary);">${escapeHtml(accountName)} &middot; starts ${formatDate(campaign.start_at)}</div>
+            </div>
+            <span class="status-badge ${escapeHtml(campaign.status)}">${escapeHtml(campaign.status)}</span>
+        </div>
+        <div style="display: flex; align-items: center; gap: 10px;">
+            <div style="flex: 1; height: 6px; background: rgba(0,0,0,0.1); border-radius: 3px; overflow: hidden;">
+                <div style="width: ${percent}%; height: 100%; background: var(--success);"></div>
+            </div>
+            <span style="font-size: 12px;">${campaign.sent_count || 0} sent / ${campaign.failed_count || 0} failed / ${total} total</span>
+        </div>
+        <div style="display: flex; gap: 8px; margin-top: 10px;">${actions}</div>
+    </div>`;
+}
+
+function renderCampaignChart() {
+    const ctx = document.getElementById('campaignProgressChart');
+    if (!ctx || typeof Chart === 'undefined') return;
+
+    const theme = getChartTheme();
+    const recent = campaignsCache.slice(0, 10);
+    const labels = recent.map(c => c.name);
+    const sent = recent.map(c => c.sent_count || 0);
+    const failed = recent.map(c => c.failed_count || 0);
+    const pending = recent.map(c => Math.max(0, (c.total_recipients || 0) - (c.sent_count || 0) - (c.failed_count || 0)));
+
+    // Canvas is recreated with the view, so the old chart can't be reused
+    if (campaignChartInstance) {
+        campaignChartInstance.destroy();
+    }
+
+    campaignChartInstance = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [
+                { label: 'Sent', data: sent, backgroundColor: '#66BB6A' },
+                { label: 'Failed', data: failed, backgroundColor: '#F44336' },
+                { label: 'Pending', data: pending, backgroundColor: 'rgba(33, 150, 243, 0.4)' }
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: { duration: 0 },
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: { color: theme.textColor }
+                },
+                tooltip: {
+                    backgroundColor: theme.tooltipBg,
+                    titleColor: theme.tooltipText,
+                    bodyColor: theme.tooltipText
+                }
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    beginAtZero: true,
+                    grid: { color: theme.gridColor },
+                    ticks: { color: theme.textColor }
+                },
+                y: {
+                    stacked: true,
+                    grid: { display: false },
+                    ticks: { color: theme.textColor }
+                }
+            }
+        }
+    });
+}
+
+// Apply a live campaign-progress event to the open campaigns view
+function updateCampaignProgress(progress) {
+    const campaign = campaignsCache.find(c => c.id === progress.id);
+    if (!campaign) return;
+
+    campaign.status = progress.status;
+    campaign.sent_count = progress.sent;
+    campaign.failed_count = progress.failed;
+
+    const card = document.getElementById(`campaign-${progress.id}`);
+    if (card) {
+        card.outerHTML = renderCampaignCard(campaign);
+    }
+    renderCampaignChart();
+}
+
+async function campaignAction(campaignId, action) {
+    if (action === 'cancel' && !confirm('Cancel this campaign? Pending recipients will not be messaged.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/campaigns/${campaignId}/${action}`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || `Failed to ${action} campaign`);
+
+        showAlert(`Campaign ${result.status}`, 'success');
+        loadCampaigns();
+    } catch (error) {
+        console.error(`Error trying to ${action} campaign:`, error);
+        showAlert(escapeHtml(error.message), 'error');
+    }
+}
+
 // Analytics Charts
 let dashboardChartInstances = {};
 let detailedChartInstances = {};
@@ -2122,6 +2763,7 @@ async function openChatbotModal(accountId) {
             document.getElementById('chatbotApiKey').value = config.api_key || '';
             document.getElementById('chatbotSystemPrompt').value = config.system_prompt || '';
             document.getElementById('chatbotActive').checked = config.is_active;
+            document.getElementById('chatbotGroupMode').value = config.group_mode || 'off';
             updateChatbotStatusLabel(config.is_active);
             
             if (config.temperature !== undefined) {
@@ -2293,6 +2935,7 @@ async function handleChatbotSave(e) {
     const systemPrompt = document.getElementById('chatbotSystemPrompt').value;
     const temperature = parseFloat(document.getElementById('chatbotTemperature').value);
     const isActive = document.getElementById('chatbotActive').checked;
+    const groupMode = document.getElementById('chatbotGroupMode').value;
 
     if (isActive && !apiKey) {
         showAlert('API Key is required to enable chatbot', 'error');
@@ -2317,7 +2960,8 @@ async function handleChatbotSave(e) {
                 api_key: apiKey,
                 system_prompt: systemPrompt,
                 temperature,
-                is_active: isActive
+                is_active: isActive,
+                group_mode: groupMode
             })
         });
 
@@ -2333,7 +2977,8 @@ async function handleChatbotSave(e) {
             api_key: apiKey,
             system_prompt: systemPrompt,
             temperature,
-            is_active: isActive
+            is_active: isActive,
+            group_mode: groupMode
         };
 
         showAlert('Chatbot configuration saved successfully!', 'success');
@@ -18,7 +18,7 @@ CREATE TABLE IF NOT EXISTS accounts (
     last_session_saved TIMESTAMPTZ,
     qr_code TEXT,
     error_message TEXT,
-    metadata JSONB DEFAULT '{}',
+    metadata JSONB DEFAULT '{}',  -- account options, e.g. { "auto_read_receipts": true }
     last_active_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
@@ -39,7 +39,9 @@ CREATE TABLE IF NOT EXISTS sessions (
 -- ============================================================================
 
 -- Webhooks table
--- Supported events: 'message', 'message_ack', '*' (all events)
+-- Supported events: 'message', 'message_ack', 'reaction', 'message_edited', 'message_deleted', 'poll_vote',
+-- 'group_participants_update', 'group_update', 'connection.qr', 'connection.ready',
+-- 'connection.disconnected', 'connection.logged_out', 'presence.update', '*' (all events)
 -- message_ack statuses: sent (2), delivered (3), read (4)
 CREATE TABLE IF NOT EXISTS webhooks (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -48,6 +50,16 @@ CREATE TABLE IF NOT EXISTS webhooks (
     events TEXT[] DEFAULT ARRAY['message'],
     secret TEXT,
     headers JSONB DEFAULT '{}',
+    payload_format VARCHAR(20) DEFAULT 'auto' CHECK (payload_format IN ('auto', 'raw', 'n8n', 'slack', 'discord', 'teams', 'custom')),
+    payload_template JSONB,  -- {{field}} placeholders, used when payload_format = 'custom'
+    filters JSONB,  -- senders, exclude_senders, chat_type, message_types, keywords (utils/webhookFilters.js)
+    consecutive_failures INTEGER DEFAULT 0,
+    last_error TEXT,
+    last_success_at TIMESTAMPTZ,
+    last_failure_at TIMESTAMPTZ,
+    circuit_open_until TIMESTAMPTZ,  -- deliveries paused until then (circuit breaker)
+    disabled_reason TEXT,            -- set when turned off automatically
+    disabled_at TIMESTAMPTZ,
     max_retries INTEGER DEFAULT 5,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -72,16 +84,100 @@ CREATE TABLE IF NOT EXISTS webhook_delivery_queue (
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
--- Webhook deliveries log (optional - for completed deliveries history)
+-- Outbound message queue (durable, paced sends per account)
+CREATE TABLE IF NOT EXISTS outbound_message_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    recipient VARCHAR(255) NOT NULL,
+    message_type VARCHAR(50) DEFAULT 'text',  -- text, media
+    payload JSONB NOT NULL,
+    max_retries INTEGER DEFAULT 5,
+    attempt_count INTEGER DEFAULT 0,
+    status VARCHAR(50) DEFAULT 'pending',  -- pending, processing, sent, failed, dead_letter
+    message_id VARCHAR(255),
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Broadcast campaigns (one message to many recipients)
+CREATE TABLE IF NOT EXISTS campaigns (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    message_type VARCHAR(50) DEFAULT 'text',  -- text, media, template
+    payload JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'scheduled',  -- scheduled, running, paused, completed, cancelled
+    start_at TIMESTAMPTZ DEFAULT NOW(),
+    total_recipients INTEGER DEFAULT 0,
+    sent_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Per-recipient delivery status for campaigns
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    campaign_id UUID REFERENCES campaigns(id) ON DELETE CASCADE,
+    number VARCHAR(255) NOT NULL,
+    variables JSONB,  -- per-recipient template variables
+    status VARCHAR(50) DEFAULT 'pending',  -- pending, processing, sent, failed, cancelled
+    message_id VARCHAR(255),
+    error_message TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Scheduled messages (sent once send_at has passed and the account is ready)
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    recipient VARCHAR(255) NOT NULL,
+    message_type VARCHAR(50) DEFAULT 'text',  -- text, media
+    payload JSONB NOT NULL,
+    send_at TIMESTAMPTZ NOT NULL,
+    timezone VARCHAR(100),  -- IANA zone the send time was given in (display only)
+    status VARCHAR(50) DEFAULT 'scheduled',  -- scheduled, sending, sent, failed, cancelled
+    message_id VARCHAR(255),
+    last_error TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Reusable message templates ({{placeholders}} filled in at send time)
+CREATE TABLE IF NOT EXISTS message_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    body TEXT NOT NULL,
+    media JSONB,  -- optional { url | data, mimetype, filename }; body becomes the caption
+    language VARCHAR(20) DEFAULT 'en',
+    variables TEXT[] DEFAULT '{}',  -- placeholder names found in body
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(account_id, name)
+);
+
+-- Webhook delivery history (one row per attempt)
 CREATE TABLE IF NOT EXISTS webhook_deliveries (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     webhook_id UUID REFERENCES webhooks(id) ON DELETE CASCADE,
     account_id UUID REFERENCES accounts(id) ON DELETE SET NULL,
+    job_id UUID REFERENCES webhook_delivery_queue(id) ON DELETE SET NULL,
+    event VARCHAR(100),
+    webhook_url TEXT,
     payload JSONB,
     response_status INTEGER,
-    response_body TEXT,
-    attempts INTEGER DEFAULT 1,
-    status VARCHAR(50) DEFAULT 'success',
+    response_body TEXT,               -- first 1000 characters
+    latency_ms INTEGER,
+    attempts INTEGER DEFAULT 1,       -- attempt number of this row
+    status VARCHAR(50) DEFAULT 'success',  -- success, failed, dead_letter
     error_message TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     delivered_at TIMESTAMPTZ
@@ -103,6 +199,7 @@ CREATE TABLE IF NOT EXISTS ai_auto_replies (
     temperature DECIMAL(3,2) DEFAULT 0.7,
     max_tokens INTEGER DEFAULT 500,
     history_limit INTEGER DEFAULT 10,  -- Number of messages to remember
+    group_mode VARCHAR(20) DEFAULT 'off',  -- off, mention (reply in groups only when @mentioned or quoted)
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(account_id)
@@ -138,9 +235,63 @@ CREATE TABLE IF NOT EXISTS message_logs (
     group_name VARCHAR(255),
     status VARCHAR(50) DEFAULT 'success',
     error_message TEXT,
+    edited_at TIMESTAMPTZ,   -- set when a sent text is edited (message holds the new text)
+    revoked_at TIMESTAMPTZ,  -- set when a sent message is deleted for everyone
+    target_message_id VARCHAR(255),  -- for reaction / poll_vote rows: the message reacted to / voted on
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- ============================================================================
+-- CONTACTS & CHATS
+-- ============================================================================
+
+-- WhatsApp contacts per account (address book name, push name, business name)
+CREATE TABLE IF NOT EXISTS contacts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    jid VARCHAR(255) NOT NULL,          -- 919876543210@s.whatsapp.net or xxx@lid
+    phone_number VARCHAR(50),
+    lid VARCHAR(255),
+    name VARCHAR(255),                  -- name saved in the phone's address book
+    push_name VARCHAR(255),             -- name the contact set for themselves
+    verified_name VARCHAR(255),         -- business name verified by WhatsApp
+    is_business BOOLEAN DEFAULT false,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(account_id, jid)
+);
+
+-- WhatsApp chats per account (one row per conversation)
+CREATE TABLE IF NOT EXISTS chats (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    jid VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    is_group BOOLEAN DEFAULT false,
+    unread_count INTEGER DEFAULT 0,
+    last_message TEXT,
+    last_message_from_me BOOLEAN,
+    last_message_at TIMESTAMPTZ,
+    archived BOOLEAN DEFAULT false,
+    pinned BOOLEAN DEFAULT false,
+    muted_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(account_id, jid)
+);
+
+-- LID -> phone number per account (WhatsApp hides numbers behind @lid ids)
+CREATE TABLE IF NOT EXISTS lid_mappings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    lid VARCHAR(100) NOT NULL,          -- user part of xxx@lid
+    phone_number VARCHAR(50) NOT NULL,
+    source VARCHAR(20) DEFAULT 'message' CHECK (source IN ('message', 'contact', 'lookup', 'manual')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(account_id, lid)
+);
+
 -- ============================================================================
 -- PER-NUMBER SETTINGS (Whitelist/Blacklist)
 -- ============================================================================
@@ -170,7 +321,19 @@ CREATE INDEX IF NOT EXISTS idx_webhooks_account_id ON webhooks(account_id);
 CREATE INDEX IF NOT EXISTS idx_webhooks_active ON webhooks(is_active) WHERE is_active = true;
 CREATE INDEX IF NOT EXISTS idx_webhook_queue_status ON webhook_delivery_queue(status);
 CREATE INDEX IF NOT EXISTS idx_webhook_queue_next_attempt ON webhook_delivery_queue(next_attempt_at) WHERE status IN ('pending', 'failed');
+CREATE INDEX IF NOT EXISTS idx_webhook_queue_webhook_status ON webhook_delivery_queue(webhook_id, status);
 CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_recent ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_job ON webhook_deliveries(job_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created ON webhook_deliveries(created_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_account ON outbound_message_queue(account_id);
+CREATE INDEX IF NOT EXISTS idx_outbound_queue_next_attempt ON outbound_message_queue(next_attempt_at) WHERE status IN ('pending', 'failed');
+CREATE INDEX IF NOT EXISTS idx_campaigns_account ON campaigns(account_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status) WHERE status IN ('scheduled', 'running');
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign ON campaign_recipients(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_account ON scheduled_messages(account_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due ON scheduled_messages(send_at) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_message_templates_account ON message_templates(account_id);
 
 -- AI/Chatbot indexes
 CREATE INDEX IF NOT EXISTS idx_ai_auto_replies_account ON ai_auto_replies(account_id);
@@ -182,6 +345,12 @@ CREATE INDEX IF NOT EXISTS idx_chatbot_conversations_active ON chatbot_conversat
 CREATE INDEX IF NOT EXISTS idx_message_logs_account ON message_logs(account_id);
 CREATE INDEX IF NOT EXISTS idx_message_logs_created ON message_logs(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_message_logs_conversation ON message_logs(account_id, sender, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_logs_message_id ON message_logs(account_id, message_id);
+
+-- Contacts & chats indexes
+CREATE INDEX IF NOT EXISTS idx_contacts_account ON contacts(account_id);
+CREATE INDEX IF NOT EXISTS idx_chats_account_recent ON chats(account_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_lid_mappings_phone ON lid_mappings(account_id, phone_number);
 
 -- Number settings indexes
 CREATE INDEX IF NOT EXISTS idx_number_settings_account ON account_number_settings(account_id);
@@ -221,6 +390,46 @@ CREATE TRIGGER update_webhook_queue_updated_at
     BEFORE UPDATE ON webhook_delivery_queue
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_outbound_queue_updated_at ON outbound_message_queue;
+CREATE TRIGGER update_outbound_queue_updated_at
+    BEFORE UPDATE ON outbound_message_queue
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_campaigns_updated_at ON campaigns;
+CREATE TRIGGER update_campaigns_updated_at
+    BEFORE UPDATE ON campaigns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_campaign_recipients_updated_at ON campaign_recipients;
+CREATE TRIGGER update_campaign_recipients_updated_at
+    BEFORE UPDATE ON campaign_recipients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_scheduled_messages_updated_at ON scheduled_messages;
+CREATE TRIGGER update_scheduled_messages_updated_at
+    BEFORE UPDATE ON scheduled_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_message_templates_updated_at ON message_templates;
+CREATE TRIGGER update_message_templates_updated_at
+    BEFORE UPDATE ON message_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_contacts_updated_at ON contacts;
+CREATE TRIGGER update_contacts_updated_at
+    BEFORE UPDATE ON contacts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_chats_updated_at ON chats;
+CREATE TRIGGER update_chats_updated_at
+    BEFORE UPDATE ON chats
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_lid_mappings_updated_at ON lid_mappings;
+CREATE TRIGGER update_lid_mappings_updated_at
+    BEFORE UPDATE ON lid_mappings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 DROP TRIGGER IF EXISTS update_ai_auto_replies_updated_at ON ai_auto_replies;
 CREATE TRIGGER update_ai_auto_replies_updated_at
     BEFORE UPDATE ON ai_auto_replies
@@ -293,6 +502,14 @@ $$ LANGUAGE plpgsql;
 -- ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
 -- ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
 -- ALTER TABLE webhook_delivery_queue ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE outbound_message_queue ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE campaign_recipients ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE contacts ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE chats ENABLE ROW LEVEL SECURITY;
+-- ALTER TABLE lid_mappings ENABLE ROW LEVEL SECURITY;
 -- ALTER TABLE ai_auto_replies ENABLE ROW LEVEL SECURITY;
 -- ALTER TABLE chatbot_conversations ENABLE ROW LEVEL SECURITY;
 -- ALTER TABLE message_logs ENABLE ROW LEVEL SECURITY;
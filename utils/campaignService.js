@@ -0,0 +1,277 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { db } = require('../config/database');
+const whatsappManager = require('./whatsappManager');
+const { TemplateError, validateVariables, resolveTemplate } = require('./messageTemplates');
+
+// Account states that are expected to recover on their own - the recipient goes back in line
+const TRANSIENT_STATUSES = ['reconnecting', 'initializing'];
+
+class CampaignService extends EventEmitter {
+  constructor() {
+    super();
+    this.interval = parseInt(process.env.CAMPAIGN_WORKER_INTERVAL_MS, 10) || 2000;
+    this.sendIntervalMs = parseInt(process.env.CAMPAIGN_SEND_INTERVAL_MS, 10) || 3000;
+    this.timer = null;
+    this.isProcessing = false;
+    this.started = false;
+    this.lastSentAt = new Map(); // accountId -> timestamp of last campaign send
+    this.activeAccounts = new Set(); // accounts with a campaign send in flight
+  }
+
+  async start() {
+    if (this.started) {
+      return;
+    }
+
+    await db.resetStuckCampaignRecipients();
+
+    this.timer = setInterval(() => this.processCampaigns(), this.interval);
+    this.started = true;
+    logger.info('CampaignService started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.started = false;
+    logger.info('CampaignService stopped');
+  }
+
+  /**
+   * Create a campaign
+   * @param {object} data - { account_id, name, recipients, message | media + caption | template_id + variables, start_at }
+   *   recipients are numbers or { number, variables } (per-recipient template variables)
+   */
+  async createCampaign(data) {
+    // Normalize to [{ number, variables }] and drop duplicate numbers (first one wins)
+    // Duplicates are found on the jid, so "+91 98765 43210" and "09876543210" are one recipient;
+    // invalid numbers are kept as typed and fail when their turn comes
+    const country = await whatsappManager.getDefaultCountry(data.account_id);
+    const byNumber = new Map();
+    for (const entry of data.recipients) {
+      const recipient = typeof entry === 'string' ? { number: entry } : entry;
+      const number = String(recipient.number).trim();
+      if (!number) continue;
+
+      let key = number;
+      try {
+        key = whatsappManager.formatPhoneNumber(number, country);
+      } catch (error) {
+        // INVALID_NUMBER
+      }
+      if (!byNumber.has(key)) {
+        byNumber.set(key, { number, variables: recipient.variables || null });
+      }
+    }
+    const numbers = [...byNumber.values()];
+
+    let messageType;
+    let payload;
+    if (data.template_id) {
+      await this.validateTemplateRecipients(data.account_id, data.template_id, data.variables || {}, numbers);
+      messageType = 'template';
+      payload = { template_id: data.template_id, variables: data.variables || {} };
+    } else if (data.media) {
+      messageType = 'media';
+      payload = { media: data.media, caption: data.caption || '' };
+    } else {
+      messageType = 'text';
+      payload = { message: data.message };
+    }
+
+    const campaign = await db.createCampaign({
+      account_id: data.account_id,
+      name: data.name,
+      message_type: messageType,
+      payload,
+      status: 'scheduled',
+      start_at: data.start_at ? new Date(data.start_at).toISOString() : new Date().toISOString()
+    }, numbers);
+
+    logger.info(`Campaign created: ${campaign.id} (${numbers.length} recipients)`);
+    return campaign;
+  }
+
+  // Reject the campaign up front if any recipient would be missing a template variable
+  async validateTemplateRecipients(accountId, templateId, sharedVariables, recipients) {
+    const template = await db.getTemplate(templateId);
+    if (!template || template.account_id !== accountId) {
+      throw new TemplateError('Template not found', 404);
+    }
+
+    const details = [];
+    for (const recipient of recipients) {
+      try {
+        validateVariables(template, { ...sharedVariables, ...recipient.variables });
+      } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        details.push(...error.details.map(d => ({ ...d, field: `recipients[${recipient.number}].${d.field}` })));
+        if (details.length >= 20) break;
+      }
+    }
+
+    if (details.length) {
+      throw new TemplateError('Validation failed', 400, details);
+    }
+  }
+
+  async pauseCampaign(campaignId) {
+    return db.updateCampaign(campaignId, { status: 'paused' }, ['scheduled', 'running']);
+  }
+
+  async resumeCampaign(campaignId) {
+    // Back to 'scheduled' - the worker promotes it to 'running' once start_at has passed
+    return db.updateCampaign(campaignId, { status: 'scheduled' }, ['paused']);
+  }
+
+  async cancelCampaign(campaignId) {
+    const campaign = await db.updateCampaign(campaignId, {
+      status: 'cancelled',
+      completed_at: new Date().toISOString()
+    }, ['scheduled', 'running', 'paused']);
+
+    if (campaign) {
+      await db.cancelPendingCampaignRecipients(campaignId);
+      this.emitProgress(campaign);
+    }
+    return campaign;
+  }
+
+  async getCampaignWithStats(campaignId) {
+    const campaign = await db.getCampaign(campaignId);
+    if (!campaign) return null;
+
+    const stats = await db.getCampaignRecipientStats(campaignId);
+    return { ...campaign, stats };
+  }
+
+  async processCampaigns() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const campaigns = await db.getActiveCampaigns();
+      const now = Date.now();
+
+      for (const campaign of campaigns) {
+        const accountId = campaign.account_id;
+
+        // One send in flight per account, paced across all of its campaigns
+        if (this.activeAccounts.has(accountId)) continue;
+        if (now - (this.lastSentAt.get(accountId) || 0) < this.sendIntervalMs) continue;
+
+        // Wait for the account to be connected; nothing is consumed meanwhile
+        if (whatsappManager.accountStatus.get(accountId) !== 'ready') continue;
+
+        this.activeAccounts.add(accountId);
+        this.processNextRecipient(campaign)
+          .catch(error => logger.error(`Campaign ${campaign.id} error:`, error))
+          .finally(() => {
+            this.lastSentAt.set(accountId, Date.now());
+            this.activeAccounts.delete(accountId);
+          });
+      }
+    } catch (error) {
+      logger.error('Campaign processing error:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async processNextRecipient(campaign) {
+    if (campaign.status === 'scheduled') {
+      campaign = await db.updateCampaign(campaign.id, { status: 'running' }, ['scheduled']);
+      if (!campaign) return;
+      logger.info(`Campaign ${campaign.id} started`);
+    }
+
+    const recipient = await db.claimNextCampaignRecipient(campaign.id);
+
+    if (!recipient) {
+      const stats = await db.getCampaignRecipientStats(campaign.id);
+      if (stats.pending === 0 && stats.processing === 0) {
+        const completed = await db.updateCampaign(campaign.id, {
+          status: 'completed',
+          completed_at: new Date().toISOString()
+        }, ['running']);
+
+        if (completed) {
+          logger.info(`Campaign ${campaign.id} completed (${completed.sent_count} sent, ${completed.failed_count} failed)`);
+          this.emitProgress(completed);
+        }
+      }
+      return;
+    }
+
+    try {
+      const result = await this.sendToRecipient(campaign, recipient);
+
+      await db.updateCampaignRecipient(recipient.id, {
+        status: 'sent',
+        message_id: result.messageId,
+        error_message: null,
+        sent_at: new Date().toISOString()
+      });
+
+      const updated = await db.refreshCampaignCounts(campaign.id).catch(() => null); // logged in db
+      this.emitProgress(updated || campaign);
+    } catch (error) {
+      // Connection dropped mid-send - retry this recipient once the account is back
+      const status = whatsappManager.accountStatus.get(campaign.account_id);
+      if (TRANSIENT_STATUSES.includes(status)) {
+        await db.updateCampaignRecipient(recipient.id, { status: 'pending', error_message: error.message });
+        return;
+      }
+
+      await db.updateCampaignRecipient(recipient.id, {
+        status: 'failed',
+        error_message: error.message
+      });
+
+      const updated = await db.refreshCampaignCounts(campaign.id).catch(() => null); // logged in db
+      logger.warn(`Campaign ${campaign.id}: failed to send to ${recipient.number}: ${error.message}`);
+      this.emitProgress(updated || campaign);
+    }
+  }
+
+  async sendToRecipient(campaign, recipient) {
+    let { payload } = campaign;
+    let messageType = campaign.message_type;
+
+    // Render per recipient; recipient variables override the campaign-wide ones
+    if (messageType === 'template') {
+      const content = await resolveTemplate(campaign.account_id, payload.template_id, {
+        ...payload.variables,
+        ...recipient.variables
+      });
+      messageType = content.type;
+      payload = content;
+    }
+
+    if (messageType === 'media') {
+      return whatsappManager.sendMedia(campaign.account_id, recipient.number, payload.media, payload.caption || '', {});
+    }
+
+    return whatsappManager.sendMessage(campaign.account_id, recipient.number, payload.message);
+  }
+
+  emitProgress(campaign) {
+    this.emit('campaign-progress', {
+      id: campaign.id,
+      account_id: campaign.account_id,
+      name: campaign.name,
+      status: campaign.status,
+      total: campaign.total_recipients,
+      sent: campaign.sent_count,
+      failed: campaign.failed_count
+    });
+  }
+}
+
+module.exports = new CampaignService();
@@ -6,6 +6,8 @@ const AnthropicProvider = require('./providers/AnthropicProvider');
 const OpenRouterProvider = require('./providers/OpenRouterProvider');
 const GroqProvider = require('./providers/GroqProvider');
 
+const CONTACT_NAME_MAX_LENGTH = 50;
+
 class ChatbotManager {
   constructor() {
     this.processing = new Set(); // Track active processing per user
@@ -22,8 +24,8 @@ class ChatbotManager {
   /**
    * Process an incoming message and generate a response
    * @param {string} accountId - The WhatsApp account ID
-   * @param {object} message - The incoming message object from whatsapp-web.js
-   * @param {string} sender - The sender's phone number
+   * @param {object} message - { body, from, isGroup, mentionsMe, contactName, getChat }
+   * @param {string} sender - The sender's phone number (group id for group messages)
    * @returns {Promise<string|null>} The generated response or null
    */
   async processMessage(accountId, message, sender) {
@@ -50,6 +52,17 @@ class ChatbotManager {
         return null;
       }
 
+      // Group mode is opt-in, and then only answers when @mentioned or quoted
+      if (message.isGroup) {
+        if (config.group_mode !== 'mention') {
+          logger.debug(`[Chatbot] Group replies are off for account ${accountId}`);
+          return null;
+        }
+        if (!message.mentionsMe) {
+          return null;
+        }
+      }
+
       // 3. Validate Provider
       const ProviderClass = this.providers[config.provider];
       if (!ProviderClass) {
@@ -69,9 +82,14 @@ class ChatbotManager {
       logger.debug(`[Chatbot] Fetched ${history.length} history items for ${sender}`);
 
       // Add current message to history
+      // The sender picks their own WhatsApp name, so it goes in with their message as quoted data,
+      // never in the system prompt (1:1 chats only - in groups it's just the last speaker)
+      const contactName = !message.isGroup && this.sanitizeContactName(message.contactName);
       const currentMessage = {
         role: 'user',
-        content: message.body
+        content: contactName
+          ? `[Customer's WhatsApp name: ${JSON.stringify(contactName)}]\n${message.body}`
+          : message.body
       };
 
       const messages = [...history, currentMessage];
@@ -111,6 +129,19 @@ class ChatbotManager {
     }
   }
 
+  /**
+   * WhatsApp name on one line, without control characters and cut to a sane length
+   * @param {string|null} name
+   * @returns {string} '' when nothing usable is left
+   */
+  sanitizeContactName(name) {
+    return String(name || '')
+      .replace(/[\u0000-\u001f\u007f-\u009f\u2028\u2029]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, CONTACT_NAME_MAX_LENGTH);
+  }
+
   /**
    * Fetch and format conversation history
    * @param {string} accountId 
@@ -0,0 +1,173 @@
+/**
+ * Contact Store - WhatsApp contacts and chats per account, persisted to the contacts / chats tables
+ * Updates are merged in memory and written in batches, since a history sync can carry thousands at once
+ */
+
+const logger = require('./logger');
+const { db } = require('../config/database');
+
+const UPSERT_CHUNK_SIZE = 500;
+
+class ContactStore {
+  constructor() {
+    this.interval = parseInt(process.env.CONTACT_SYNC_INTERVAL_MS, 10) || 5000;
+    this.pendingContacts = new Map(); // `${accountId}|${jid}` -> partial contact row
+    this.pendingChats = new Map();    // `${accountId}|${jid}` -> { row, unreadDelta }
+    this.pushNames = new Map();       // `${accountId}|${jid}` -> last push name queued (skips repeat writes)
+    this.isFlushing = false;
+    this.disabled = false;
+
+    setInterval(() => this.flush(), this.interval);
+  }
+
+  /**
+   * Queue a contact change; only the fields present are written
+   * @param {string} accountId - Account UUID
+   * @param {object} contact - { jid, phone_number?, lid?, name?, push_name?, verified_name?, is_business? }
+   */
+  saveContact(accountId, contact) {
+    if (this.disabled) return;
+
+    const key = `${accountId}|${contact.jid}`;
+    this.pendingContacts.set(key, { ...this.pendingContacts.get(key), ...contact, account_id: accountId });
+
+    if (contact.push_name) {
+      this.pushNames.set(key, contact.push_name);
+    }
+  }
+
+  // Push name seen on an incoming message - only written when it changed
+  savePushName(accountId, jid, pushName, phoneNumber) {
+    if (!pushName || this.pushNames.get(`${accountId}|${jid}`) === pushName) return;
+
+    // Bounded like the LID cache - forgetting a name only costs one extra write
+    if (this.pushNames.size >= 10000) {
+      this.pushNames.delete(this.pushNames.keys().next().value);
+    }
+    const contact = { jid, push_name: pushName };
+    if (phoneNumber) contact.phone_number = phoneNumber;
+    if (jid.endsWith('@lid')) contact.lid = jid;
+    this.saveContact(accountId, contact);
+  }
+
+  /**
+   * Queue a chat change
+   * @param {string} accountId - Account UUID
+   * @param {object} chat - { jid, name?, is_group?, unread_count?, last_message?, ... }
+   * @param {number} [unreadDelta] - New unread messages, added to the stored count on flush
+   */
+  saveChat(accountId, chat, unreadDelta = 0) {
+    if (this.disabled) return;
+
+    const key = `${accountId}|${chat.jid}`;
+    const pending = this.pendingChats.get(key) || { row: { account_id: accountId }, unreadDelta: 0 };
+
+    if (chat.unread_count !== undefined) {
+      // An absolute count replaces anything counted so far
+      pending.unreadDelta = 0;
+    } else if (pending.row.unread_count !== undefined) {
+      pending.row.unread_count = Math.max(0, pending.row.unread_count + unreadDelta);
+    } else {
+      pending.unreadDelta += unreadDelta;
+    }
+    Object.assign(pending.row, chat);
+
+    this.pendingChats.set(key, pending);
+  }
+
+  async removeChats(accountId, jids) {
+    if (this.disabled || !jids.length) return;
+
+    for (const jid of jids) {
+      this.pendingChats.delete(`${accountId}|${jid}`);
+    }
+
+    try {
+      await db.deleteChats(accountId, jids);
+    } catch (error) {
+      this.handleError(error, 'deleting chats');
+    }
+  }
+
+  async flush() {
+    if (this.isFlushing || this.disabled) return;
+    if (!this.pendingContacts.size && !this.pendingChats.size) return;
+
+    this.isFlushing = true;
+    const contacts = [...this.pendingContacts.values()];
+    const chats = [...this.pendingChats.values()];
+    this.pendingContacts.clear();
+    this.pendingChats.clear();
+
+    try {
+      await this.upsertGrouped(contacts, rows => db.upsertContacts(rows));
+      await this.upsertGrouped(await this.applyUnreadDeltas(chats), rows => db.upsertChats(rows));
+
+      logger.debug(`Contact store flushed ${contacts.length} contacts, ${chats.length} chats`);
+    } catch (error) {
+      // Dropped rather than retried - the next sync or message brings the same data again
+      this.handleError(error, 'flushing contacts/chats');
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  // Turn unread deltas into absolute counts using the stored values
+  async applyUnreadDeltas(chats) {
+    const byAccount = new Map();
+    for (const { row, unreadDelta } of chats) {
+      if (!unreadDelta) continue;
+      if (!byAccount.has(row.account_id)) byAccount.set(row.account_id, []);
+      byAccount.get(row.account_id).push(row.jid);
+    }
+
+    const stored = {};
+    for (const [accountId, jids] of byAccount) {
+      stored[accountId] = await db.getChatUnreadCounts(accountId, jids);
+    }
+
+    return chats.map(({ row, unreadDelta }) => {
+      if (!unreadDelta) return row;
+      const current = stored[row.account_id][row.jid] || 0;
+      return { ...row, unread_count: Math.max(0, current + unreadDelta) };
+    });
+  }
+
+  // Upsert rows in groups with identical columns, so a partial update never blanks columns it didn't set
+  async upsertGrouped(rows, upsert) {
+    const groups = new Map();
+    for (const row of rows) {
+      const signature = Object.keys(row).sort().join(',');
+      if (!groups.has(signature)) groups.set(signature, []);
+      groups.get(signature).push(row);
+    }
+
+    for (const group of groups.values()) {
+      for (let i = 0; i < group.length; i += UPSERT_CHUNK_SIZE) {
+        await upsert(group.slice(i, i + UPSERT_CHUNK_SIZE));
+      }
+    }
+  }
+
+  handleError(error, action) {
+    if (error?.code === 'PGRST205') {
+      this.disabled = true;
+      this.pendingContacts.clear();
+      this.pendingChats.clear();
+      logger.error('Contacts/chats tables not found - contact sync disabled. Run migrations/add_contacts_and_chats.sql in Supabase.');
+      return;
+    }
+    logger.warn(`Contact store error while ${action}: ${error.message}`);
+  }
+
+  clear(accountId) {
+    const prefix = `${accountId}|`;
+    for (const map of [this.pendingContacts, this.pendingChats, this.pushNames]) {
+      for (const key of map.keys()) {
+        if (key.startsWith(prefix)) map.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new ContactStore();
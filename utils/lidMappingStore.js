@@ -0,0 +1,194 @@
+/**
+ * LID Mapping Store - which phone number is behind each @lid id
+ * Lookups are served from an in-memory cache; every mapping learned is also written to the
+ * lid_mappings table so it survives restarts (loaded back per account when it connects)
+ */
+
+const logger = require('./logger');
+const { db } = require('../config/database');
+
+const CACHE_MAX_SIZE = 10000; // Prevent unbounded growth
+const FLUSH_INTERVAL_MS = 5000;
+const UPSERT_CHUNK_SIZE = 500;
+const MISS_TTL_MS = 60000; // Unknown LIDs aren't looked up again for this long
+
+class LidMappingStore {
+  constructor() {
+    this.cache = new Map();          // lid -> phone number (LIDs are global, so shared by all accounts)
+    this.saved = new Map();          // `${accountId}|${lid}` -> phone number already stored for that account
+    this.pending = new Map();        // `${accountId}|${lid}` -> row waiting to be written
+    this.misses = new Map();         // `${accountId}|${lid}` -> time the database had no mapping
+    this.loadedAccounts = new Map(); // accountId -> load promise
+    this.disabled = false;
+
+    setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+  }
+
+  // Map insert with LRU-style eviction of the oldest entry
+  remember(map, key, value) {
+    map.delete(key);
+    if (map.size >= CACHE_MAX_SIZE) {
+      map.delete(map.keys().next().value);
+    }
+    map.set(key, value);
+  }
+
+  /**
+   * Cached phone number for a LID
+   * @param {string} lid - User part of the @lid jid
+   * @returns {string|undefined}
+   */
+  get(lid) {
+    return this.cache.get(lid);
+  }
+
+  /**
+   * Record a mapping and queue it for the database when it's new for this account
+   * @param {string} accountId - Account UUID
+   * @param {string} lid - User part of the @lid jid
+   * @param {string} phone - Phone number (non-digits are stripped)
+   * @param {string} source - message, contact, lookup or manual
+   */
+  set(accountId, lid, phone, source = 'message') {
+    const cleanPhone = String(phone || '').replace(/[^0-9]/g, '');
+    if (!lid || !cleanPhone) return;
+
+    if (this.cache.get(lid) !== cleanPhone) {
+      logger.info(`[LID Cache] Mapped LID ${lid} → Phone ${cleanPhone}`);
+    }
+    this.remember(this.cache, lid, cleanPhone);
+
+    const key = `${accountId}|${lid}`;
+    this.misses.delete(key);
+    if (this.disabled || this.saved.get(key) === cleanPhone) return;
+
+    this.pending.set(key, { account_id: accountId, lid, phone_number: cleanPhone, source });
+    this.remember(this.saved, key, cleanPhone);
+  }
+
+  /**
+   * Load an account's stored mappings into the cache (once per process)
+   * @param {string} accountId - Account UUID
+   */
+  load(accountId) {
+    if (!this.loadedAccounts.has(accountId)) {
+      this.loadedAccounts.set(accountId, this.loadAccount(accountId));
+    }
+    return this.loadedAccounts.get(accountId);
+  }
+
+  async loadAccount(accountId) {
+    if (this.disabled) return;
+
+    try {
+      const rows = await db.getLidMappings(accountId, { limit: CACHE_MAX_SIZE });
+      // Oldest first, so the most recently updated survive eviction
+      for (const row of rows.reverse()) {
+        this.remember(this.cache, row.lid, row.phone_number);
+        this.remember(this.saved, `${accountId}|${row.lid}`, row.phone_number);
+      }
+      if (rows.length) {
+        logger.info(`[LID Cache] Loaded ${rows.length} mappings for account ${accountId}`);
+      }
+    } catch (error) {
+      this.loadedAccounts.delete(accountId); // try again on the next connect
+      this.handleError(error, 'loading mappings');
+    }
+  }
+
+  /**
+   * Phone number for a LID, falling back to the database when it isn't cached
+   * @param {string} accountId - Account UUID
+   * @param {string} lid - User part of the @lid jid
+   * @returns {Promise<string|null>}
+   */
+  async lookup(accountId, lid) {
+    if (this.cache.has(lid)) return this.cache.get(lid);
+    if (this.disabled) return null;
+
+    const key = `${accountId}|${lid}`;
+    if (Date.now() - (this.misses.get(key) || 0) < MISS_TTL_MS) return null;
+
+    try {
+      const row = await db.getLidMapping(accountId, lid);
+      if (!row) {
+        this.remember(this.misses, key, Date.now());
+        return null;
+      }
+
+      this.remember(this.cache, lid, row.phone_number);
+      this.remember(this.saved, `${accountId}|${lid}`, row.phone_number);
+      return row.phone_number;
+    } catch (error) {
+      this.handleError(error, 'looking up a mapping');
+      return null;
+    }
+  }
+
+  /**
+   * Correct a mapping by hand - written straight away rather than batched
+   * @returns {Promise<object>} The stored row
+   */
+  async update(accountId, lid, phone) {
+    const row = { account_id: accountId, lid, phone_number: String(phone).replace(/[^0-9]/g, ''), source: 'manual' };
+    await db.upsertLidMappings([row]);
+
+    this.pending.delete(`${accountId}|${lid}`);
+    this.misses.delete(`${accountId}|${lid}`);
+    this.remember(this.cache, lid, row.phone_number);
+    this.remember(this.saved, `${accountId}|${lid}`, row.phone_number);
+    return row;
+  }
+
+  /**
+   * Delete a wrong mapping; the LID shows up as-is until WhatsApp tells us the number again
+   * @returns {Promise<boolean>} false if there was no such mapping
+   */
+  async remove(accountId, lid) {
+    this.cache.delete(lid);
+    this.saved.delete(`${accountId}|${lid}`);
+    this.pending.delete(`${accountId}|${lid}`);
+    return db.deleteLidMapping(accountId, lid);
+  }
+
+  async flush() {
+    if (this.disabled || !this.pending.size) return;
+
+    const rows = [...this.pending.values()];
+    this.pending.clear();
+
+    try {
+      for (let i = 0; i < rows.length; i += UPSERT_CHUNK_SIZE) {
+        await db.upsertLidMappings(rows.slice(i, i + UPSERT_CHUNK_SIZE));
+      }
+    } catch (error) {
+      // Let the next sighting write them again
+      for (const row of rows) {
+        this.saved.delete(`${row.account_id}|${row.lid}`);
+      }
+      this.handleError(error, 'saving mappings');
+    }
+  }
+
+  handleError(error, action) {
+    if (error?.code === 'PGRST205') {
+      this.disabled = true;
+      this.pending.clear();
+      logger.error('lid_mappings table not found - LID mappings are kept in memory only. Run migrations/add_lid_mappings.sql in Supabase.');
+      return;
+    }
+    logger.warn(`LID mapping store error while ${action}: ${error.message}`);
+  }
+
+  clear(accountId) {
+    const prefix = `${accountId}|`;
+    for (const map of [this.saved, this.pending]) {
+      for (const key of map.keys()) {
+        if (key.startsWith(prefix)) map.delete(key);
+      }
+    }
+    this.loadedAccounts.delete(accountId);
+  }
+}
+
+module.exports = new LidMappingStore();
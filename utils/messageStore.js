@@ -0,0 +1,97 @@
+/**
+ * Message Store - recent WhatsApp messages per account (in-memory, size and age limited)
+ * Keeps the raw Baileys message (key + content) so it can be quoted in a reply
+ * or re-sent on a retry request long after messageRetryMap has dropped it
+ */
+
+const logger = require('./logger');
+
+class MessageStore {
+  constructor() {
+    this.maxPerAccount = parseInt(process.env.MESSAGE_STORE_MAX_PER_ACCOUNT, 10) || 1000;
+    this.ttlMs = (parseInt(process.env.MESSAGE_STORE_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+    this.accounts = new Map(); // accountId -> Map(messageId -> { message, storedAt })
+  }
+
+  /**
+   * Remember a message (incoming or sent)
+   * @param {string} accountId - Account UUID
+   * @param {object} message - Baileys WAMessage ({ key, message, ... })
+   */
+  save(accountId, message) {
+    if (!message?.key?.id || !message.message) return;
+
+    let messages = this.accounts.get(accountId);
+    if (!messages) {
+      messages = new Map();
+      this.accounts.set(accountId, messages);
+    }
+
+    // Re-insert so the Map stays ordered oldest -> newest
+    messages.delete(message.key.id);
+    messages.set(message.key.id, { message, storedAt: Date.now() });
+
+    this.evict(messages);
+  }
+
+  /**
+   * Look up a stored message
+   * @param {string} accountId - Account UUID
+   * @param {string} messageId - WhatsApp message id
+   * @returns {object|null} Baileys WAMessage
+   */
+  get(accountId, messageId) {
+    const entry = this.accounts.get(accountId)?.get(messageId);
+    if (!entry) return null;
+
+    if (Date.now() - entry.storedAt > this.ttlMs) {
+      this.accounts.get(accountId).delete(messageId);
+      return null;
+    }
+    return entry.message;
+  }
+
+  /**
+   * All live messages of an account, oldest first
+   * @param {string} accountId - Account UUID
+   * @returns {Array<object>} Baileys WAMessages
+   */
+  getAll(accountId) {
+    const messages = this.accounts.get(accountId);
+    if (!messages) return [];
+
+    const cutoff = Date.now() - this.ttlMs;
+    return [...messages.values()]
+      .filter(entry => entry.storedAt > cutoff)
+      .map(entry => entry.message);
+  }
+
+  remove(accountId, messageId) {
+    this.accounts.get(accountId)?.delete(messageId);
+  }
+
+  // Drop expired entries from the front, then the oldest ones over the size limit
+  evict(messages) {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, entry] of messages) {
+      if (entry.storedAt > cutoff && messages.size <= this.maxPerAccount) break;
+      messages.delete(id);
+    }
+  }
+
+  clear(accountId) {
+    if (this.accounts.delete(accountId)) {
+      logger.info(`Message store cleared for ${accountId}`);
+    }
+  }
+
+  getStats() {
+    let messages = 0;
+    for (const account of this.accounts.values()) {
+      messages += account.size;
+    }
+    return { accounts: this.accounts.size, messages };
+  }
+}
+
+module.exports = new MessageStore();
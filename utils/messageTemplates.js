@@ -0,0 +1,78 @@
+/**
+ * Message templates - bodies with {{placeholders}} filled in at send time
+ */
+
+const { db } = require('../config/database');
+const { buildTemplateVariablesSchema } = require('./validator');
+
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+class TemplateError extends Error {
+  constructor(message, status, details = null) {
+    super(message);
+    this.name = 'TemplateError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Unique placeholder names in a template body, in order of appearance
+function extractVariables(text) {
+  const names = [];
+  for (const match of (text || '').matchAll(PLACEHOLDER_REGEX)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+function renderText(text, variables) {
+  return text.replace(PLACEHOLDER_REGEX, (_, name) => String(variables[name]));
+}
+
+/**
+ * Check that every placeholder in the template has a value
+ * @throws {TemplateError} 400 with Joi-style details when variables are missing
+ */
+function validateVariables(template, variables) {
+  const names = template.variables?.length ? template.variables : extractVariables(template.body);
+  const { error, value } = buildTemplateVariablesSchema(names).validate(variables || {}, { abortEarly: false });
+
+  if (error) {
+    throw new TemplateError('Validation failed', 400, error.details.map(detail => ({
+      field: ['variables', ...detail.path].join('.'),
+      message: detail.message
+    })));
+  }
+
+  return value;
+}
+
+/**
+ * Load an account's template and render it
+ * @param {string} accountId - Account UUID (templates are scoped per account)
+ * @param {string} templateId - Template UUID
+ * @param {object} variables - Placeholder values
+ * @returns {Promise<{type: 'text'|'media', message?: string, media?: object, caption?: string}>}
+ */
+async function resolveTemplate(accountId, templateId, variables = {}) {
+  const template = await db.getTemplate(templateId);
+  if (!template || template.account_id !== accountId) {
+    throw new TemplateError('Template not found', 404);
+  }
+
+  const values = validateVariables(template, variables);
+  const text = renderText(template.body, values);
+
+  if (template.media) {
+    return { type: 'media', media: template.media, caption: text };
+  }
+  return { type: 'text', message: text };
+}
+
+module.exports = {
+  TemplateError,
+  extractVariables,
+  renderText,
+  validateVariables,
+  resolveTemplate
+};
@@ -0,0 +1,230 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { db, MissingOutboundQueueTableError } = require('../config/database');
+const whatsappManager = require('./whatsappManager');
+
+// Account states that are expected to recover on their own - sends are deferred, not failed
+const TRANSIENT_STATUSES = ['reconnecting', 'initializing'];
+// Retrying can't help these - the recipient itself is wrong
+const PERMANENT_ERROR_CODES = ['INVALID_NUMBER', 'NOT_ON_WHATSAPP'];
+// Queries per tick when picking accounts - each round only returns accounts not yet picked
+const MAX_FETCH_ROUNDS = 5;
+
+class OutboundMessageService extends EventEmitter {
+  constructor() {
+    super();
+    this.interval = parseInt(process.env.OUTBOUND_WORKER_INTERVAL_MS, 10) || 1000;
+    this.batchSize = parseInt(process.env.OUTBOUND_WORKER_BATCH_SIZE, 10) || 20;
+    this.defaultMaxRetries = parseInt(process.env.OUTBOUND_MAX_RETRIES, 10) || 5;
+    this.accountIntervalMs = parseInt(process.env.OUTBOUND_ACCOUNT_INTERVAL_MS, 10) || 3000;
+    this.reconnectRetryMs = parseInt(process.env.OUTBOUND_RECONNECT_RETRY_MS, 10) || 10000;
+    this.baseBackoffMs = parseInt(process.env.OUTBOUND_BACKOFF_MS, 10) || 5000;
+    this.maxBackoffMs = parseInt(process.env.OUTBOUND_MAX_BACKOFF_MS, 10) || 300000;
+    this.timer = null;
+    this.isProcessing = false;
+    this.started = false;
+    this.disabled = false;
+    this.disableReason = '';
+    this.lastSentAt = new Map(); // accountId -> timestamp of last send attempt
+    this.activeAccounts = new Set(); // accounts with a send in flight
+  }
+
+  async start() {
+    if (this.started || this.disabled) {
+      return;
+    }
+
+    try {
+      await db.resetStuckOutboundMessages();
+    } catch (error) {
+      if (error instanceof MissingOutboundQueueTableError) {
+        this.disableService('Missing database table outbound_message_queue. Apply the latest SQL migration.');
+        return;
+      }
+      throw error;
+    }
+
+    this.timer = setInterval(() => this.processQueue(), this.interval);
+    this.started = true;
+    logger.info('OutboundMessageService started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.started = false;
+    logger.info('OutboundMessageService stopped');
+  }
+
+  disableService(reason) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.disabled = true;
+    this.disableReason = reason;
+    logger.error(`OutboundMessageService disabled: ${reason}`);
+  }
+
+  isAvailable() {
+    return this.started && !this.disabled;
+  }
+
+  /**
+   * Queue a message for delivery by the worker
+   * @param {string} accountId - Account UUID
+   * @param {string} number - Recipient phone number or JID
+   * @param {string} messageType - 'text' or 'media'
+   * @param {object} payload - { message, options } for text, { media, caption, options } for media
+   * @returns {Promise<object>} Queue row (id is the job id)
+   */
+  async enqueue(accountId, number, messageType, payload) {
+    if (!this.isAvailable()) {
+      throw new Error(`Outbound queue unavailable${this.disableReason ? `: ${this.disableReason}` : ''}`);
+    }
+
+    try {
+      const job = await db.enqueueOutboundMessage({
+        accountId,
+        recipient: number,
+        messageType,
+        payload,
+        maxRetries: this.defaultMaxRetries
+      });
+
+      this.emit('message-queued', { job });
+      return job;
+    } catch (error) {
+      if (error instanceof MissingOutboundQueueTableError) {
+        this.disableService('Missing outbound_message_queue table while enqueueing message');
+      }
+      throw error;
+    }
+  }
+
+  async processQueue() {
+    if (this.isProcessing || this.disabled) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      // One job per account per tick, and only once the account's pacing interval has passed.
+      // Busy and already picked accounts are left out of the query, so one account's backlog
+      // can't fill the batch and hold everyone else back
+      const now = Date.now();
+      const excluded = new Set(this.activeAccounts);
+      for (const [accountId, sentAt] of this.lastSentAt) {
+        if (now - sentAt < this.accountIntervalMs) excluded.add(accountId);
+      }
+
+      const picked = new Map();
+      for (let round = 0; round < MAX_FETCH_ROUNDS && picked.size < this.batchSize; round++) {
+        const jobs = await db.getDueOutboundMessages(this.batchSize, [...excluded]);
+        for (const job of jobs) {
+          if (excluded.has(job.account_id)) continue;
+          picked.set(job.account_id, job);
+          excluded.add(job.account_id);
+        }
+        if (jobs.length < this.batchSize) break;
+      }
+
+      // Don't block the next tick on slow sends (typing delay, media upload)
+      for (const job of picked.values()) {
+        this.activeAccounts.add(job.account_id);
+        this.processJob(job)
+          .catch(error => logger.error(`Outbound job ${job.id} error:`, error))
+          .finally(() => {
+            this.lastSentAt.set(job.account_id, Date.now());
+            this.activeAccounts.delete(job.account_id);
+          });
+      }
+    } catch (error) {
+      if (error instanceof MissingOutboundQueueTableError) {
+        this.disableService('Missing outbound_message_queue table while processing queue');
+      } else {
+        logger.error('Outbound queue processing error:', error);
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async processJob(job) {
+    if (this.disabled) {
+      return;
+    }
+
+    const claimedJob = await db.markOutboundMessageProcessing(job);
+    if (!claimedJob) {
+      return;
+    }
+
+    // Account is coming back - wait for it without using up an attempt
+    const status = whatsappManager.accountStatus.get(claimedJob.account_id);
+    if (TRANSIENT_STATUSES.includes(status)) {
+      await this.deferJob(claimedJob, `Account ${status}`);
+      return;
+    }
+
+    try {
+      const result = await this.sendJob(claimedJob);
+      await db.completeOutboundMessage(claimedJob.id, result.messageId);
+
+      this.emit('message-sent', { job: claimedJob, result });
+    } catch (error) {
+      // The connection dropped mid-send - retry once it is back
+      const currentStatus = whatsappManager.accountStatus.get(claimedJob.account_id);
+      if (TRANSIENT_STATUSES.includes(currentStatus)) {
+        await this.deferJob(claimedJob, error.message);
+        return;
+      }
+
+      const isDeadLetter = PERMANENT_ERROR_CODES.includes(error.code)
+        || claimedJob.attempt_count >= (claimedJob.max_retries || this.defaultMaxRetries);
+      const nextAttempt = isDeadLetter
+        ? null
+        : new Date(Date.now() + this.getBackoffDelay(claimedJob.attempt_count)).toISOString();
+
+      await db.failOutboundMessage(claimedJob, error.message, nextAttempt, { deadLetter: isDeadLetter });
+
+      logger.warn(`Outbound message ${claimedJob.id} failed (attempt ${claimedJob.attempt_count}): ${error.message}`);
+
+      this.emit('message-failed', {
+        job: claimedJob,
+        error,
+        deadLetter: isDeadLetter
+      });
+    }
+  }
+
+  async sendJob(job) {
+    const { payload } = job;
+
+    if (job.message_type === 'media') {
+      return whatsappManager.sendMedia(job.account_id, job.recipient, payload.media, payload.caption || '', payload.options || {});
+    }
+
+    return whatsappManager.sendMessage(job.account_id, job.recipient, payload.message, payload.options || {});
+  }
+
+  async deferJob(job, reason) {
+    const nextAttempt = new Date(Date.now() + this.reconnectRetryMs).toISOString();
+    await db.failOutboundMessage(job, reason, nextAttempt, { refundAttempt: true });
+    logger.info(`Outbound message ${job.id} deferred: ${reason}`);
+  }
+
+  async getJob(jobId) {
+    return db.getOutboundMessage(jobId);
+  }
+
+  getBackoffDelay(attempt) {
+    const exp = Math.pow(2, Math.max(attempt - 1, 0));
+    return Math.min(this.baseBackoffMs * exp, this.maxBackoffMs);
+  }
+}
+
+module.exports = new OutboundMessageService();
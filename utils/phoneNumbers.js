@@ -0,0 +1,151 @@
+/**
+ * Phone numbers - normalize user input to E.164 (+919876543210)
+ * Numbers without a country code are read as national numbers of a default country
+ */
+
+// ISO country -> calling code, national (significant) number lengths of mobile numbers, trunk prefix
+// Lengths only decide whether digits without a + are national or already international
+const COUNTRIES = {
+  US: { code: '1', lengths: [10], trunk: '1' },
+  CA: { code: '1', lengths: [10], trunk: '1' },
+  MX: { code: '52', lengths: [10] },
+  BR: { code: '55', lengths: [10, 11], trunk: '0' },
+  AR: { code: '54', lengths: [10, 11], trunk: '0' },
+  CL: { code: '56', lengths: [9] },
+  CO: { code: '57', lengths: [10] },
+  PE: { code: '51', lengths: [9], trunk: '0' },
+  VE: { code: '58', lengths: [10], trunk: '0' },
+  EC: { code: '593', lengths: [9], trunk: '0' },
+  BO: { code: '591', lengths: [8], trunk: '0' },
+  PY: { code: '595', lengths: [9], trunk: '0' },
+  UY: { code: '598', lengths: [8], trunk: '0' },
+  CR: { code: '506', lengths: [8] },
+  GT: { code: '502', lengths: [8] },
+  PA: { code: '507', lengths: [8] },
+  GB: { code: '44', lengths: [10], trunk: '0' },
+  IE: { code: '353', lengths: [9], trunk: '0' },
+  DE: { code: '49', lengths: [10, 11], trunk: '0' },
+  AT: { code: '43', lengths: [10, 11, 12, 13], trunk: '0' },
+  CH: { code: '41', lengths: [9], trunk: '0' },
+  FR: { code: '33', lengths: [9], trunk: '0' },
+  BE: { code: '32', lengths: [9], trunk: '0' },
+  NL: { code: '31', lengths: [9], trunk: '0' },
+  LU: { code: '352', lengths: [9] },
+  ES: { code: '34', lengths: [9] },
+  PT: { code: '351', lengths: [9] },
+  IT: { code: '39', lengths: [9, 10] },
+  GR: { code: '30', lengths: [10] },
+  PL: { code: '48', lengths: [9] },
+  CZ: { code: '420', lengths: [9] },
+  SK: { code: '421', lengths: [9], trunk: '0' },
+  HU: { code: '36', lengths: [9], trunk: '06' },
+  RO: { code: '40', lengths: [9], trunk: '0' },
+  BG: { code: '359', lengths: [8, 9], trunk: '0' },
+  SE: { code: '46', lengths: [9], trunk: '0' },
+  NO: { code: '47', lengths: [8] },
+  DK: { code: '45', lengths: [8] },
+  FI: { code: '358', lengths: [9, 10], trunk: '0' },
+  RU: { code: '7', lengths: [10], trunk: '8' },
+  KZ: { code: '7', lengths: [10], trunk: '8' },
+  UA: { code: '380', lengths: [9], trunk: '0' },
+  TR: { code: '90', lengths: [10], trunk: '0' },
+  IL: { code: '972', lengths: [9], trunk: '0' },
+  AE: { code: '971', lengths: [9], trunk: '0' },
+  SA: { code: '966', lengths: [9], trunk: '0' },
+  QA: { code: '974', lengths: [8] },
+  KW: { code: '965', lengths: [8] },
+  BH: { code: '973', lengths: [8] },
+  OM: { code: '968', lengths: [8] },
+  EG: { code: '20', lengths: [10], trunk: '0' },
+  MA: { code: '212', lengths: [9], trunk: '0' },
+  DZ: { code: '213', lengths: [9], trunk: '0' },
+  TN: { code: '216', lengths: [8] },
+  NG: { code: '234', lengths: [10], trunk: '0' },
+  GH: { code: '233', lengths: [9], trunk: '0' },
+  KE: { code: '254', lengths: [9], trunk: '0' },
+  UG: { code: '256', lengths: [9], trunk: '0' },
+  TZ: { code: '255', lengths: [9], trunk: '0' },
+  ET: { code: '251', lengths: [9], trunk: '0' },
+  ZA: { code: '27', lengths: [9], trunk: '0' },
+  CM: { code: '237', lengths: [9] },
+  CI: { code: '225', lengths: [10] },
+  SN: { code: '221', lengths: [9] },
+  IN: { code: '91', lengths: [10], trunk: '0' },
+  PK: { code: '92', lengths: [10], trunk: '0' },
+  BD: { code: '880', lengths: [10], trunk: '0' },
+  LK: { code: '94', lengths: [9], trunk: '0' },
+  NP: { code: '977', lengths: [10] },
+  CN: { code: '86', lengths: [11], trunk: '0' },
+  HK: { code: '852', lengths: [8] },
+  TW: { code: '886', lengths: [9], trunk: '0' },
+  JP: { code: '81', lengths: [10], trunk: '0' },
+  KR: { code: '82', lengths: [9, 10], trunk: '0' },
+  SG: { code: '65', lengths: [8] },
+  MY: { code: '60', lengths: [9, 10], trunk: '0' },
+  ID: { code: '62', lengths: [9, 10, 11, 12], trunk: '0' },
+  TH: { code: '66', lengths: [9], trunk: '0' },
+  VN: { code: '84', lengths: [9], trunk: '0' },
+  PH: { code: '63', lengths: [10], trunk: '0' },
+  AU: { code: '61', lengths: [9], trunk: '0' },
+  NZ: { code: '64', lengths: [8, 9, 10], trunk: '0' }
+};
+
+const SUPPORTED_COUNTRIES = Object.keys(COUNTRIES);
+
+function invalidNumber(number) {
+  return Object.assign(new Error(`Invalid phone number: ${number}`), { status: 400, code: 'INVALID_NUMBER' });
+}
+
+/**
+ * Normalize a phone number to E.164
+ * "+44 7911 123456" and "0044..." are taken as international; anything else is tried as a
+ * national number of the default country first, then as international digits ("447911123456")
+ * @param {string} number - Phone number as typed
+ * @param {string} [defaultCountry] - ISO 3166 alpha-2 code (IN, US, GB, ...)
+ * @returns {string} E.164 number, e.g. "+447911123456"
+ * @throws {Error} 400 INVALID_NUMBER when it can't be a phone number
+ */
+function normalizePhoneNumber(number, defaultCountry = null) {
+  const raw = String(number || '').trim();
+  let digits = raw.replace(/[^\d]/g, '');
+  let international = raw.startsWith('+');
+
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+
+  const country = COUNTRIES[String(defaultCountry || '').toUpperCase()];
+  if (!international && country) {
+    if (country.trunk && digits.startsWith(country.trunk) && country.lengths.includes(digits.length - country.trunk.length)) {
+      // National format with trunk prefix (07911 123456)
+      digits = country.code + digits.slice(country.trunk.length);
+    } else if (!(digits.startsWith(country.code) && country.lengths.includes(digits.length - country.code.length))
+      && country.lengths.includes(digits.length)) {
+      // National number without trunk prefix (9876543210)
+      digits = country.code + digits;
+    }
+  }
+
+  // E.164 allows at most 15 digits; no calling code starts with 0
+  if (digits.length < 7 || digits.length > 15 || digits.startsWith('0')) {
+    throw invalidNumber(raw);
+  }
+
+  return `+${digits}`;
+}
+
+function isValidPhoneNumber(number, defaultCountry = null) {
+  try {
+    normalizePhoneNumber(number, defaultCountry);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  SUPPORTED_COUNTRIES,
+  normalizePhoneNumber,
+  isValidPhoneNumber
+};
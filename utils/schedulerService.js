@@ -0,0 +1,207 @@
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { db } = require('../config/database');
+const whatsappManager = require('./whatsappManager');
+
+// Account states that are expected to recover on their own - the message stays scheduled
+const TRANSIENT_STATUSES = ['reconnecting', 'initializing'];
+
+// ISO date-time with no Z / +hh:mm suffix, e.g. "2025-11-01T09:00" or "2025-11-01T09:00:00"
+const LOCAL_DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/;
+
+// Offset (ms) of timeZone from UTC at the given instant
+function getTimezoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+
+  const get = type => parseInt(parts.find(p => p.type === type).value, 10);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Resolve a send time to a Date
+ * Times with an explicit offset are used as-is; local times are read in `timeZone` (UTC if omitted)
+ * @param {string} sendAt - ISO 8601 date-time
+ * @param {string} [timeZone] - IANA zone, e.g. "Asia/Kolkata"
+ * @returns {Date}
+ */
+function resolveSendTime(sendAt, timeZone) {
+  const match = LOCAL_DATETIME_REGEX.exec(sendAt);
+  if (!match) {
+    return new Date(sendAt);
+  }
+
+  const [, year, month, day, hour, minute, second = '0'] = match;
+  const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+  if (!timeZone) {
+    return new Date(wallClock);
+  }
+
+  // Two passes so times next to a DST change land on the right offset
+  let utc = wallClock - getTimezoneOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getTimezoneOffset(new Date(utc), timeZone);
+  return new Date(utc);
+}
+
+class SchedulerService extends EventEmitter {
+  constructor() {
+    super();
+    this.interval = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 5000;
+    this.batchSize = parseInt(process.env.SCHEDULER_BATCH_SIZE, 10) || 50;
+    this.timer = null;
+    this.isProcessing = false;
+    this.started = false;
+  }
+
+  async start() {
+    if (this.started) {
+      return;
+    }
+
+    await db.resetStuckScheduledMessages();
+
+    this.timer = setInterval(() => this.processDue(), this.interval);
+    this.started = true;
+    logger.info('SchedulerService started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.started = false;
+    logger.info('SchedulerService stopped');
+  }
+
+  // Build the row fields shared by create and update (`existing` is the stored row when editing)
+  buildFields(data, existing = null) {
+    const fields = {};
+
+    if (data.number !== undefined) {
+      fields.recipient = data.number;
+    }
+
+    if (data.media) {
+      const caption = data.caption !== undefined ? data.caption : existing?.payload?.caption;
+      fields.message_type = 'media';
+      fields.payload = { media: data.media, caption: caption || '' };
+    } else if (data.message !== undefined) {
+      fields.message_type = 'text';
+      fields.payload = { message: data.message };
+    } else if (data.caption !== undefined && existing) {
+      if (existing.message_type !== 'media') {
+        throw Object.assign(new Error('caption can only be changed on a media message'), { status: 400 });
+      }
+      fields.payload = { ...existing.payload, caption: data.caption || '' };
+    }
+
+    if (data.send_at !== undefined) {
+      // A new time without a timezone is read in the one stored with the message
+      const timezone = data.timezone !== undefined ? data.timezone : existing?.timezone || null;
+      const sendAt = resolveSendTime(data.send_at, timezone);
+      if (isNaN(sendAt.getTime())) {
+        throw Object.assign(new Error('send_at is not a valid date'), { status: 400 });
+      }
+      if (sendAt.getTime() <= Date.now()) {
+        throw Object.assign(new Error('send_at must be in the future'), { status: 400 });
+      }
+      fields.send_at = sendAt.toISOString();
+      fields.timezone = timezone || null;
+    }
+
+    return fields;
+  }
+
+  async schedule(data) {
+    const scheduled = await db.createScheduledMessage({
+      account_id: data.account_id,
+      status: 'scheduled',
+      ...this.buildFields(data)
+    });
+
+    logger.info(`Message ${scheduled.id} scheduled for ${scheduled.send_at}`);
+    return scheduled;
+  }
+
+  // Only messages that haven't started sending can be edited or cancelled
+  async update(existing, data) {
+    return db.updateScheduledMessage(existing.id, this.buildFields(data, existing), ['scheduled']);
+  }
+
+  async cancel(id) {
+    return db.updateScheduledMessage(id, { status: 'cancelled' }, ['scheduled']);
+  }
+
+  async processDue() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      // Messages of accounts that aren't connected wait - and don't take up the batch meanwhile
+      const readyAccountIds = [...whatsappManager.accountStatus]
+        .filter(([, status]) => status === 'ready')
+        .map(([accountId]) => accountId);
+      if (!readyAccountIds.length) {
+        return;
+      }
+
+      const due = await db.getDueScheduledMessages(this.batchSize, readyAccountIds);
+
+      for (const scheduled of due) {
+        await this.dispatch(scheduled);
+      }
+    } catch (error) {
+      logger.error('Scheduler processing error:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  async dispatch(scheduled) {
+    const claimed = await db.updateScheduledMessage(scheduled.id, { status: 'sending' }, ['scheduled']);
+    if (!claimed) {
+      return;
+    }
+
+    try {
+      const { payload } = claimed;
+      const result = claimed.message_type === 'media'
+        ? await whatsappManager.sendMedia(claimed.account_id, claimed.recipient, payload.media, payload.caption || '', {})
+        : await whatsappManager.sendMessage(claimed.account_id, claimed.recipient, payload.message);
+
+      const sent = await db.updateScheduledMessage(claimed.id, {
+        status: 'sent',
+        message_id: result.messageId,
+        last_error: null,
+        sent_at: new Date().toISOString()
+      });
+
+      this.emit('scheduled-sent', { scheduled: sent || claimed, result });
+    } catch (error) {
+      // Connection dropped mid-send - try again once the account is back
+      const status = whatsappManager.accountStatus.get(claimed.account_id);
+      const retry = TRANSIENT_STATUSES.includes(status);
+
+      const failed = await db.updateScheduledMessage(claimed.id, {
+        status: retry ? 'scheduled' : 'failed',
+        last_error: error.message
+      });
+
+      if (!retry) {
+        logger.warn(`Scheduled message ${claimed.id} failed: ${error.message}`);
+        this.emit('scheduled-failed', { scheduled: failed || claimed, error });
+      }
+    }
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,35 @@
+class BaseStorage {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Storage key, e.g. "<accountId>/2025-01/<uuid>.jpg"
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimetype - Content type
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer, mimetype) {
+    throw new Error('Method save() must be implemented');
+  }
+
+  /**
+   * Read an object back
+   * @param {string} key - Storage key
+   * @returns {Promise<{buffer: Buffer, mimetype: string|null}|null>} null if it doesn't exist
+   */
+  async read(key) {
+    throw new Error('Method read() must be implemented');
+  }
+
+  /**
+   * Validate the configuration
+   * @returns {boolean}
+   */
+  validateConfig() {
+    return true;
+  }
+}
+
+module.exports = BaseStorage;
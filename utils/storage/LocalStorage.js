@@ -0,0 +1,42 @@
+const fs = require('fs').promises;
+const path = require('path');
+const BaseStorage = require('./BaseStorage');
+
+/**
+ * Local disk storage - files under MEDIA_STORAGE_PATH (default ./media-storage)
+ * Note: on Render free tier the disk is ephemeral, use the S3 driver to keep media across deploys
+ */
+class LocalStorage extends BaseStorage {
+  constructor(config = {}) {
+    super(config);
+    this.root = path.resolve(config.path || './media-storage');
+  }
+
+  // Keys come from our own generator, but never let one escape the storage root
+  resolveKey(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer, mimetype) {
+    const filePath = this.resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async read(key) {
+    try {
+      const buffer = await fs.readFile(this.resolveKey(key));
+      // Content type is derived from the extension when served
+      return { buffer, mimetype: null };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const BaseStorage = require('./BaseStorage');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param {object} request - { method, url, headers, payloadHash }
+ * @param {object} credentials - { accessKeyId, secretAccessKey, region, service }
+ * @param {Date} [date] - Signing time (defaults to now)
+ * @returns {object} Headers including x-amz-date and Authorization
+ */
+function signV4(request, credentials, date = new Date()) {
+  const url = new URL(request.url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const headers = { ...request.headers, host: url.host, 'x-amz-date': amzDate };
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join('&');
+
+  const canonicalRequest = [
+    request.method,
+    url.pathname,
+    canonicalQuery,
+    names.map(name => `${name}:${lowered[name]}\n`).join(''),
+    names.join(';'),
+    request.payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${credentials.region}/${credentials.service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['aws4_request', credentials.service, credentials.region, dateStamp]
+    .reduceRight((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  delete headers.host; // set by the HTTP client
+  headers.Authorization = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`;
+  return headers;
+}
+
+/**
+ * S3-compatible storage (AWS S3, Cloudflare R2, Backblaze B2, MinIO, ...)
+ * Set S3_ENDPOINT for anything that isn't AWS - path-style URLs are then used (http://host:9000/bucket/key)
+ */
+class S3Storage extends BaseStorage {
+  constructor(config = {}) {
+    super(config);
+    this.bucket = config.bucket;
+    this.region = config.region || 'us-east-1';
+    this.endpoint = config.endpoint ? config.endpoint.replace(/\/+$/, '') : null;
+    this.forcePathStyle = config.forcePathStyle ?? !!this.endpoint;
+  }
+
+  validateConfig() {
+    return !!(this.bucket && this.config.accessKeyId && this.config.secretAccessKey);
+  }
+
+  objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    const base = this.endpoint || `https://s3.${this.region}.amazonaws.com`;
+    if (this.forcePathStyle) {
+      return `${base}/${this.bucket}/${encodedKey}`;
+    }
+    const { protocol, host } = new URL(base);
+    return `${protocol}//${this.bucket}.${host}/${encodedKey}`;
+  }
+
+  signedHeaders(method, url, payloadHash, extraHeaders = {}) {
+    return signV4(
+      { method, url, payloadHash, headers: { ...extraHeaders, 'x-amz-content-sha256': payloadHash } },
+      {
+        accessKeyId: this.config.accessKeyId,
+        secretAccessKey: this.config.secretAccessKey,
+        region: this.region,
+        service: 's3'
+      }
+    );
+  }
+
+  async save(key, buffer, mimetype) {
+    const url = this.objectUrl(key);
+    const headers = this.signedHeaders('PUT', url, sha256(buffer), { 'content-type': mimetype });
+
+    await axios.put(url, buffer, {
+      headers,
+      timeout: 60000,
+      maxBodyLength: Infinity
+    });
+  }
+
+  async read(key) {
+    const url = this.objectUrl(key);
+    const headers = this.signedHeaders('GET', url, sha256(''));
+
+    try {
+      const response = await axios.get(url, { headers, responseType: 'arraybuffer', timeout: 60000 });
+      return { buffer: Buffer.from(response.data), mimetype: response.headers['content-type'] || null };
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+}
+
+S3Storage.signV4 = signV4;
+
+module.exports = S3Storage;
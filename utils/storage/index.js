@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../logger');
+const LocalStorage = require('./LocalStorage');
+const S3Storage = require('./S3Storage');
+
+// Extension used in the storage key (and to pick a content type when serving from disk)
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'text/plain': 'txt',
+  'text/csv': 'csv'
+};
+
+class MediaStorage {
+  constructor() {
+    this.drivers = {
+      'local': LocalStorage,
+      's3': S3Storage
+    };
+    this.driverName = (process.env.MEDIA_STORAGE_DRIVER || 'local').toLowerCase();
+    this.driver = null;
+
+    this.urlSecret = process.env.MEDIA_URL_SECRET || process.env.SESSION_SECRET;
+    if (!this.urlSecret) {
+      this.urlSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('WARNING: Using auto-generated MEDIA_URL_SECRET. Media URLs will stop working after a restart.');
+    }
+  }
+
+  /**
+   * Lazily create the configured driver
+   * @returns {BaseStorage}
+   */
+  getDriver() {
+    if (this.driver) return this.driver;
+
+    const DriverClass = this.drivers[this.driverName];
+    if (!DriverClass) {
+      throw new Error(`Unknown MEDIA_STORAGE_DRIVER: ${this.driverName}`);
+    }
+
+    const driver = new DriverClass(this.driverName === 's3' ? {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : undefined
+    } : {
+      path: process.env.MEDIA_STORAGE_PATH
+    });
+
+    if (!driver.validateConfig()) {
+      throw new Error(`Media storage driver "${this.driverName}" is not configured`);
+    }
+
+    logger.info(`Media storage: ${this.driverName}`);
+    this.driver = driver;
+    return driver;
+  }
+
+  extensionFor(mimetype) {
+    const base = (mimetype || '').split(';')[0].trim().toLowerCase();
+    return MIME_EXTENSIONS[base] || base.split('/')[1]?.replace(/[^a-z0-9]/g, '') || 'bin';
+  }
+
+  /**
+   * Store a file under a new key
+   * @param {string} accountId - Account UUID (keys are grouped per account and month)
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimetype - Content type
+   * @returns {Promise<{key: string, url: string}>}
+   */
+  async save(accountId, buffer, mimetype) {
+    const month = new Date().toISOString().slice(0, 7);
+    const key = `${accountId}/${month}/${uuidv4()}.${this.extensionFor(mimetype)}`;
+
+    await this.getDriver().save(key, buffer, mimetype);
+    return { key, url: this.getMediaUrl(key) };
+  }
+
+  async read(key) {
+    return this.getDriver().read(key);
+  }
+
+  sign(key) {
+    return crypto.createHmac('sha256', this.urlSecret).update(key).digest('hex');
+  }
+
+  verifySignature(key, signature) {
+    const expected = Buffer.from(this.sign(key));
+    const given = Buffer.from(String(signature || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Public URL for a stored file - signed, so it works without a dashboard session
+   * (webhook consumers like n8n can fetch it directly)
+   */
+  getMediaUrl(key) {
+    const baseUrl = (process.env.PUBLIC_URL || process.env.RENDER_EXTERNAL_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+    return `${baseUrl}/media/${key}?sig=${this.sign(key)}`;
+  }
+}
+
+module.exports = new MediaStorage();
@@ -0,0 +1,25 @@
+class BaseTranscriber {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Turn an audio file into text
+   * @param {Buffer} audio - File contents (WhatsApp voice notes are audio/ogg; codecs=opus)
+   * @param {object} options - { mimetype, filename }
+   * @returns {Promise<string>} The transcript ('' if nothing was said)
+   */
+  async transcribe(audio, options) {
+    throw new Error('Method transcribe() must be implemented');
+  }
+
+  /**
+   * Validate the configuration
+   * @returns {boolean}
+   */
+  validateConfig() {
+    return !!this.config.api_key;
+  }
+}
+
+module.exports = BaseTranscriber;
@@ -0,0 +1,51 @@
+const axios = require('axios');
+const BaseTranscriber = require('./BaseTranscriber');
+const logger = require('../logger');
+
+/**
+ * OpenAI-compatible speech-to-text (POST {base_url}/audio/transcriptions)
+ * Works with OpenAI (whisper-1), Groq (whisper-large-v3-turbo) and self-hosted
+ * servers that expose the same endpoint (faster-whisper-server, LocalAI, ...)
+ */
+class OpenAITranscriber extends BaseTranscriber {
+  validateConfig() {
+    // Self-hosted servers usually don't need a key
+    return !!this.config.base_url && (!!this.config.api_key || this.config.key_optional === true);
+  }
+
+  async transcribe(audio, { mimetype, filename } = {}) {
+    try {
+      const form = new FormData();
+      form.append('file', new Blob([audio], { type: mimetype || 'audio/ogg' }), filename || 'voice-note.ogg');
+      form.append('model', this.config.model);
+      form.append('response_format', 'json');
+      if (this.config.language) {
+        form.append('language', this.config.language);
+      }
+
+      const headers = {};
+      if (this.config.api_key) {
+        headers['Authorization'] = `Bearer ${this.config.api_key}`;
+      }
+
+      const response = await axios.post(
+        `${this.config.base_url.replace(/\/+$/, '')}/audio/transcriptions`,
+        form,
+        { headers, timeout: 60000 }
+      );
+
+      return (response.data?.text || '').trim();
+    } catch (error) {
+      const errorDetails = error.response?.data?.error || error.message;
+      logger.error('Transcription API Error:', JSON.stringify(errorDetails, null, 2));
+
+      const newError = new Error(`Transcription Error: ${errorDetails.message || error.message}`);
+      if (error.response) {
+        newError.response = error.response;
+      }
+      throw newError;
+    }
+  }
+}
+
+module.exports = OpenAITranscriber;
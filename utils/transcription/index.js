@@ -0,0 +1,97 @@
+const logger = require('../logger');
+const OpenAITranscriber = require('./OpenAITranscriber');
+
+// Provider presets - TRANSCRIPTION_BASE_URL / TRANSCRIPTION_MODEL override them
+const PROVIDERS = {
+  'openai': {
+    Transcriber: OpenAITranscriber,
+    base_url: 'https://api.openai.com/v1',
+    model: 'whisper-1',
+    keyEnv: 'OPENAI_API_KEY'
+  },
+  'groq': {
+    Transcriber: OpenAITranscriber,
+    base_url: 'https://api.groq.com/openai/v1',
+    model: 'whisper-large-v3-turbo',
+    keyEnv: 'GROQ_API_KEY'
+  },
+  // Any other OpenAI-compatible server, e.g. a local faster-whisper-server
+  'custom': {
+    Transcriber: OpenAITranscriber,
+    base_url: null,
+    model: 'whisper-1',
+    key_optional: true
+  }
+};
+
+class TranscriptionService {
+  constructor() {
+    this.providerName = (process.env.TRANSCRIPTION_PROVIDER || 'off').toLowerCase();
+    this.maxBytes = (parseInt(process.env.TRANSCRIPTION_MAX_SIZE_MB, 10) || 25) * 1024 * 1024;
+    this.transcriber = undefined; // undefined = not resolved yet, null = disabled
+  }
+
+  /**
+   * Lazily create the configured transcriber
+   * @returns {BaseTranscriber|null} null when transcription is off or misconfigured
+   */
+  getTranscriber() {
+    if (this.transcriber !== undefined) return this.transcriber;
+
+    this.transcriber = null;
+    if (this.providerName === 'off') return null;
+
+    const preset = PROVIDERS[this.providerName];
+    if (!preset) {
+      logger.warn(`[Transcription] Unknown TRANSCRIPTION_PROVIDER: ${this.providerName} - transcription disabled`);
+      return null;
+    }
+
+    const transcriber = new preset.Transcriber({
+      base_url: process.env.TRANSCRIPTION_BASE_URL || preset.base_url,
+      model: process.env.TRANSCRIPTION_MODEL || preset.model,
+      api_key: process.env.TRANSCRIPTION_API_KEY || (preset.keyEnv && process.env[preset.keyEnv]),
+      language: process.env.TRANSCRIPTION_LANGUAGE,
+      key_optional: preset.key_optional
+    });
+
+    if (!transcriber.validateConfig()) {
+      logger.warn(`[Transcription] Provider "${this.providerName}" is missing its API key or base URL - transcription disabled`);
+      return null;
+    }
+
+    logger.info(`[Transcription] Using ${this.providerName}`);
+    this.transcriber = transcriber;
+    return transcriber;
+  }
+
+  isEnabled() {
+    return !!this.getTranscriber();
+  }
+
+  /**
+   * Transcribe an audio message
+   * @param {Buffer} audio - File contents
+   * @param {object} options - { mimetype, filename }
+   * @returns {Promise<string|null>} The transcript, or null if it couldn't be transcribed
+   */
+  async transcribe(audio, options = {}) {
+    const transcriber = this.getTranscriber();
+    if (!transcriber) return null;
+
+    if (audio.length > this.maxBytes) {
+      logger.info(`[Transcription] Skipping ${audio.length} byte audio (over TRANSCRIPTION_MAX_SIZE_MB)`);
+      return null;
+    }
+
+    try {
+      const text = await transcriber.transcribe(audio, options);
+      return text || null;
+    } catch (error) {
+      logger.warn(`[Transcription] Failed: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = new TranscriptionService();
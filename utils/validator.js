@@ -1,4 +1,88 @@
 const Joi = require('joi');
+const { SUPPORTED_COUNTRIES } = require('./phoneNumbers');
+const { PAYLOAD_FORMATS } = require('./webhookPayload');
+const { MESSAGE_TYPES, CHAT_TYPES } = require('./webhookFilters');
+
+// IANA timezone check (e.g. "Asia/Kolkata")
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const webhookFiltersSchema = Joi.object({
+  senders: Joi.array().items(Joi.string().max(50)).max(1000).optional(),
+  exclude_senders: Joi.array().items(Joi.string().max(50)).max(1000).optional(),
+  chat_type: Joi.string().valid(...CHAT_TYPES).optional(),
+  message_types: Joi.array().items(Joi.string().valid(...MESSAGE_TYPES)).optional(),
+  keywords: Joi.array().items(Joi.string().max(200)).max(50).optional()
+}).allow(null);
+
+const timezoneSchema = Joi.string().max(100).custom((value, helpers) => {
+  if (!isValidTimezone(value)) {
+    return helpers.message('"timezone" must be a valid IANA timezone (e.g. Asia/Kolkata)');
+  }
+  return value;
+});
+
+// ISO 8601 date-time kept as a string, so local times (no offset) can be read in a timezone
+const dateTimeSchema = Joi.string().max(40).custom((value, helpers) => {
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) || isNaN(Date.parse(value))) {
+    return helpers.message('{{#label}} must be an ISO 8601 date-time');
+  }
+  return value;
+});
+
+// Placeholder values for a template ({{name}} -> variables.name)
+const templateVariableValue = Joi.alternatives().try(Joi.string().allow('').max(4096), Joi.number(), Joi.boolean());
+const templateVariablesSchema = Joi.object().pattern(/^[a-zA-Z0-9_]+$/, templateVariableValue);
+
+// Reply context: id of the message to quote, and users to @mention (numbers or JIDs)
+const quotedMessageIdSchema = Joi.string().min(1).max(128);
+const mentionsSchema = Joi.array().items(Joi.string().min(1).max(100)).max(256);
+
+// Location pin, contact cards and poll - shared by the send endpoints and webhook-reply
+const locationKeys = {
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+  name: Joi.string().max(255).allow('', null).optional(),
+  address: Joi.string().max(500).allow('', null).optional()
+};
+
+const contactCardSchema = Joi.object({
+  name: Joi.string().min(1).max(255).pattern(/^[^\r\n]+$/).required(),
+  phone: Joi.string().min(5).max(50).optional(),
+  phones: Joi.array().items(Joi.string().min(5).max(50)).min(1).max(10).optional(),
+  organization: Joi.string().max(255).pattern(/^[^\r\n]+$/).allow('', null).optional(),
+  email: Joi.string().email().max(255).allow('', null).optional()
+}).xor('phone', 'phones');
+const contactsSchema = Joi.array().items(contactCardSchema).min(1).max(20);
+
+const pollKeys = {
+  name: Joi.string().min(1).max(255).required(),
+  options: Joi.array().items(Joi.string().min(1).max(100)).min(2).max(12).unique().required(),
+  // 0 lets voters pick any number of options
+  selectable_count: Joi.number().integer().min(0).max(Joi.ref('options', { adjust: options => options.length })).optional().default(1)
+};
+
+const mediaSchema = Joi.object({
+  data: Joi.string().optional(),
+  url: Joi.string().uri().optional(),
+  mimetype: Joi.string().max(100).when('data', {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
+  filename: Joi.string().max(255).optional()
+}).custom((value, helpers) => {
+  if (!value.data && !value.url) {
+    return helpers.error('object.missing', { message: 'Either data or url must be provided' });
+  }
+  return value;
+});
 
 // Validation schemas
 const schemas = {
@@ -16,26 +100,87 @@ const schemas = {
     error_message: Joi.string().max(1000).allow('', null).optional()
   }),
 
+  accountSettings: Joi.object({
+    auto_read_receipts: Joi.boolean().optional(),
+    // Add the sender's profile (picture, about, business) to incoming message webhooks
+    webhook_contact_profile: Joi.boolean().optional(),
+    // Country assumed for numbers without a country code (null = DEFAULT_COUNTRY)
+    default_country: Joi.string().uppercase().valid(...SUPPORTED_COUNTRIES).allow(null).optional()
+  }).min(1),
+
+  // Linked account's own profile
+  updateAccountProfile: Joi.object({
+    name: Joi.string().trim().min(1).max(25).optional(),
+    about: Joi.string().max(139).allow('').optional()
+  }).min(1),
+
+  updateProfilePicture: Joi.object({
+    media: mediaSchema.optional()
+  }),
+
+  updatePrivacy: Joi.object({
+    last_seen: Joi.string().valid('all', 'contacts', 'contact_blacklist', 'none').optional(),
+    online: Joi.string().valid('all', 'match_last_seen').optional(),
+    profile_photo: Joi.string().valid('all', 'contacts', 'contact_blacklist', 'none').optional(),
+    about: Joi.string().valid('all', 'contacts', 'contact_blacklist', 'none').optional(),
+    read_receipts: Joi.string().valid('all', 'none').optional(),
+    groups_add: Joi.string().valid('all', 'contacts', 'contact_blacklist').optional()
+  }).min(1),
+
+  checkNumbers: Joi.object({
+    numbers: Joi.array().items(Joi.string().min(1).max(50)).min(1).max(100).required()
+  }),
+
   // Webhook validation
   createWebhook: Joi.object({
     account_id: Joi.string().uuid().required(),
     url: Joi.string().uri().max(500).required(),
     secret: Joi.string().max(255).allow('', null).optional(),
-    is_active: Joi.boolean().optional().default(true)
+    is_active: Joi.boolean().optional().default(true),
+    events: Joi.array().items(Joi.string().max(50)).optional(),
+    payload_format: Joi.string().valid(...PAYLOAD_FORMATS).optional(),
+    payload_template: Joi.when('payload_format', {
+      is: 'custom',
+      then: Joi.object().required(),
+      otherwise: Joi.object().allow(null).optional()
+    }),
+    filters: webhookFiltersSchema.optional()
   }),
 
   updateWebhook: Joi.object({
     url: Joi.string().uri().max(500).optional(),
     secret: Joi.string().max(255).allow('', null).optional(),
-    is_active: Joi.boolean().optional()
+    is_active: Joi.boolean().optional(),
+    events: Joi.array().items(Joi.string().max(50)).optional(),
+    payload_format: Joi.string().valid(...PAYLOAD_FORMATS).optional(),
+    payload_template: Joi.object().allow(null).optional(),
+    filters: webhookFiltersSchema.optional()
+  }).min(1),
+
+  webhookFilters: webhookFiltersSchema,
+
+  webhookDeliveriesQuery: Joi.object({
+    status: Joi.string().valid('success', 'failed', 'dead_letter').optional(),
+    limit: Joi.number().integer().min(1).max(200).optional().default(50),
+    offset: Joi.number().integer().min(0).optional().default(0)
+  }),
+
+  webhookDeadLettersQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(200).optional().default(50),
+    offset: Joi.number().integer().min(0).optional().default(0)
   }),
 
   // Message validation
   sendMessage: Joi.object({
     account_id: Joi.string().uuid().required(),
     number: Joi.string().min(1).max(50).required(),
-    message: Joi.string().min(1).max(10000).required()
-  }),
+    message: Joi.string().min(1).max(10000).optional(),
+    template_id: Joi.string().uuid().optional(),
+    variables: templateVariablesSchema.optional(),
+    quoted_message_id: quotedMessageIdSchema.optional(),
+    mentions: mentionsSchema.optional(),
+    queue: Joi.boolean().optional().default(false)
+  }).xor('message', 'template_id').with('variables', 'template_id'),
 
   sendMedia: Joi.object({
     account_id: Joi.string().uuid().required(),
@@ -56,12 +201,116 @@ const schemas = {
       return value;
     }),
     caption: Joi.string().max(1000).allow('', null).optional(),
+    quoted_message_id: quotedMessageIdSchema.optional(),
+    mentions: mentionsSchema.optional(),
     options: Joi.object({
       sendMediaAsDocument: Joi.boolean().optional(),
       sendAudioAsVoice: Joi.boolean().optional()
     }).optional().default({})
   }),
 
+  // Multipart /api/send-media fields (the file itself is checked by the route)
+  sendMediaUpload: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    number: Joi.string().min(1).max(50).required(),
+    caption: Joi.string().max(1000).allow('', null).optional(),
+    quoted_message_id: quotedMessageIdSchema.optional(),
+    mentions: mentionsSchema.optional(),
+    queue: Joi.boolean().optional().default(false)
+  }),
+
+  sendButtons: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    number: Joi.string().min(1).max(50).required(),
+    body: Joi.string().max(1024).allow('').optional().default(''),
+    title: Joi.string().max(60).allow('', null).optional(),
+    footer: Joi.string().max(60).allow('', null).optional(),
+    buttons: Joi.array().items(Joi.object({
+      id: Joi.string().max(256).optional(),
+      body: Joi.string().min(1).max(20).required(),
+      type: Joi.string().valid('reply', 'url', 'call', 'copy').optional().default('reply'),
+      url: Joi.string().uri().max(2000).when('type', { is: 'url', then: Joi.required() }),
+      phone_number: Joi.string().max(50).when('type', { is: 'call', then: Joi.required() }),
+      copy_code: Joi.string().max(256).when('type', { is: 'copy', then: Joi.required() })
+    })).min(1).max(3).required()
+  }),
+
+  sendList: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    number: Joi.string().min(1).max(50).required(),
+    body: Joi.string().min(1).max(1024).required(),
+    button_text: Joi.string().min(1).max(20).required(),
+    title: Joi.string().max(60).allow('', null).optional(),
+    footer: Joi.string().max(60).allow('', null).optional(),
+    sections: Joi.array().items(Joi.object({
+      title: Joi.string().max(24).allow('').optional(),
+      rows: Joi.array().items(Joi.object({
+        id: Joi.string().max(200).optional(),
+        title: Joi.string().min(1).max(24).required(),
+        description: Joi.string().max(72).allow('').optional()
+      })).min(1).max(10).required()
+    })).min(1).max(10).required()
+  }),
+
+  sendLocation: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    number: Joi.string().min(1).max(50).required(),
+    ...locationKeys,
+    quoted_message_id: quotedMessageIdSchema.optional()
+  }),
+
+  sendContact: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    number: Joi.string().min(1).max(50).required(),
+    contacts: contactsSchema.required(),
+    quoted_message_id: quotedMessageIdSchema.optional()
+  }),
+
+  sendPoll: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    number: Joi.string().min(1).max(50).required(),
+    ...pollKeys,
+    quoted_message_id: quotedMessageIdSchema.optional(),
+    mentions: mentionsSchema.optional()
+  }),
+
+  // Reactions, edits and deletes of a message (by WhatsApp message id)
+  reactMessage: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    emoji: Joi.string().max(16).allow('').required()
+  }),
+
+  editMessage: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    message: Joi.string().min(1).max(10000).required()
+  }),
+
+  messageAccountQuery: Joi.object({
+    account_id: Joi.string().uuid().required()
+  }),
+
+  markRead: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    number: Joi.string().min(1).max(100).required(),
+    message_ids: Joi.array().items(Joi.string().min(1).max(255)).max(100).optional()
+  }),
+
+  sendPresence: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    state: Joi.string().valid('composing', 'recording', 'paused', 'available', 'unavailable').required(),
+    // Chat states are shown in one chat; available/unavailable apply to the whole account
+    number: Joi.string().min(1).max(100).when('state', {
+      is: Joi.valid('composing', 'recording', 'paused'),
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    })
+  }),
+
+  subscribePresence: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    number: Joi.string().min(1).max(100).required()
+  }),
+
   webhookReply: Joi.object({
     account_id: Joi.string().uuid().required(),
     number: Joi.string().min(1).max(50).required(),
@@ -73,15 +322,140 @@ const schemas = {
       mimetype: Joi.string().max(100).optional(),
       filename: Joi.string().max(255).optional()
     }).optional(),
-    caption: Joi.string().max(1000).allow('', null).optional()
+    caption: Joi.string().max(1000).allow('', null).optional(),
+    template_id: Joi.string().uuid().optional(),
+    variables: templateVariablesSchema.optional(),
+    location: Joi.object(locationKeys).optional(),
+    contacts: contactsSchema.optional(),
+    poll: Joi.object(pollKeys).optional(),
+    quoted_message_id: quotedMessageIdSchema.optional(),
+    mentions: mentionsSchema.optional()
+  }).with('variables', 'template_id').oxor('template_id', 'location', 'contacts', 'poll'),
+
+  // Group validation
+  createGroup: Joi.object({
+    subject: Joi.string().min(1).max(100).required(),
+    participants: Joi.array().items(Joi.string().min(1).max(100)).min(1).max(256).required()
+  }),
+
+  updateGroup: Joi.object({
+    subject: Joi.string().min(1).max(100).optional(),
+    description: Joi.string().max(2048).allow('').optional()
+  }).or('subject', 'description'),
+
+  updateGroupParticipants: Joi.object({
+    action: Joi.string().valid('add', 'remove', 'promote', 'demote').required(),
+    participants: Joi.array().items(Joi.string().min(1).max(100)).min(1).max(256).required()
+  }),
+
+  // Campaign validation
+  createCampaign: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    name: Joi.string().min(1).max(255).required(),
+    recipients: Joi.array().items(
+      Joi.string().min(1).max(50),
+      Joi.object({
+        number: Joi.string().min(1).max(50).required(),
+        variables: templateVariablesSchema.optional()
+      })
+    ).min(1).max(10000).required(),
+    message: Joi.string().min(1).max(10000).optional(),
+    media: mediaSchema.optional(),
+    caption: Joi.string().max(1000).allow('', null).optional(),
+    template_id: Joi.string().uuid().optional(),
+    variables: templateVariablesSchema.optional(),
+    start_at: Joi.date().iso().optional()
+  }).xor('message', 'media', 'template_id').with('variables', 'template_id'),
+
+  campaignRecipients: Joi.object({
+    status: Joi.string().valid('pending', 'processing', 'sent', 'failed', 'cancelled').optional(),
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100),
+    offset: Joi.number().integer().min(0).optional().default(0)
+  }),
+
+  // Scheduled message validation (send_at without an offset is read in `timezone`)
+  scheduleMessage: Joi.object({
+    account_id: Joi.string().uuid().required(),
+    number: Joi.string().min(1).max(50).required(),
+    message: Joi.string().min(1).max(10000).optional(),
+    media: mediaSchema.optional(),
+    caption: Joi.string().max(1000).allow('', null).optional(),
+    send_at: dateTimeSchema.required(),
+    timezone: timezoneSchema.optional()
+  }).xor('message', 'media'),
+
+  updateScheduledMessage: Joi.object({
+    number: Joi.string().min(1).max(50).optional(),
+    message: Joi.string().min(1).max(10000).optional(),
+    media: mediaSchema.optional(),
+    caption: Joi.string().max(1000).allow('', null).optional(),
+    send_at: dateTimeSchema.optional(),
+    timezone: timezoneSchema.optional()
+  }).oxor('message', 'media').with('timezone', 'send_at').min(1),
+
+  scheduledMessagesQuery: Joi.object({
+    account_id: Joi.string().uuid().optional(),
+    status: Joi.string().valid('scheduled', 'sending', 'sent', 'failed', 'cancelled').optional(),
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100),
+    offset: Joi.number().integer().min(0).optional().default(0)
+  }),
+
+  // Template validation
+  createTemplate: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    body: Joi.string().min(1).max(4096).required(),
+    media: mediaSchema.allow(null).optional(),
+    language: Joi.string().max(20).optional().default('en')
+  }),
+
+  updateTemplate: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    body: Joi.string().min(1).max(4096).optional(),
+    media: mediaSchema.allow(null).optional(),
+    language: Joi.string().max(20).optional()
+  }).min(1),
+
+  // LID mapping correction
+  updateLidMapping: Joi.object({
+    phone_number: Joi.string().pattern(/^\+?[0-9][0-9\s-]{5,20}$/).required()
+      .messages({ 'string.pattern.base': 'phone_number must be a phone number with country code' })
   }),
 
   // Query params validation
+  contactsQuery: Joi.object({
+    search: Joi.string().max(100).optional(),
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100),
+    offset: Joi.number().integer().min(0).optional().default(0)
+  }),
+
+  contactProfileQuery: Joi.object({
+    refresh: Joi.boolean().optional().default(false)
+  }),
+
+  chatsQuery: Joi.object({
+    search: Joi.string().max(100).optional(),
+    unread: Joi.boolean().optional(),
+    archived: Joi.boolean().optional(),
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100),
+    offset: Joi.number().integer().min(0).optional().default(0)
+  }),
+
+  lidMappingsQuery: Joi.object({
+    search: Joi.string().max(100).optional(),
+    limit: Joi.number().integer().min(1).max(1000).optional().default(100),
+    offset: Joi.number().integer().min(0).optional().default(0)
+  }),
+
   messageLogs: Joi.object({
     limit: Joi.number().integer().min(1).max(1000).optional().default(100),
     offset: Joi.number().integer().min(0).optional().default(0)
   }),
 
+  // Path params
+  jobParams: Joi.object({
+    jobId: Joi.string().uuid().required()
+  }),
+
   // Login validation
   login: Joi.object({
     username: Joi.string().min(1).max(50).required(),
@@ -115,12 +489,31 @@ const validate = (schema, property = 'body') => {
   };
 };
 
-// Phone number validation and formatting
-const isValidPhoneNumber = (number) => {
-  // Remove all non-digit characters
-  const cleaned = number.replace(/[^\d]/g, '');
-  // Valid phone number should have 10-15 digits
-  return cleaned.length >= 10 && cleaned.length <= 15;
+// Schema requiring a value for each placeholder of a template
+const buildTemplateVariablesSchema = (names) => {
+  const keys = {};
+  for (const name of names) {
+    keys[name] = templateVariableValue.required();
+  }
+  return Joi.object(keys).unknown(true);
+};
+
+// Parse JSON-encoded fields sent as strings (e.g. multipart/form-data) before validation
+const parseJsonFields = (...fields) => {
+  return (req, res, next) => {
+    for (const field of fields) {
+      if (typeof req.body?.[field] !== 'string') continue;
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (e) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: [{ field, message: `"${field}" must be valid JSON` }]
+        });
+      }
+    }
+    next();
+  };
 };
 
 // Sanitize input to prevent XSS
@@ -140,7 +533,9 @@ const isValidUUID = (uuid) => {
 module.exports = {
   schemas,
   validate,
-  isValidPhoneNumber,
+  parseJsonFields,
+  buildTemplateVariablesSchema,
   sanitizeInput,
-  isValidUUID
+  isValidUUID,
+  isValidTimezone
 };
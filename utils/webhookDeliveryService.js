@@ -1,6 +1,9 @@
 const axios = require('axios');
 const EventEmitter = require('events');
 const logger = require('./logger');
+const { buildSignatureHeaders } = require('./webhookSignature');
+const { buildWebhookPayload, isN8nUrl } = require('./webhookPayload');
+const { matchesFilters } = require('./webhookFilters');
 
 // Lazy load database to support both full and lite mode
 let _db = null;
@@ -21,15 +24,30 @@ function getDb() {
   return _db;
 }
 
+const RESPONSE_EXCERPT_LENGTH = 1000;
+const HEALTH_WINDOW_SIZE = 100;           // attempts the success rate is computed over
+const HEALTH_SAVE_INTERVAL_MS = 60000;    // health is written at most this often, unless the circuit opens or closes
+const PROBE_TIMEOUT_MS = 60000;           // a probe that never reported back stops blocking after this
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// A failure no retry can fix (the payload is too large to send) - dead-lettered straight away
 class PermanentWebhookError extends Error {
-  constructor(message, status) {
+  constructor(message, status, responseBody = null) {
     super(message);
     this.name = 'PermanentWebhookError';
     this.status = status;
+    this.responseBody = responseBody;
     this.isPermanent = true;
   }
 }
 
+// First part of a response body, for the delivery history
+function excerpt(data) {
+  if (data === undefined || data === null || data === '') return null;
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  return text.length > RESPONSE_EXCERPT_LENGTH ? `${text.slice(0, RESPONSE_EXCERPT_LENGTH)}…` : text;
+}
+
 class WebhookDeliveryService extends EventEmitter {
   constructor() {
     super();
@@ -38,11 +56,28 @@ class WebhookDeliveryService extends EventEmitter {
     this.defaultMaxRetries = parseInt(process.env.WEBHOOK_MAX_RETRIES, 10) || 5;
     this.baseBackoffMs = parseInt(process.env.WEBHOOK_BACKOFF_MS, 10) || 2000;
     this.maxBackoffMs = parseInt(process.env.WEBHOOK_MAX_BACKOFF_MS, 10) || 60000;
+    // Legacy receivers that compare the raw secret instead of verifying the signature
+    this.sendSecretHeader = process.env.WEBHOOK_SEND_SECRET_HEADER === 'true';
     this.timer = null;
     this.isProcessing = false;
     this.started = false;
     this.disabled = false;
     this.disableReason = '';
+    this.historyDisabled = false;
+    // Days of attempt history kept in webhook_deliveries (0 = keep forever)
+    const historyRetentionDays = parseInt(process.env.WEBHOOK_HISTORY_RETENTION_DAYS, 10);
+    this.historyRetentionDays = Number.isNaN(historyRetentionDays) ? 30 : historyRetentionDays;
+    this.historyTimer = null;
+
+    // Circuit breaker: pause an endpoint after consecutive failures, probe it with one job at a time,
+    // and turn the webhook off when it keeps failing (0 = never)
+    this.circuitThreshold = parseInt(process.env.WEBHOOK_CIRCUIT_THRESHOLD, 10) || 5;
+    this.circuitProbeMs = parseInt(process.env.WEBHOOK_CIRCUIT_PROBE_MS, 10) || 60000;
+    const autoDisableThreshold = parseInt(process.env.WEBHOOK_AUTO_DISABLE_THRESHOLD, 10);
+    this.autoDisableThreshold = Number.isNaN(autoDisableThreshold) ? 50 : autoDisableThreshold;
+    // Kept in memory; after a restart postponed jobs wait for their probe time and counting starts over
+    this.health = new Map(); // webhookId -> { state, consecutiveFailures, recent, lastError, ... }
+    this.healthColumns = true;
   }
 
   async start() {
@@ -61,6 +96,10 @@ class WebhookDeliveryService extends EventEmitter {
     }
 
     this.timer = setInterval(() => this.processQueue(), this.interval);
+    if (this.historyRetentionDays > 0) {
+      this.pruneHistory();
+      this.historyTimer = setInterval(() => this.pruneHistory(), HISTORY_PRUNE_INTERVAL_MS);
+    }
     this.started = true;
     logger.info('WebhookDeliveryService started');
   }
@@ -70,6 +109,10 @@ class WebhookDeliveryService extends EventEmitter {
       clearInterval(this.timer);
       this.timer = null;
     }
+    if (this.historyTimer) {
+      clearInterval(this.historyTimer);
+      this.historyTimer = null;
+    }
     this.started = false;
     logger.info('WebhookDeliveryService stopped');
   }
@@ -79,6 +122,10 @@ class WebhookDeliveryService extends EventEmitter {
       clearInterval(this.timer);
       this.timer = null;
     }
+    if (this.historyTimer) {
+      clearInterval(this.historyTimer);
+      this.historyTimer = null;
+    }
     this.disabled = true;
     this.disableReason = reason;
     logger.error(`WebhookDeliveryService disabled: ${reason}`);
@@ -96,11 +143,12 @@ class WebhookDeliveryService extends EventEmitter {
     // Determine event type from messageData
     const eventType = messageData.event || 'message';
 
-    // Filter webhooks that are subscribed to this event type
+    // Filter webhooks that are subscribed to this event type and whose filter rules let it through
     const subscribedWebhooks = webhooks.filter(webhook => {
       const events = webhook.events || ['message'];
       // Support both exact match and wildcard
-      return events.includes(eventType) || events.includes('*') || events.includes('all');
+      const subscribed = events.includes(eventType) || events.includes('*') || events.includes('all');
+      return subscribed && matchesFilters(webhook.filters, messageData);
     });
 
     if (subscribedWebhooks.length === 0) {
@@ -114,7 +162,7 @@ class WebhookDeliveryService extends EventEmitter {
         return getDb().enqueueWebhookDelivery({
           accountId,
           webhook,
-          payload: this.buildPayload(webhook, sanitizedPayload),
+          payload: buildWebhookPayload(webhook, sanitizedPayload),
           maxRetries: webhook.max_retries || this.defaultMaxRetries
         });
       }));
@@ -141,7 +189,7 @@ class WebhookDeliveryService extends EventEmitter {
         return;
       }
 
-      await Promise.allSettled(jobs.map(job => this.processJob(job)));
+      await Promise.allSettled(this.selectRunnableJobs(jobs).map(job => this.processJob(job)));
     } catch (error) {
       if (MissingWebhookQueueTableError && error instanceof MissingWebhookQueueTableError) {
         this.disableService('Missing webhook_delivery_queue table while processing queue');
@@ -154,6 +202,37 @@ class WebhookDeliveryService extends EventEmitter {
     }
   }
 
+  // Leave out jobs of endpoints with an open circuit - except one probe once the pause is over
+  selectRunnableJobs(jobs) {
+    const paused = new Set();
+
+    const runnable = jobs.filter(job => {
+      const health = this.health.get(job.webhook_id);
+      if (!health || health.state === 'closed') {
+        return true;
+      }
+      if (Date.now() - health.probing < PROBE_TIMEOUT_MS) {
+        return false;
+      }
+      if (Date.now() < health.nextProbeAt) {
+        paused.add(job.webhook_id);
+        return false;
+      }
+      health.probing = Date.now();
+      return true;
+    });
+
+    // Jobs queued after the circuit opened would otherwise fill every batch until the probe
+    for (const webhookId of paused) {
+      const until = new Date(this.health.get(webhookId).nextProbeAt).toISOString();
+      getDb().postponeWebhookDeliveries(webhookId, until).catch(error => {
+        logger.warn(`Failed to postpone deliveries for webhook ${webhookId}: ${error.message}`);
+      });
+    }
+
+    return runnable;
+  }
+
   async processJob(job) {
     if (this.disabled) {
       return;
@@ -181,6 +260,16 @@ class WebhookDeliveryService extends EventEmitter {
       const response = await this.sendWebhookRequest(claimedJob);
       await getDb().completeWebhookDelivery(claimedJob.id, response.status);
 
+      await this.recordAttempt(claimedJob, {
+        status: 'success',
+        response_status: response.status,
+        response_body: excerpt(response.data),
+        latency_ms: Date.now() - startTime,
+        delivered_at: new Date().toISOString()
+      });
+
+      await this.recordSuccess(claimedJob);
+
       await getDb().logMessage({
         account_id: claimedJob.account_id,
         direction: 'webhook',
@@ -217,6 +306,19 @@ class WebhookDeliveryService extends EventEmitter {
         throw dbError;
       }
 
+      await this.recordAttempt(claimedJob, {
+        status: isDeadLetter ? 'dead_letter' : 'failed',
+        response_status: error.status || null,
+        response_body: error.responseBody || null,
+        error_message: error.message,
+        latency_ms: Date.now() - startTime
+      });
+
+      // A payload we refused to send says nothing about the endpoint
+      if (!error.notSent) {
+        await this.recordFailure(claimedJob, error);
+      }
+
       await getDb().logMessage({
         account_id: claimedJob.account_id,
         direction: 'webhook',
@@ -240,104 +342,302 @@ class WebhookDeliveryService extends EventEmitter {
 
   async sendWebhookRequest(job) {
     const payload = job.payload;
-    const isN8n = this.isN8n(job.webhook_url);
-    const timeout = isN8n ? 5000 : 10000;
+    const timeout = isN8nUrl(job.webhook_url) ? 5000 : 10000;
     const maxPayloadSize = 50 * 1024 * 1024; // 50MB
-    const payloadSize = Buffer.byteLength(JSON.stringify(payload));
+    // Serialized once so the signature covers exactly the bytes sent
+    const body = JSON.stringify(payload);
+    const payloadSize = Buffer.byteLength(body);
 
     if (payloadSize > maxPayloadSize) {
-      throw new PermanentWebhookError(`Payload too large (${(payloadSize / 1024 / 1024).toFixed(2)}MB)`, 413);
+      throw Object.assign(
+        new PermanentWebhookError(`Payload too large (${(payloadSize / 1024 / 1024).toFixed(2)}MB)`, 413),
+        { notSent: true }
+      );
     }
 
-    try {
-      const response = await axios.post(job.webhook_url, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Webhook-Secret': job.webhook_secret || '',
-          'X-Account-ID': job.account_id,
-          'User-Agent': 'WhatsApp-Multi-Automation/3.0'
-        },
-        timeout,
-        maxContentLength: maxPayloadSize,
-        maxBodyLength: maxPayloadSize,
-        validateStatus: () => true
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Account-ID': job.account_id,
+      'X-Webhook-Delivery': job.id, // same on every retry, for de-duplication
+      'User-Agent': 'WhatsApp-Multi-Automation/3.0'
+    };
+    if (job.webhook_secret) {
+      // Signed per attempt, so a retry carries a fresh timestamp
+      Object.assign(headers, buildSignatureHeaders(job.webhook_secret, body));
+      if (this.sendSecretHeader) {
+        headers['X-Webhook-Secret'] = job.webhook_secret;
+      }
+    }
+
+    const response = await axios.post(job.webhook_url, body, {
+      headers,
+      timeout,
+      maxContentLength: maxPayloadSize,
+      maxBodyLength: maxPayloadSize,
+      validateStatus: () => true
+    });
+
+    // Every error response is retried with backoff and counts against the endpoint's health -
+    // a 4xx from a misconfigured receiver is fixed on their side just like a 5xx
+    if (response.status >= 400) {
+      throw Object.assign(new Error(`Webhook responded with status ${response.status}`), {
+        status: response.status,
+        responseBody: excerpt(response.data)
       });
+    }
 
-      if (response.status >= 500) {
-        throw new Error(`Webhook server error ${response.status}`);
-      }
+    return response;
+  }
 
-      if (response.status >= 400) {
-        throw new PermanentWebhookError(`Webhook rejected with status ${response.status}`, response.status);
+  // One webhook_deliveries row per attempt; history is optional, so a missing table only turns it off
+  async recordAttempt(job, result) {
+    if (this.historyDisabled) {
+      return;
+    }
+
+    try {
+      await getDb().logWebhookDelivery({
+        webhook_id: job.webhook_id,
+        account_id: job.account_id,
+        job_id: job.id,
+        event: job.payload?.event || null, // absent from chat-tool and custom formats
+        webhook_url: job.webhook_url,
+        payload: job.payload,
+        attempts: job.attempt_count,
+        ...result
+      });
+    } catch (error) {
+      if (error?.code === 'PGRST205' || error?.code === 'PGRST204') {
+        this.historyDisabled = true;
+        logger.warn('webhook_deliveries table is missing or outdated - delivery history disabled. Run migrations/add_webhook_delivery_log.sql in Supabase.');
+        return;
       }
+      logger.warn(`Failed to record webhook delivery ${job.id}: ${error.message}`);
+    }
+  }
+
+  // Delete attempt history past WEBHOOK_HISTORY_RETENTION_DAYS
+  async pruneHistory() {
+    if (this.historyDisabled) {
+      return;
+    }
 
-      return response;
+    try {
+      const before = new Date(Date.now() - this.historyRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+      const removed = await getDb().pruneWebhookDeliveries(before);
+      if (removed) {
+        logger.info(`Removed ${removed} webhook delivery records older than ${this.historyRetentionDays} days`);
+      }
     } catch (error) {
-      if (error instanceof PermanentWebhookError) {
-        throw error;
+      if (error?.code === 'PGRST205') {
+        return; // no history table, nothing to prune
       }
+      logger.warn(`Failed to prune webhook delivery history: ${error.message}`);
+    }
+  }
+
+  getHealth(webhookId) {
+    if (!this.health.has(webhookId)) {
+      this.health.set(webhookId, {
+        state: 'closed',          // closed = delivering, open = paused until nextProbeAt
+        consecutiveFailures: 0,
+        recent: [],               // true/false per attempt, newest last
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        nextProbeAt: null,
+        probing: 0,               // when the current probe started
+        savedAt: 0
+      });
+    }
+    return this.health.get(webhookId);
+  }
+
+  trackOutcome(health, success) {
+    health.recent.push(success);
+    if (health.recent.length > HEALTH_WINDOW_SIZE) {
+      health.recent.shift();
+    }
+    health.probing = 0;
+  }
+
+  async recordSuccess(job) {
+    if (!job.webhook_id) {
+      return;
+    }
+
+    const health = this.getHealth(job.webhook_id);
+    const recovered = health.consecutiveFailures > 0 || health.state !== 'closed';
+    const closed = health.state !== 'closed';
+
+    this.trackOutcome(health, true);
+    health.consecutiveFailures = 0;
+    health.lastSuccessAt = new Date().toISOString();
+
+    if (closed) {
+      health.state = 'closed';
+      health.nextProbeAt = null;
+      logger.info(`Webhook ${job.webhook_id} is responding again - circuit closed`);
+
+      // Release the jobs held back while it was down
+      await getDb().postponeWebhookDeliveries(job.webhook_id, new Date().toISOString()).catch(error => {
+        logger.warn(`Failed to resume deliveries for webhook ${job.webhook_id}: ${error.message}`);
+      });
+    }
+
+    if (recovered || Date.now() - health.savedAt > HEALTH_SAVE_INTERVAL_MS) {
+      await this.saveWebhookState(job.webhook_id, health);
+    }
+
+    if (closed) {
+      this.emit('circuit-closed', { webhookId: job.webhook_id, accountId: job.account_id });
+    }
+  }
+
+  async recordFailure(job, error) {
+    if (!job.webhook_id) {
+      return;
+    }
+
+    const health = this.getHealth(job.webhook_id);
+    this.trackOutcome(health, false);
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+    health.lastFailureAt = new Date().toISOString();
+
+    if (this.autoDisableThreshold > 0 && health.consecutiveFailures >= this.autoDisableThreshold &&
+        await this.autoDisableWebhook(job, health)) {
+      return;
+    }
+
+    const opened = health.state !== 'open' && health.consecutiveFailures >= this.circuitThreshold;
+    if (health.state === 'open' || opened) {
+      health.state = 'open';
+      health.nextProbeAt = Date.now() + this.circuitProbeMs;
 
-      if (error.response && error.response.status >= 400 && error.response.status < 500) {
-        throw new PermanentWebhookError(`Webhook rejected with status ${error.response.status}`, error.response.status);
+      await getDb().postponeWebhookDeliveries(job.webhook_id, new Date(health.nextProbeAt).toISOString()).catch(dbError => {
+        logger.warn(`Failed to postpone deliveries for webhook ${job.webhook_id}: ${dbError.message}`);
+      });
+
+      if (opened) {
+        logger.warn(`Webhook ${job.webhook_id} failed ${health.consecutiveFailures} times in a row - pausing deliveries for ${this.circuitProbeMs}ms`);
       }
+    }
 
-      throw error;
+    if (opened || Date.now() - health.savedAt > HEALTH_SAVE_INTERVAL_MS) {
+      await this.saveWebhookState(job.webhook_id, health);
+    }
+
+    if (opened) {
+      this.emit('circuit-open', { webhookId: job.webhook_id, accountId: job.account_id, error: health.lastError });
     }
   }
 
-  buildPayload(webhook, messageData) {
-    const eventType = messageData.event || 'message';
+  /**
+   * Turn the webhook off and dead-letter what is still queued, so it can be replayed once fixed
+   * @returns {Promise<boolean>} false if the webhook couldn't be switched off (tried again on its next failure)
+   */
+  async autoDisableWebhook(job, health) {
+    const reason = `Disabled after ${health.consecutiveFailures} consecutive failed deliveries: ${health.lastError}`;
 
-    if (this.isN8n(webhook.url)) {
-      // Handle message_ack events (read receipts)
-      if (eventType === 'message_ack') {
-        return {
-          event: 'message_ack',
-          account_id: messageData.account_id,
-          message_id: messageData.message_id,
-          recipient: messageData.recipient,
-          status: messageData.ack_name, // 'sent', 'delivered', 'read'
-          status_code: messageData.ack, // 2=sent, 3=delivered, 4=read
-          timestamp: messageData.timestamp,
-          optimized: true
-        };
+    try {
+      await this.saveWebhookState(job.webhook_id, health, {
+        is_active: false,
+        disabled_reason: reason,
+        disabled_at: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error(`Failed to disable webhook ${job.webhook_id}: ${error.message}`);
+      return false;
+    }
+    logger.warn(`Webhook ${job.webhook_id}: ${reason}`);
+
+    let deadLettered = 0;
+    try {
+      deadLettered = await getDb().deadLetterWebhookDeliveries(job.webhook_id, reason);
+    } catch (error) {
+      logger.warn(`Failed to dead-letter queued deliveries for webhook ${job.webhook_id}: ${error.message}`);
+    }
+
+    this.health.delete(job.webhook_id);
+    this.emit('webhook-disabled', {
+      webhookId: job.webhook_id,
+      accountId: job.account_id,
+      url: job.webhook_url,
+      reason,
+      deadLettered
+    });
+    return true;
+  }
+
+  /**
+   * Write a webhook's health to its row (plus any other changes)
+   * Without the health columns (migration not run) only the other changes are written
+   * @throws {Error} When the other changes couldn't be written - a failed health-only write is just logged
+   */
+  async saveWebhookState(webhookId, health, changes = {}) {
+    const healthFields = {
+      consecutive_failures: health.consecutiveFailures,
+      last_error: health.lastError,
+      last_success_at: health.lastSuccessAt,
+      last_failure_at: health.lastFailureAt,
+      circuit_open_until: health.state === 'open' ? new Date(health.nextProbeAt).toISOString() : null
+    };
+
+    const hasChanges = Object.keys(changes).length > 0;
+
+    if (this.healthColumns) {
+      try {
+        await getDb().updateWebhook(webhookId, { ...healthFields, ...changes });
+        health.savedAt = Date.now();
+        return;
+      } catch (error) {
+        if (error?.code !== 'PGRST204') {
+          if (hasChanges) throw error;
+          logger.warn(`Failed to save health of webhook ${webhookId}: ${error.message}`);
+          return;
+        }
+        this.healthColumns = false;
+        logger.warn('Webhook health columns not found - health is kept in memory only. Run migrations/add_webhook_health.sql in Supabase.');
       }
+    }
+
+    if (hasChanges) {
+      const { disabled_reason, disabled_at, ...columns } = changes;
+      await getDb().updateWebhook(webhookId, columns);
+    }
+  }
 
-      // Handle regular message events
-      const {
-        account_id,
-        direction,
-        sender,
-        recipient,
-        message,
-        timestamp,
-        type,
-        chat_id,
-        is_group,
-        media
-      } = messageData;
-
-      return {
-        event: 'message',
-        account_id,
-        direction,
-        sender,
-        recipient,
-        message,
-        timestamp,
-        type,
-        chat_id,
-        is_group,
-        media,
-        optimized: true
-      };
-    }
-
-    return messageData;
+  // Start over after a webhook is switched back on
+  resetHealth(webhookId) {
+    this.health.delete(webhookId);
   }
 
-  isN8n(url) {
-    return /n8n|nodemation/i.test(url || '');
+  /**
+   * Health of a webhook for the API - live numbers from this process, stored ones otherwise
+   * @param {object} webhook - Webhook row
+   */
+  getHealthSnapshot(webhook) {
+    const health = this.health.get(webhook.id);
+    const recent = health?.recent || [];
+    const openUntil = health
+      ? (health.state === 'open' ? new Date(health.nextProbeAt).toISOString() : null)
+      : webhook.circuit_open_until || null;
+
+    return {
+      webhook_id: webhook.id,
+      is_active: webhook.is_active,
+      circuit: openUntil && new Date(openUntil) > new Date() ? 'open' : (health?.state || 'closed'),
+      next_probe_at: openUntil,
+      consecutive_failures: health ? health.consecutiveFailures : (webhook.consecutive_failures || 0),
+      success_rate: recent.length ? Math.round((recent.filter(Boolean).length / recent.length) * 1000) / 10 : null,
+      recent_attempts: recent.length,
+      last_error: health?.lastError ?? webhook.last_error ?? null,
+      last_success_at: health?.lastSuccessAt ?? webhook.last_success_at ?? null,
+      last_failure_at: health?.lastFailureAt ?? webhook.last_failure_at ?? null,
+      disabled_reason: webhook.disabled_reason || null,
+      disabled_at: webhook.disabled_at || null
+    };
   }
 
   getBackoffDelay(attempt) {
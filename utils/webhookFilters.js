@@ -0,0 +1,96 @@
+/**
+ * Webhook filters - rules stored on a webhook (webhooks.filters) that decide which events it gets
+ *
+ *   {
+ *     "senders": ["919876543210"],          only these senders (empty or missing = everyone); numbers are
+ *                                           stored in international form, read with the account's default country
+ *     "exclude_senders": ["14155550123"],   never these senders
+ *     "chat_type": "direct",                all, direct or group
+ *     "message_types": ["image", "audio"],  message events of these types only
+ *     "keywords": ["order #", "refund"]     message text must contain one of these (case-insensitive)
+ *   }
+ *
+ * Sender and chat type rules apply to every event about a message (messages, reactions, edits,
+ * deletes, poll votes, presence); types and keywords only to `message` events.
+ * Events without a sender (receipts, groups, connection) always pass.
+ * Keywords are plain text, not regular expressions - filters run for every incoming message, and a
+ * user-supplied pattern can take seconds (or minutes) to fail on a short text.
+ */
+
+const { normalizePhoneNumber } = require('./phoneNumbers');
+
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'document', 'sticker', 'contact', 'location', 'interactive_reply'];
+const CHAT_TYPES = ['all', 'direct', 'group'];
+
+function digitsOnly(number) {
+  return String(number || '').replace(/\D/g, '');
+}
+
+/**
+ * Clean filters before they are stored: numbers in international form (digits only), empty rules dropped
+ * @param {object|null} filters
+ * @param {string} [defaultCountry] - Country of numbers typed without a country code
+ * @returns {object|null} null when nothing is left to filter on
+ * @throws {Error} 400 INVALID_NUMBER when a sender isn't a phone number
+ */
+function normalizeFilters(filters, defaultCountry = null) {
+  if (!filters) return null;
+
+  const normalized = {};
+  for (const key of ['senders', 'exclude_senders']) {
+    const numbers = (filters[key] || [])
+      .filter(number => String(number).trim())
+      .map(number => normalizePhoneNumber(number, defaultCountry).slice(1));
+    if (numbers.length) normalized[key] = [...new Set(numbers)];
+  }
+  if (filters.chat_type && filters.chat_type !== 'all') {
+    normalized.chat_type = filters.chat_type;
+  }
+  if (filters.message_types?.length) {
+    normalized.message_types = [...new Set(filters.message_types)];
+  }
+  const keywords = (filters.keywords || []).map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean);
+  if (keywords.length) {
+    normalized.keywords = [...new Set(keywords)];
+  }
+
+  return Object.keys(normalized).length ? normalized : null;
+}
+
+/**
+ * Whether an event passes a webhook's filters
+ * @param {object|null} filters - webhooks.filters
+ * @param {object} data - Event data
+ * @returns {boolean}
+ */
+function matchesFilters(filters, data) {
+  if (!filters) return true;
+
+  const sender = data.sender || data.voter || data.participant;
+  if (!sender) return true;
+
+  const senderDigits = digitsOnly(sender);
+  if (filters.senders?.length && !filters.senders.includes(senderDigits)) return false;
+  if (filters.exclude_senders?.includes(senderDigits)) return false;
+
+  if (filters.chat_type === 'direct' && data.is_group) return false;
+  if (filters.chat_type === 'group' && !data.is_group) return false;
+
+  if (data.event !== 'message') return true;
+
+  if (filters.message_types?.length && !filters.message_types.includes(data.type)) return false;
+
+  if (filters.keywords?.length) {
+    const text = (data.message || '').toLowerCase();
+    return filters.keywords.some(keyword => text.includes(String(keyword).toLowerCase()));
+  }
+
+  return true;
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  CHAT_TYPES,
+  normalizeFilters,
+  matchesFilters
+};
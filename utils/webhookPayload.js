@@ -0,0 +1,201 @@
+/**
+ * Webhook payloads - the body each webhook receives, chosen by its payload_format
+ *   auto    - n8n URLs get the n8n shape, everything else raw (the default, and the old behaviour)
+ *   raw     - the event as-is
+ *   n8n     - compact shape for n8n workflows
+ *   slack / discord / teams - a chat message with a one-line summary of the event
+ *   custom  - the webhook's payload_template with {{field}} placeholders filled from the event
+ */
+
+const PAYLOAD_FORMATS = ['auto', 'raw', 'n8n', 'slack', 'discord', 'teams', 'custom'];
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+function isN8nUrl(url) {
+  return /n8n|nodemation/i.test(url || '');
+}
+
+// Value at a dotted path ("media.mimetype", "contact_profile.name")
+function lookup(data, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+/**
+ * Fill a JSON template from event data
+ * A string that is only a placeholder ("{{media}}") takes the value with its type (object, number, ...);
+ * placeholders inside text are written as strings, missing fields as ''
+ * @param {*} template - Any JSON value
+ * @param {object} data - Event data
+ * @returns {*} The rendered JSON value
+ */
+function renderTemplate(template, data) {
+  if (typeof template === 'string') {
+    const whole = template.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      const value = lookup(data, whole[1]);
+      return value === undefined ? null : value;
+    }
+    return template.replace(PLACEHOLDER, (match, path) => {
+      const value = lookup(data, path);
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, data));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, data)]));
+  }
+
+  return template;
+}
+
+/**
+ * One line describing an event, for chat tools ({{summary}} in custom templates)
+ * @param {object} data - Event data
+ * @returns {string}
+ */
+function summarize(data) {
+  const where = data.is_group ? ` in ${data.group_name || data.chat_id}` : '';
+
+  switch (data.event) {
+    case 'message': {
+      const from = data.sender_name ? `${data.sender_name} (${data.sender})` : data.sender;
+      return `${from}${where}: ${data.message || `[${data.type || 'message'}]`}`;
+    }
+    case 'message_ack':
+      return `Message ${data.message_id} ${data.ack_name} by ${data.recipient}`;
+    case 'reaction':
+      return data.removed
+        ? `${data.sender} removed a reaction${where}`
+        : `${data.sender} reacted ${data.reaction}${where}`;
+    case 'message_edited':
+      return `${data.sender} edited a message${where}: ${data.message}`;
+    case 'message_deleted':
+      return `${data.sender} deleted a message${where}`;
+    case 'poll_vote':
+      return `${data.voter} voted ${(data.selected_options || []).join(', ') || '(withdrawn)'} on "${data.poll_name || 'poll'}"${where}`;
+    case 'group_participants_update':
+      return `${data.author || 'Someone'} ${data.action} ${(data.participants || []).join(', ')} in group ${data.group_id}`;
+    case 'group_update':
+      return `Group ${data.group_id} updated (${Object.keys(data.changes || {}).join(', ')})`;
+    case 'presence.update':
+      return `${data.participant} is ${data.presence}${where}`;
+    case 'connection.qr':
+      return `WhatsApp account ${data.account_id} is waiting for a QR scan`;
+    case 'connection.ready':
+      return `WhatsApp account ${data.phone_number || data.account_id} connected`;
+    case 'connection.disconnected':
+      return `WhatsApp account ${data.account_id} disconnected${data.reason ? `: ${data.reason}` : ''}`;
+    case 'connection.logged_out':
+      return `WhatsApp account ${data.account_id} was logged out`;
+    default:
+      return data.message || `WhatsApp event: ${data.event || 'unknown'}`;
+  }
+}
+
+// Compact shape for n8n workflows
+function toN8nPayload(data) {
+  const eventType = data.event || 'message';
+
+  // Read receipts
+  if (eventType === 'message_ack') {
+    return {
+      event: 'message_ack',
+      account_id: data.account_id,
+      message_id: data.message_id,
+      recipient: data.recipient,
+      status: data.ack_name, // 'sent', 'delivered', 'read'
+      status_code: data.ack, // 2=sent, 3=delivered, 4=read
+      timestamp: data.timestamp,
+      optimized: true
+    };
+  }
+
+  // Other events (group changes, ...) are already compact
+  if (eventType !== 'message') {
+    return data;
+  }
+
+  const {
+    account_id,
+    direction,
+    sender,
+    recipient,
+    message,
+    timestamp,
+    type,
+    chat_id,
+    is_group,
+    media,
+    transcript,
+    contact_profile
+  } = data;
+
+  return {
+    event: 'message',
+    account_id,
+    direction,
+    sender,
+    recipient,
+    message,
+    timestamp,
+    type,
+    chat_id,
+    is_group,
+    media,
+    transcript,
+    contact_profile,
+    optimized: true
+  };
+}
+
+// Slack escapes only these three in message text
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Body to send to a webhook for an event
+ * @param {object} webhook - Webhook row (url, payload_format, payload_template)
+ * @param {object} data - Event data
+ * @returns {object}
+ */
+function buildWebhookPayload(webhook, data) {
+  switch (webhook.payload_format || 'auto') {
+    case 'raw':
+      return data;
+    case 'n8n':
+      return toN8nPayload(data);
+    case 'slack':
+      return { text: escapeSlack(summarize(data)) };
+    case 'discord':
+      // Discord caps content at 2000 characters; no @everyone / role pings from message text
+      return { content: summarize(data).slice(0, 2000), allowed_mentions: { parse: [] } };
+    case 'teams':
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: summarize(data).slice(0, 100),
+        text: summarize(data)
+      };
+    case 'custom':
+      return webhook.payload_template
+        ? renderTemplate(webhook.payload_template, { ...data, summary: summarize(data) })
+        : data;
+    default:
+      return isN8nUrl(webhook.url) ? toN8nPayload(data) : data;
+  }
+}
+
+module.exports = {
+  PAYLOAD_FORMATS,
+  isN8nUrl,
+  renderTemplate,
+  summarize,
+  buildWebhookPayload
+};
@@ -0,0 +1,95 @@
+/**
+ * Webhook signatures - HMAC-SHA256 over "<timestamp>.<raw body>"
+ *
+ * Deliveries carry:
+ *   X-Webhook-Timestamp: 1705234567          (unix seconds when the request was signed)
+ *   X-Webhook-Signature: sha256=<hex digest>
+ *
+ * This file only needs Node's crypto module, so receivers can copy it as-is:
+ *
+ *   const { verifySignature } = require('./webhookSignature');
+ *   app.post('/whatsapp', express.raw({ type: 'application/json' }), (req, res) => {
+ *     const ok = verifySignature({
+ *       secret: process.env.WEBHOOK_SECRET,
+ *       body: req.body,  // raw body - re-serialized JSON won't match
+ *       signature: req.get('X-Webhook-Signature'),
+ *       timestamp: req.get('X-Webhook-Timestamp')
+ *     });
+ *     if (!ok) return res.sendStatus(401);
+ *     ...
+ *   });
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Signature of a request body
+ * @param {string} secret - Webhook secret
+ * @param {number|string} timestamp - Unix seconds
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(body)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Headers to send with a body
+ * @param {string} secret - Webhook secret
+ * @param {string} body - The exact string that is sent
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ */
+function buildSignatureHeaders(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: signPayload(secret, timestamp, body)
+  };
+}
+
+let warnedParsedBody = false;
+
+/**
+ * Check a delivery's signature and reject stale (replayed) requests
+ * The body must be the raw request body (string or Buffer, e.g. from express.raw()) - a body
+ * already parsed by express.json() is never valid, since re-serialized JSON can differ byte for byte
+ * @param {object} options - { secret, body, signature, timestamp, toleranceSeconds?, now? }
+ * @returns {boolean} false for a bad signature, a stale timestamp or a body that isn't raw
+ */
+function verifySignature({ secret, body, signature, timestamp, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+  if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+    if (!warnedParsedBody) {
+      warnedParsedBody = true;
+      console.warn('verifySignature: body must be the raw request body (string or Buffer) - use express.raw() instead of express.json() on the webhook route');
+    }
+    return false;
+  }
+
+  if (!secret || !signature || !/^\d+$/.test(String(timestamp || ''))) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - Number(timestamp)) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  buildSignatureHeaders,
+  verifySignature
+};
@@ -42,22 +42,24 @@ console.error = (...args) => {
 };
 // ============================================================================
 
-const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, fetchLatestBaileysVersion, makeCacheableSignalKeyStore, jidDecode } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, fetchLatestBaileysVersion, makeCacheableSignalKeyStore, jidDecode, jidNormalizedUser, generateWAMessageFromContent, prepareWAMessageMedia, downloadMediaMessage, normalizeMessageContent, getContentType, getAggregateVotesInPollMessage, WAMessageStubType, BufferJSON } = require('@whiskeysockets/baileys');
 const qrcode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
-const { db } = require('../config/database');
+const { db, CacheManager } = require('../config/database');
 const axios = require('axios');
 const logger = require('./logger');
 const webhookDeliveryService = require('./webhookDeliveryService');
 const chatbotManager = require('./chatbot');
+const messageStore = require('./messageStore');
+const contactStore = require('./contactStore');
+const lidMappingStore = require('./lidMappingStore');
+const { normalizePhoneNumber } = require('./phoneNumbers');
+const mediaStorage = require('./storage');
+const transcriptionService = require('./transcription');
 const pino = require('pino');
 const fs = require('fs');
 const path = require('path');
 
-// LID to Phone Number mapping cache (in-memory with size limit)
-const lidPhoneCache = new Map();
-const LID_CACHE_MAX_SIZE = 10000; // Prevent unbounded growth
-
 /**
  * Get actual phone number from any JID format
  * For @lid contacts, looks up from cache or returns LID
@@ -76,39 +78,63 @@ function getPhoneNumber(jid) {
     return decoded.user; // e.g., "918949171377"
   }
   
-  // For @lid, check cache
+  // For @lid, check cache - return LID user as fallback
   const lidUser = decoded.user;
-  if (lidPhoneCache.has(lidUser)) {
-    return lidPhoneCache.get(lidUser);
-  }
-  
-  // Return LID user as fallback
-  return lidUser;
+  return lidMappingStore.get(lidUser) || lidUser;
 }
 
 /**
  * Store LID to phone mapping (call this when we discover the mapping)
- * Implements LRU-style eviction when cache gets too large
+ * Cached in memory and persisted per account in lid_mappings
+ * @param {string} accountId - Account that saw the mapping
+ * @param {string} lid - The @lid jid
+ * @param {string} phone - Phone number or phone jid
+ * @param {string} [source] - message, contact or lookup
  */
-function storeLidPhoneMapping(lid, phone) {
+function storeLidPhoneMapping(accountId, lid, phone, source = 'message') {
   if (!lid || !phone) return;
   const decoded = jidDecode(lid);
   if (decoded && lid.endsWith('@lid')) {
-    // LRU eviction: remove oldest entry if cache is full
-    if (lidPhoneCache.size >= LID_CACHE_MAX_SIZE) {
-      const oldestKey = lidPhoneCache.keys().next().value;
-      lidPhoneCache.delete(oldestKey);
-    }
-    const cleanPhone = phone.replace(/[^0-9]/g, '');
-    lidPhoneCache.set(decoded.user, cleanPhone);
-    logger.info(`[LID Cache] Mapped LID ${decoded.user} → Phone ${cleanPhone}`);
+    lidMappingStore.set(accountId, decoded.user, jidDecode(phone)?.user || phone.split('@')[0], source);
   }
 }
 
+// Country assumed for numbers typed without a country code (per-account setting overrides it)
+const DEFAULT_COUNTRY = process.env.DEFAULT_COUNTRY ?? 'IN';
+
+// How long onWhatsApp results are trusted
+const REGISTERED_TTL_MS = 24 * 60 * 60 * 1000;
+const NOT_REGISTERED_TTL_MS = 60 * 60 * 1000;
+const REGISTRATION_CACHE_MAX_SIZE = 10000;
+
+// Privacy settings exposed by the API -> WhatsApp privacy category and the socket method that changes it
+const PRIVACY_SETTINGS = {
+  last_seen: { category: 'last', update: 'updateLastSeenPrivacy' },
+  online: { category: 'online', update: 'updateOnlinePrivacy' },
+  profile_photo: { category: 'profile', update: 'updateProfilePicturePrivacy' },
+  about: { category: 'status', update: 'updateStatusPrivacy' },
+  read_receipts: { category: 'readreceipts', update: 'updateReadReceiptsPrivacy' },
+  groups_add: { category: 'groupadd', update: 'updateGroupsAddPrivacy' }
+};
+
 // Memory thresholds - aggressive for low-RAM environments (512MB Render free tier)
 const MEMORY_WARNING_THRESHOLD = 300 * 1024 * 1024; // 300MB
 const MEMORY_CRITICAL_THRESHOLD = 420 * 1024 * 1024; // 420MB
 
+// Incoming message types whose file is downloaded into media storage
+const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+// Text (or caption) of a message's content
+function getMessageText(content) {
+  if (!content) return '';
+  return content.conversation ||
+    content.extendedTextMessage?.text ||
+    content.imageMessage?.caption ||
+    content.videoMessage?.caption ||
+    content.documentMessage?.caption ||
+    '';
+}
+
 // Baileys auth state backed by database
 async function useDBAuthState(accountId) {
   const sessionPath = path.join('./wa-sessions-temp', accountId);
@@ -237,9 +263,21 @@ class WhatsAppManager {
     this.deletedAccounts = new Set(); // Track deleted accounts to prevent QR regeneration
     this.qrAttempts = new Map();
     this.reconnectAttempts = new Map(); // accountId -> { count, lastAttempt }
+    this.disconnectCount = new Map(); // accountId -> disconnects since the connection was last open
     this.isShuttingDown = false;
     this.io = null;
     this.authStates = new Map();    // accountId -> { state, saveCreds }
+    this.groupMetadata = new Map(); // `${accountId}:${groupJid}` -> { metadata, fetchedAt }
+    this.groupMetadataTtlMs = parseInt(process.env.GROUP_METADATA_TTL_MS, 10) || 10 * 60 * 1000;
+    this.registrations = new Map(); // jid -> { jid: registered jid or null, expiresAt }
+    this.checkNumberBeforeSend = process.env.CHECK_NUMBER_BEFORE_SEND !== 'false';
+    // Profile picture URLs from WhatsApp's CDN expire, so don't keep profiles too long
+    this.profileCacheTtlMs = parseInt(process.env.PROFILE_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+    // Own cache, so profile lookups don't evict the account/webhook query cache
+    this.profileCache = new CacheManager(
+      parseInt(process.env.PROFILE_CACHE_SIZE, 10) || 1000,
+      this.profileCacheTtlMs
+    );
 
     // Minimal metrics
     this.metrics = {
@@ -350,6 +388,9 @@ class WhatsAppManager {
       const { state, saveCreds, saveAllToDatabase } = await useDBAuthState(accountId);
       this.authStates.set(accountId, { state, saveCreds, saveAllToDatabase });
 
+      // Known LID -> phone mappings, so @lid senders resolve straight after a restart
+      await lidMappingStore.load(accountId);
+
       const { version } = await fetchLatestBaileysVersion();
       logger.info(`Using Baileys version: ${version.join('.')}`);
 
@@ -379,9 +420,12 @@ class WhatsAppManager {
           if (messageRetryMap.has(key.id)) {
             return messageRetryMap.get(key.id);
           }
-          return { conversation: '' };
+          // Older messages are still in the message store
+          return messageStore.get(accountId, key.id)?.message || { conversation: '' };
         },
-        msgRetryCounterCache: messageRetryMap
+        msgRetryCounterCache: messageRetryMap,
+        // Saves a metadata query on every send to a group
+        cachedGroupMetadata: async (jid) => this.groupMetadata.get(`${accountId}:${jid}`)?.metadata
       });
 
       // Store messageRetryMap with the client for later use
@@ -431,6 +475,7 @@ class WhatsAppManager {
 
           this.accountStatus.set(accountId, 'qr_ready');
           this.emitToAll('qr', { accountId, qr: qrDataUrl });
+          this.queueConnectionEvent(accountId, 'connection.qr', { qr });
 
           logger.info(`QR generated for ${accountId}`);
         } catch (error) {
@@ -453,6 +498,8 @@ class WhatsAppManager {
         this.qrCodes.delete(accountId);
         this.reconnecting.delete(accountId);
         this.reconnectAttempts.delete(accountId); // Reset backoff on successful connection
+        const reconnectAttempt = this.disconnectCount.get(accountId) || 0;
+        this.disconnectCount.delete(accountId);
 
         // CRITICAL: Save ALL session files after connection is established
         // This ensures Signal protocol keys are saved before any messages are sent
@@ -467,6 +514,10 @@ class WhatsAppManager {
         }
 
         this.emitToAll('ready', { accountId, phoneNumber });
+        this.queueConnectionEvent(accountId, 'connection.ready', {
+          phone_number: phoneNumber,
+          reconnect_attempt: reconnectAttempt
+        });
         logger.info(`✅ WhatsApp ready for ${accountId} (${phoneNumber})`);
       }
 
@@ -483,6 +534,11 @@ class WhatsAppManager {
         // Special handling for connectionReplaced (440) - another device connected
         const isConnectionReplaced = statusCode === 440 || statusCode === DisconnectReason.connectionReplaced;
 
+        // Consecutive disconnects without the connection opening again
+        const reconnectAttempt = (this.disconnectCount.get(accountId) || 0) + 1;
+        this.disconnectCount.set(accountId, reconnectAttempt);
+        let willReconnect = false;
+
         if (statusCode === DisconnectReason.loggedOut) {
           // User logged out - clear session
           await db.clearSessionData(accountId);
@@ -494,6 +550,7 @@ class WhatsAppManager {
           this.accountStatus.set(accountId, 'logged_out');
           this.clients.delete(accountId);
           this.reconnectAttempts.delete(accountId); // Reset attempts
+          this.disconnectCount.delete(accountId);
         } else if (isConnectionReplaced) {
           // connectionReplaced - another instance/device took over
           // Use exponential backoff to prevent reconnection loops
@@ -525,6 +582,7 @@ class WhatsAppManager {
           } else {
             logger.info(`Connection replaced for ${accountId}. Waiting ${backoffMs/1000}s before attempt ${attempts.count}/5...`);
             this.accountStatus.set(accountId, 'reconnecting');
+            willReconnect = true;
             
             setTimeout(async () => {
               if (!this.isShuttingDown && !this.deletedAccounts.has(accountId)) {
@@ -540,6 +598,7 @@ class WhatsAppManager {
           // Normal disconnect - try to reconnect after 3 seconds
           this.accountStatus.set(accountId, 'reconnecting');
           this.reconnectAttempts.delete(accountId); // Reset for normal reconnects
+          willReconnect = true;
           
           setTimeout(async () => {
             // Don't reconnect if account was deleted or shutting down
@@ -565,6 +624,12 @@ class WhatsAppManager {
         }
 
         this.emitToAll('disconnected', { accountId, reason });
+        this.queueConnectionEvent(accountId, statusCode === DisconnectReason.loggedOut ? 'connection.logged_out' : 'connection.disconnected', {
+          reason,
+          reason_code: statusCode ?? null,
+          reconnect_attempt: reconnectAttempt,
+          will_reconnect: willReconnect
+        });
       }
     });
 
@@ -572,25 +637,50 @@ class WhatsAppManager {
     sock.ev.on('creds.update', saveCreds);
 
     // History sync - triggers debounced save (creates many Signal keys)
-    sock.ev.on('messaging-history.set', async () => {
+    sock.ev.on('messaging-history.set', async ({ chats, contacts }) => {
       const authState = this.authStates.get(accountId);
       if (authState?.saveAllToDatabase) {
         authState.saveAllToDatabase().catch(() => {});
       }
+
+      for (const contact of contacts || []) {
+        this.saveContact(accountId, contact);
+      }
+      for (const chat of chats || []) {
+        this.saveChat(accountId, chat, false);
+      }
     });
-    
+
+    // Chats - unread counts, last message, archived/pinned/muted
+    sock.ev.on('chats.upsert', (chats) => {
+      for (const chat of chats) {
+        this.saveChat(accountId, chat, false);
+      }
+    });
+
+    sock.ev.on('chats.update', (updates) => {
+      for (const update of updates) {
+        this.saveChat(accountId, update, true);
+      }
+    });
+
+    sock.ev.on('chats.delete', (jids) => {
+      contactStore.removeChats(accountId, jids).catch(() => {});
+    });
+
     // Contacts update - capture LID to phone number mappings
     sock.ev.on('contacts.update', async (contacts) => {
       for (const contact of contacts) {
+        this.saveContact(accountId, contact);
         // If contact has both lid and phoneNumber, store the mapping
         if (contact.id && contact.phoneNumber) {
-          storeLidPhoneMapping(contact.id, contact.phoneNumber);
+          storeLidPhoneMapping(accountId, contact.id, contact.phoneNumber, 'contact');
         }
         // Also check if id is LID and there's a linked PN
         if (contact.lid && contact.id) {
           // contact.id might be the phone number format
           if (!contact.id.endsWith('@lid')) {
-            storeLidPhoneMapping(contact.lid, contact.id.split('@')[0]);
+            storeLidPhoneMapping(accountId, contact.lid, contact.id, 'contact');
           }
         }
       }
@@ -599,21 +689,31 @@ class WhatsAppManager {
     // Contacts upsert - same as update
     sock.ev.on('contacts.upsert', async (contacts) => {
       for (const contact of contacts) {
+        this.saveContact(accountId, contact);
         if (contact.id && contact.phoneNumber) {
-          storeLidPhoneMapping(contact.id, contact.phoneNumber);
+          storeLidPhoneMapping(accountId, contact.id, contact.phoneNumber, 'contact');
         }
         if (contact.lid && contact.id && !contact.id.endsWith('@lid')) {
-          storeLidPhoneMapping(contact.lid, contact.id.split('@')[0]);
+          storeLidPhoneMapping(accountId, contact.lid, contact.id, 'contact');
         }
       }
     });
 
+    // Mappings pushed by newer WhatsApp versions
+    sock.ev.on('lid-mapping.update', ({ lid, pn } = {}) => {
+      storeLidPhoneMapping(accountId, lid, pn, 'contact');
+    });
+
     // Incoming messages
     sock.ev.on('messages.upsert', async ({ messages, type }) => {
       if (type !== 'notify') return;
 
       for (const message of messages) {
         try {
+          // Keep for quoted replies
+          if (message.key.remoteJid !== 'status@broadcast') {
+            messageStore.save(accountId, message);
+          }
           await this.handleIncomingMessage(sock, accountId, message);
         } catch (error) {
           logger.error(`Message handler error for ${accountId}:`, error);
@@ -621,10 +721,109 @@ class WhatsAppManager {
       }
     });
 
-    // Message status updates (sent, delivered, read)
+    // Group participants added/removed/promoted/demoted (by us or anyone else)
+    sock.ev.on('group-participants.update', async ({ id, author, participants, action }) => {
+      this.groupMetadata.delete(`${accountId}:${id}`);
+
+      try {
+        const eventData = {
+          event: 'group_participants_update',
+          account_id: accountId,
+          group_id: id,
+          author: author ? getPhoneNumber(author) : null,
+          action,
+          participants: (participants || []).map(p => getPhoneNumber(typeof p === 'string' ? p : p.id)),
+          timestamp: Date.now(),
+          created_at: new Date().toISOString()
+        };
+
+        this.emitToAccount(accountId, 'group-participants-update', eventData);
+        await this.queueWebhookDeliveries(accountId, eventData);
+      } catch (error) {
+        logger.warn('Group participants handler error:', error.message);
+      }
+    });
+
+    // Group settings changed (subject, description, announce/restrict)
+    sock.ev.on('groups.update', async (updates) => {
+      for (const update of updates) {
+        // Full metadata from a groups sync (has participants) is not a change
+        if (update.participants) continue;
+
+        this.groupMetadata.delete(`${accountId}:${update.id}`);
+
+        try {
+          const { id, author, desc, ...changes } = update;
+          if (desc !== undefined) changes.description = desc;
+          delete changes.descId;
+          delete changes.subjectOwner;
+          delete changes.subjectTime;
+
+          const eventData = {
+            event: 'group_update',
+            account_id: accountId,
+            group_id: id,
+            author: author ? getPhoneNumber(author) : null,
+            changes,
+            timestamp: Date.now(),
+            created_at: new Date().toISOString()
+          };
+
+          this.emitToAccount(accountId, 'group-update', eventData);
+          await this.queueWebhookDeliveries(accountId, eventData);
+        } catch (error) {
+          logger.warn('Group update handler error:', error.message);
+        }
+      }
+    });
+
+    // Reactions added or removed (an empty reaction text means removed)
+    sock.ev.on('messages.reaction', async (reactions) => {
+      for (const { key, reaction } of reactions) {
+        try {
+          await this.handleReaction(sock, accountId, key, reaction);
+        } catch (error) {
+          logger.warn('Reaction handler error:', error.message);
+        }
+      }
+    });
+
+    // Presence of subscribed contacts (online / typing / recording), and typing in groups
+    sock.ev.on('presence.update', async ({ id, presences }) => {
+      for (const [participant, presence] of Object.entries(presences || {})) {
+        try {
+          const eventData = {
+            event: 'presence.update',
+            account_id: accountId,
+            chat_id: getPhoneNumber(id),
+            participant: getPhoneNumber(participant),
+            is_group: id.endsWith('@g.us'),
+            presence: presence.lastKnownPresence,
+            last_seen: presence.lastSeen ? new Date(presence.lastSeen * 1000).toISOString() : null,
+            timestamp: Date.now(),
+            created_at: new Date().toISOString()
+          };
+
+          this.emitToAccount(accountId, 'presence-update', eventData);
+          await this.queueWebhookDeliveries(accountId, eventData);
+        } catch (error) {
+          logger.warn('Presence handler error:', error.message);
+        }
+      }
+    });
+
+    // Message status updates (sent, delivered, read), edits, deletes and poll votes
     sock.ev.on('messages.update', async (updates) => {
       for (const update of updates) {
         try {
+          if (update.update?.pollUpdates) {
+            await this.handlePollVotes(sock, accountId, update.key, update.update.pollUpdates);
+          } else if (update.update?.message?.editedMessage) {
+            await this.handleMessageEdit(sock, accountId, update.key, update.update);
+          } else if (update.update?.messageStubType === WAMessageStubType.REVOKE) {
+            await this.handleMessageRevoke(sock, accountId, update.key);
+          }
+
           if (update.update?.status) {
             const statusNames = { 1: 'pending', 2: 'sent', 3: 'delivered', 4: 'read' };
             const statusName = statusNames[update.update.status] || 'unknown';
@@ -652,6 +851,201 @@ class WhatsAppManager {
     });
   }
 
+  /**
+   * Queue a Baileys contact for the contacts table (only the fields it carries)
+   * @param {object} contact - { id, lid?, phoneNumber?, name?, notify?, verifiedName? }
+   */
+  saveContact(accountId, contact) {
+    const jid = contact.id;
+    if (!jid || !(jid.endsWith('@s.whatsapp.net') || jid.endsWith('@lid'))) return;
+
+    const row = { jid };
+    if (contact.name !== undefined) row.name = contact.name || null;
+    if (contact.notify !== undefined) row.push_name = contact.notify || null;
+    if (contact.verifiedName !== undefined) {
+      row.verified_name = contact.verifiedName || null;
+      row.is_business = !!contact.verifiedName;
+    }
+    // Nothing we store (e.g. only a profile picture change)
+    if (Object.keys(row).length === 1) return;
+
+    if (jid.endsWith('@lid')) {
+      row.lid = jid;
+      if (contact.phoneNumber) row.phone_number = contact.phoneNumber.split('@')[0];
+    } else {
+      row.phone_number = getPhoneNumber(jid);
+      if (contact.lid) row.lid = contact.lid;
+    }
+
+    contactStore.saveContact(accountId, row);
+  }
+
+  /**
+   * Queue a Baileys chat for the chats table
+   * @param {object} chat - Chat from chats.upsert / chats.update / history sync
+   * @param {boolean} isUpdate - chats.update carries unread counts as increments
+   */
+  saveChat(accountId, chat, isUpdate) {
+    const jid = chat.id;
+    if (!jid || jid === 'status@broadcast') return;
+
+    const row = { jid, is_group: jid.endsWith('@g.us') };
+    if (chat.name) row.name = chat.name;
+    if (chat.archived !== undefined && chat.archived !== null) row.archived = !!chat.archived;
+    if (chat.pinned !== undefined) row.pinned = !!chat.pinned;
+    if (chat.muteEndTime !== undefined) {
+      // Milliseconds from app state sync; seconds in older payloads
+      const muteEnd = Number(chat.muteEndTime);
+      row.muted_until = muteEnd > 0 ? new Date(muteEnd < 1e12 ? muteEnd * 1000 : muteEnd).toISOString() : null;
+    }
+    if (chat.conversationTimestamp) {
+      row.last_message_at = new Date(Number(chat.conversationTimestamp) * 1000).toISOString();
+    }
+
+    const last = chat.messages?.[0]?.message;
+    const lastContent = normalizeMessageContent(last?.message);
+    if (lastContent && !lastContent.protocolMessage && !lastContent.reactionMessage) {
+      const contentType = getContentType(lastContent);
+      row.last_message = getMessageText(lastContent) || `[${(contentType || 'message').replace(/Message$/, '')}]`;
+      row.last_message_from_me = !!last.key?.fromMe;
+      if (last.messageTimestamp) {
+        row.last_message_at = new Date(Number(last.messageTimestamp) * 1000).toISOString();
+      }
+    }
+
+    let unreadDelta = 0;
+    if (typeof chat.unreadCount === 'number') {
+      if (!isUpdate || chat.unreadCount === 0) {
+        row.unread_count = Math.max(0, chat.unreadCount);
+      } else if (chat.unreadCount < 0) {
+        row.unread_count = 1; // marked as unread on the phone
+      } else {
+        unreadDelta = chat.unreadCount;
+      }
+    }
+
+    contactStore.saveChat(accountId, row, unreadDelta);
+  }
+
+  /**
+   * Phone number behind a @lid jid: cache, then lid_mappings, then the socket's own LID store
+   * @returns {Promise<string>} The phone number, or the LID itself when it can't be resolved
+   */
+  async resolveLidPhone(sock, accountId, jid) {
+    const lid = jidDecode(jid)?.user;
+    if (!lid) return getPhoneNumber(jid);
+
+    const stored = await lidMappingStore.lookup(accountId, lid);
+    if (stored) return stored;
+
+    try {
+      // Only available on Baileys versions that keep a LID store
+      // May be a device jid (user:device@s.whatsapp.net) - only the user part is the number
+      const pn = await sock?.signalRepository?.lidMapping?.getPNForLID?.(jid);
+      const phone = pn && jidDecode(pn)?.user;
+      if (phone) {
+        storeLidPhoneMapping(accountId, jid, phone, 'lookup');
+        return phone;
+      }
+    } catch (error) {
+      logger.debug(`[LID Cache] Lookup failed for ${lid}: ${error.message}`);
+    }
+
+    return lid;
+  }
+
+  // LID mapping for the admin API, looked up on the live connection if it isn't known yet
+  async lookupLid(accountId, lid) {
+    const jid = `${lid}@lid`;
+    const phone = await this.resolveLidPhone(this.clients.get(accountId), accountId, jid);
+    return phone === lid ? null : phone;
+  }
+
+  // Raw file of an incoming media message
+  async downloadMedia(sock, message) {
+    return downloadMediaMessage(message, 'buffer', {}, {
+      logger: pino({ level: 'silent' }),
+      // Expired media links are re-requested from the sender's phone
+      reuploadRequest: sock.updateMediaMessage
+    });
+  }
+
+  /**
+   * Download an incoming media message and put it in media storage
+   * Gives up after MEDIA_DOWNLOAD_TIMEOUT_MS, so a slow download doesn't hold up the message
+   * @returns {Promise<object>} { media, buffer, timedOut } - media is { mimetype, size, filename, key, url },
+   *   or { mimetype, size, filename, error } if it wasn't stored (buffer is then null unless only storing failed)
+   */
+  async downloadIncomingMedia(sock, accountId, message, messageType) {
+    const content = message.message[`${messageType}Message`];
+    const mimetype = content.mimetype || 'application/octet-stream';
+    const filename = content.fileName || `${message.key.id}.${mediaStorage.extensionFor(mimetype)}`;
+    const declaredSize = Number(content.fileLength) || null;
+
+    const maxBytes = (parseInt(process.env.MEDIA_MAX_SIZE_MB, 10) || 16) * 1024 * 1024;
+    if (declaredSize && declaredSize > maxBytes) {
+      logger.info(`Skipping media download for ${message.key.id}: ${declaredSize} bytes is over MEDIA_MAX_SIZE_MB`);
+      return { media: { mimetype, size: declaredSize, filename, error: 'File too large' }, buffer: null };
+    }
+
+    const timeoutMs = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS, 10) || 30000;
+    let buffer = null;
+    let timedOut = false;
+    let timer = null;
+
+    const store = async () => {
+      const data = await this.downloadMedia(sock, message);
+      if (timedOut) return null; // too late - nothing will link to the file
+      buffer = data;
+      return mediaStorage.save(accountId, data, mimetype);
+    };
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        reject(new Error(`Download timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+    });
+
+    try {
+      const { key, url } = await Promise.race([store(), timeout]);
+      return { media: { mimetype, size: buffer.length, filename, key, url }, buffer, timedOut };
+    } catch (error) {
+      logger.warn(`Failed to store media for ${message.key.id}: ${error.message}`);
+      return { media: { mimetype, size: buffer?.length || declaredSize, filename, error: error.message }, buffer, timedOut };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Transcribe an incoming voice note / audio file
+   * @param {Buffer|null} buffer - Already downloaded audio, if media download is on
+   * @returns {Promise<string|null>}
+   */
+  async transcribeIncomingAudio(sock, message, buffer) {
+    const { mimetype, fileLength } = message.message.audioMessage;
+    if (!buffer && Number(fileLength) > transcriptionService.maxBytes) {
+      logger.info(`Skipping transcription for ${message.key.id}: audio is over TRANSCRIPTION_MAX_SIZE_MB`);
+      return null;
+    }
+
+    try {
+      const audio = buffer || await this.downloadMedia(sock, message);
+      const transcript = await transcriptionService.transcribe(audio, {
+        mimetype,
+        filename: `${message.key.id}.${mediaStorage.extensionFor(mimetype)}`
+      });
+
+      if (transcript) {
+        logger.info(`🎙️ Transcribed voice note ${message.key.id}: "${transcript.slice(0, 50)}"`);
+      }
+      return transcript;
+    } catch (error) {
+      logger.warn(`Failed to download audio for transcription (${message.key.id}): ${error.message}`);
+      return null;
+    }
+  }
+
   async handleIncomingMessage(sock, accountId, message) {
     // Ignore status broadcasts and own messages
     if (message.key.remoteJid === 'status@broadcast') return;
@@ -661,6 +1055,11 @@ class WhatsAppManager {
       const messageContent = message.message;
       if (!messageContent) return;
 
+      // Edits, deletes, reactions and poll votes arrive as messages too - they are
+      // handled from the messages.update / messages.reaction events instead
+      const normalized = normalizeMessageContent(messageContent);
+      if (normalized?.protocolMessage || normalized?.reactionMessage || normalized?.pollUpdateMessage) return;
+
       // Extract message text
       let messageText = '';
       if (messageContent.conversation) {
@@ -671,6 +1070,20 @@ class WhatsAppManager {
         messageText = messageContent.imageMessage.caption;
       } else if (messageContent.videoMessage?.caption) {
         messageText = messageContent.videoMessage.caption;
+      } else if (messageContent.interactiveResponseMessage?.body?.text) {
+        // Reply to a native flow button or list (sent via sendButtons/sendList)
+        messageText = messageContent.interactiveResponseMessage.body.text;
+      }
+
+      // Id of the selected button/list row, if this is an interactive reply
+      let selectedId = null;
+      const flowParams = messageContent.interactiveResponseMessage?.nativeFlowResponseMessage?.paramsJson;
+      if (flowParams) {
+        try {
+          selectedId = JSON.parse(flowParams).id || null;
+        } catch (e) {
+          // Malformed params - keep the reply text only
+        }
       }
 
       // Get sender info - prefer senderPn (actual phone) over remoteJid (could be @lid)
@@ -680,19 +1093,29 @@ class WhatsAppManager {
       // Extract actual phone number from senderPn field (contains real phone for @lid contacts)
       // Format: "918005780278@s.whatsapp.net" -> "918005780278"
       let senderPhone;
-      if (message.key.senderPn) {
+      if (message.key.participant && message.key.participantPn) {
+        // Group message from a @lid participant, with the real number alongside
+        senderPhone = message.key.participantPn.split('@')[0];
+        if (message.key.participant.endsWith('@lid')) {
+          storeLidPhoneMapping(accountId, message.key.participant, senderPhone);
+        }
+      } else if (message.key.senderPn) {
         // senderPn contains the real phone number!
         senderPhone = message.key.senderPn.split('@')[0];
         // Cache the LID to phone mapping for future use
         if (chatJid.endsWith('@lid')) {
-          storeLidPhoneMapping(chatJid, senderPhone);
+          storeLidPhoneMapping(accountId, chatJid, senderPhone);
         }
+      } else if (senderJid.endsWith('@lid')) {
+        senderPhone = await this.resolveLidPhone(sock, accountId, senderJid);
       } else {
         senderPhone = getPhoneNumber(senderJid);
       }
       
       // For chat_id, use cached phone if available
       const chatPhone = getPhoneNumber(chatJid);
+
+      contactStore.savePushName(accountId, senderJid, message.pushName, senderPhone);
       
       // Log with actual phone number
       logger.info(`📩 Incoming message from ${senderPhone}: "${messageText?.slice(0, 50) || '[media]'}"`);
@@ -706,31 +1129,72 @@ class WhatsAppManager {
       else if (messageContent.stickerMessage) messageType = 'sticker';
       else if (messageContent.contactMessage) messageType = 'contact';
       else if (messageContent.locationMessage) messageType = 'location';
+      else if (messageContent.interactiveResponseMessage) messageType = 'interactive_reply';
 
       const isGroup = chatJid.endsWith('@g.us');
 
+      let groupName = null;
+      if (isGroup) {
+        const metadata = await this.getGroupMetadata(accountId, chatJid);
+        groupName = metadata?.subject || null;
+      }
+
       const messageData = {
         event: 'message',  // Event type for webhook filtering
         account_id: accountId,
         direction: 'incoming',
         message_id: message.key.id,
         sender: senderPhone,  // Phone number with country code
+        sender_name: message.pushName || null,  // Sender's WhatsApp display name
         recipient: chatPhone,  // Phone number with country code
         message: messageText,
         timestamp: message.messageTimestamp,
         type: messageType,
         chat_id: chatPhone,  // Phone number for consistent lookups
         is_group: isGroup,
-        group_name: null,
+        group_name: groupName,
         status: 'success',
         created_at: new Date().toISOString()
       };
 
+      if (selectedId) {
+        messageData.selected_id = selectedId;
+      }
+
+      let mediaBuffer = null;
+      let mediaTimedOut = false;
+      if (MEDIA_MESSAGE_TYPES.includes(messageType) && process.env.DISABLE_MEDIA_DOWNLOAD !== 'true') {
+        const download = await this.downloadIncomingMedia(sock, accountId, message, messageType);
+        messageData.media = download.media;
+        mediaBuffer = download.buffer;
+        mediaTimedOut = download.timedOut;
+      }
+
+      // Voice notes have no text - the transcript becomes the message body (logs, webhooks, chatbot)
+      // (not when the download just timed out - a second attempt would hold the message up again)
+      if (messageType === 'audio' && transcriptionService.isEnabled() && !mediaTimedOut) {
+        const transcript = await this.transcribeIncomingAudio(sock, message, mediaBuffer);
+        if (transcript) {
+          messageText = transcript;
+          messageData.message = transcript;
+          messageData.transcript = transcript;
+        }
+      }
+
       // Log incoming message to database (for chatbot memory)
       db.logMessage(messageData).catch(err => {
         logger.warn(`Failed to log incoming message: ${err.message}`);
       });
 
+      // Account options (accounts.metadata) - read once here, before the last_active_at write below
+      const settings = await this.getAccountSettings(accountId);
+
+      if (settings.auto_read_receipts === true) {
+        sock.readMessages([message.key]).catch(err => {
+          logger.warn(`Failed to send read receipt for ${message.key.id}: ${err.message}`);
+        });
+      }
+
       // Update last active (don't crash on DB error)
       db.updateAccount(accountId, {
         last_active_at: new Date().toISOString()
@@ -738,18 +1202,27 @@ class WhatsAppManager {
         logger.warn(`Failed to update last_active_at: ${err.message}`);
       });
 
-      // Queue webhook deliveries
-      this.queueWebhookDeliveries(accountId, messageData).catch(err => {
-        logger.error(`Webhook queue error:`, err);
-      });
+      // Queue webhook deliveries (with the sender's profile if the account asks for it)
+      const profileJid = senderJid.endsWith('@lid') && senderPhone !== jidDecode(senderJid)?.user
+        ? `${senderPhone}@s.whatsapp.net`
+        : senderJid;
+      this.attachContactProfile(accountId, messageData, profileJid, settings)
+        .then(() => this.queueWebhookDeliveries(accountId, messageData))
+        .catch(err => {
+          logger.error(`Webhook queue error:`, err);
+        });
 
       // Process through chatbot (if enabled for this account)
-      if (messageText && !isGroup) {
+      // Group messages only reach the chatbot when it is in group mode (and then only if mentioned/quoted)
+      if (messageText) {
         try {
           logger.info(`[Chatbot] Processing message for account ${accountId}...`);
           const aiResponse = await chatbotManager.processMessage(accountId, {
-            body: messageText,
+            body: isGroup ? this.stripOwnMention(sock, messageText) : messageText,
             from: senderPhone,  // Use phone number for chatbot context
+            isGroup,
+            contactName: message.pushName || null,
+            mentionsMe: isGroup && this.isAddressedToMe(sock, messageContent),
             getChat: async () => ({})
           }, chatPhone);  // Use phone number for history lookup
 
@@ -777,7 +1250,9 @@ class WhatsAppManager {
                   await sock.sendPresenceUpdate('paused', replyJid);
                 } catch {}
                 
-                const result = await sock.sendMessage(replyJid, { text: aiResponse });
+                // In groups, quote the message being answered
+                const result = await sock.sendMessage(replyJid, { text: aiResponse }, isGroup ? { quoted: message } : undefined);
+                messageStore.save(accountId, result);
                 logger.info(`[Chatbot] ✅ Response sent to ${chatPhone} (msgId: ${result?.key?.id?.slice(0, 10)}...)`);
                 
                 // Log outgoing message to database (for chatbot memory)
@@ -822,6 +1297,205 @@ class WhatsAppManager {
     }
   }
 
+  // Phone number of whoever sent the message with this key
+  getKeySender(sock, key) {
+    if (key.fromMe) return getPhoneNumber(sock.user?.id);
+    if (key.participant) {
+      return key.participantPn ? key.participantPn.split('@')[0] : getPhoneNumber(key.participant);
+    }
+    return key.senderPn ? key.senderPn.split('@')[0] : getPhoneNumber(key.remoteJid);
+  }
+
+  /**
+   * Reaction to a message (by a contact, or by this account from the phone)
+   * @param {object} key - Key of the message reacted to
+   * @param {object} reaction - { key (reactor's key), text, senderTimestampMs }
+   */
+  async handleReaction(sock, accountId, key, reaction) {
+    if (!key?.id || key.remoteJid === 'status@broadcast') return;
+
+    const chatPhone = getPhoneNumber(key.remoteJid);
+    const emoji = reaction.text || '';
+    const fromMe = !!reaction.key?.fromMe;
+
+    const eventData = {
+      event: 'reaction',
+      account_id: accountId,
+      message_id: key.id,
+      chat_id: chatPhone,
+      sender: this.getKeySender(sock, reaction.key || {}),
+      reaction: emoji,
+      removed: !emoji,
+      from_me: fromMe,
+      is_group: key.remoteJid.endsWith('@g.us'),
+      timestamp: Number(reaction.senderTimestampMs) || Date.now(),
+      created_at: new Date().toISOString()
+    };
+
+    db.logMessage({
+      account_id: accountId,
+      direction: fromMe ? 'outgoing' : 'incoming',
+      message_id: reaction.key?.id,
+      sender: eventData.sender,
+      recipient: chatPhone,
+      message: emoji,
+      timestamp: eventData.timestamp,
+      type: 'reaction',
+      chat_id: chatPhone,
+      is_group: eventData.is_group,
+      target_message_id: key.id,
+      status: 'success',
+      created_at: eventData.created_at
+    }).catch(err => {
+      logger.warn(`Failed to log reaction: ${err.message}`);
+    });
+
+    logger.info(`${emoji || '✖️'} Reaction ${emoji ? 'on' : 'removed from'} ${key.id.slice(0, 20)}... by ${eventData.sender}`);
+    this.emitToAccount(accountId, 'message-reaction', eventData);
+    await this.queueWebhookDeliveries(accountId, eventData);
+  }
+
+  /**
+   * A message was edited by its sender
+   * @param {object} key - Key of the edited message (sender's perspective)
+   * @param {object} update - { message: { editedMessage: { message } }, messageTimestamp }
+   */
+  async handleMessageEdit(sock, accountId, key, update) {
+    const text = getMessageText(update.message.editedMessage.message);
+    const chatPhone = getPhoneNumber(key.remoteJid);
+    const editedAt = update.messageTimestamp
+      ? new Date(Number(update.messageTimestamp) * 1000).toISOString()
+      : new Date().toISOString();
+
+    const eventData = {
+      event: 'message_edited',
+      account_id: accountId,
+      message_id: key.id,
+      chat_id: chatPhone,
+      sender: this.getKeySender(sock, key),
+      message: text,
+      from_me: !!key.fromMe,
+      is_group: key.remoteJid.endsWith('@g.us'),
+      timestamp: Number(update.messageTimestamp) || Math.floor(Date.now() / 1000),
+      created_at: new Date().toISOString()
+    };
+
+    db.updateLoggedMessage(accountId, key.id, { message: text, edited_at: editedAt }).catch(err => {
+      logger.warn(`Failed to record edit of ${key.id}: ${err.message}`);
+    });
+
+    logger.info(`✏️ Message ${key.id.slice(0, 20)}... edited by ${eventData.sender}`);
+    this.emitToAccount(accountId, 'message-edited', eventData);
+    await this.queueWebhookDeliveries(accountId, eventData);
+  }
+
+  /**
+   * A message was deleted for everyone by its sender
+   * @param {object} key - Key of the deleted message (sender's perspective)
+   */
+  async handleMessageRevoke(sock, accountId, key) {
+    messageStore.remove(accountId, key.id);
+
+    const revokedAt = new Date().toISOString();
+    const eventData = {
+      event: 'message_deleted',
+      account_id: accountId,
+      message_id: key.id,
+      chat_id: getPhoneNumber(key.remoteJid),
+      sender: this.getKeySender(sock, key),
+      from_me: !!key.fromMe,
+      is_group: key.remoteJid.endsWith('@g.us'),
+      timestamp: Math.floor(Date.now() / 1000),
+      created_at: revokedAt
+    };
+
+    db.updateLoggedMessage(accountId, key.id, { revoked_at: revokedAt }).catch(err => {
+      logger.warn(`Failed to record delete of ${key.id}: ${err.message}`);
+    });
+
+    logger.info(`🗑️ Message ${key.id.slice(0, 20)}... deleted by ${eventData.sender}`);
+    this.emitToAccount(accountId, 'message-deleted', eventData);
+    await this.queueWebhookDeliveries(accountId, eventData);
+  }
+
+  /**
+   * Votes on a poll (decrypted by Baileys using the poll from the message store)
+   * Each vote carries the voter's full current selection - an empty one means the vote was withdrawn
+   * @param {object} pollKey - Key of the poll creation message
+   * @param {Array<object>} pollUpdates - [{ pollUpdateMessageKey, vote: { selectedOptions }, senderTimestampMs }]
+   */
+  async handlePollVotes(sock, accountId, pollKey, pollUpdates) {
+    // Same lookup as the socket's getMessage, which Baileys used to decrypt the vote
+    const pollContent = normalizeMessageContent(
+      messageStore.get(accountId, pollKey.id)?.message || sock.messageRetryMap?.get(pollKey.id)
+    );
+    const pollCreation = pollContent?.pollCreationMessage || pollContent?.pollCreationMessageV2 || pollContent?.pollCreationMessageV3;
+    const chatPhone = getPhoneNumber(pollKey.remoteJid);
+
+    for (const pollUpdate of pollUpdates) {
+      const voterKey = pollUpdate.pollUpdateMessageKey || {};
+      const selectedOptions = getAggregateVotesInPollMessage({ message: pollContent, pollUpdates: [pollUpdate] })
+        .filter(option => option.voters.length)
+        .map(option => option.name);
+
+      const eventData = {
+        event: 'poll_vote',
+        account_id: accountId,
+        message_id: pollKey.id,
+        chat_id: chatPhone,
+        voter: this.getKeySender(sock, voterKey),
+        poll_name: pollCreation?.name || null,
+        selected_options: selectedOptions,
+        from_me: !!voterKey.fromMe,
+        is_group: pollKey.remoteJid.endsWith('@g.us'),
+        timestamp: Number(pollUpdate.senderTimestampMs) || Date.now(),
+        created_at: new Date().toISOString()
+      };
+
+      db.logMessage({
+        account_id: accountId,
+        direction: voterKey.fromMe ? 'outgoing' : 'incoming',
+        message_id: voterKey.id,
+        sender: eventData.voter,
+        recipient: chatPhone,
+        message: selectedOptions.join(', '),
+        timestamp: eventData.timestamp,
+        type: 'poll_vote',
+        chat_id: chatPhone,
+        is_group: eventData.is_group,
+        target_message_id: pollKey.id,
+        status: 'success',
+        created_at: eventData.created_at
+      }).catch(err => {
+        logger.warn(`Failed to log poll vote: ${err.message}`);
+      });
+
+      logger.info(`🗳️ Poll vote on ${pollKey.id.slice(0, 20)}... by ${eventData.voter}: ${selectedOptions.join(', ') || '(withdrawn)'}`);
+      this.emitToAccount(accountId, 'poll-vote', eventData);
+      await this.queueWebhookDeliveries(accountId, eventData);
+    }
+  }
+
+  /**
+   * Publish a connection state change to webhooks (connection.qr / .ready / .disconnected / .logged_out)
+   * @param {string} event - Event name
+   * @param {object} details - Extra payload fields (reason, reason_code, reconnect_attempt, ...)
+   */
+  queueConnectionEvent(accountId, event, details = {}) {
+    const eventData = {
+      event,
+      account_id: accountId,
+      status: this.accountStatus.get(accountId) || null,
+      ...details,
+      timestamp: Date.now(),
+      created_at: new Date().toISOString()
+    };
+
+    this.queueWebhookDeliveries(accountId, eventData).catch(err => {
+      logger.warn(`Failed to queue ${event} webhook for ${accountId}: ${err.message}`);
+    });
+  }
+
   async queueWebhookDeliveries(accountId, messageData) {
     try {
       const webhooks = await db.getWebhooks(accountId);
@@ -835,76 +1509,226 @@ class WhatsAppManager {
     }
   }
 
-  formatPhoneNumber(number) {
-    if (number.includes('@')) return number;
+  /**
+   * Group metadata for incoming messages, cached per group (GROUP_METADATA_TTL_MS)
+   * Dropped when the group's participants or settings change
+   * @returns {Promise<object|null>} Baileys group metadata, or null if it can't be fetched
+   */
+  async getGroupMetadata(accountId, groupJid) {
+    const cacheKey = `${accountId}:${groupJid}`;
+    const cached = this.groupMetadata.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < this.groupMetadataTtlMs) {
+      return cached.metadata;
+    }
 
-    let cleaned = number.replace(/[^\d]/g, '').replace(/^0+/, '');
+    const sock = this.clients.get(accountId);
+    if (!sock) return cached?.metadata || null;
 
-    if (cleaned.length === 10) {
-      cleaned = '91' + cleaned;
+    try {
+      const metadata = await sock.groupMetadata(groupJid);
+      this.cacheGroupMetadata(accountId, metadata);
+      return metadata;
+    } catch (error) {
+      logger.warn(`Failed to fetch group metadata for ${groupJid}: ${error.message}`);
+      return cached?.metadata || null;
     }
+  }
 
-    return cleaned + '@s.whatsapp.net';
+  cacheGroupMetadata(accountId, metadata) {
+    this.groupMetadata.set(`${accountId}:${metadata.id}`, { metadata, fetchedAt: Date.now() });
   }
 
-  async sendMessage(accountId, number, message, options = {}) {
-    const sock = this.clients.get(accountId);
-    if (!sock) throw new Error('Client not found');
+  // Our own JIDs - phone number and LID (groups may address us by either)
+  getOwnJids(sock) {
+    return [sock.user?.id, sock.user?.lid].filter(Boolean).map(jid => jidNormalizedUser(jid));
+  }
 
-    const status = this.accountStatus.get(accountId);
-    if (status !== 'ready') throw new Error(`Client not ready: ${status}`);
+  // True if a message @mentions this account or quotes one of its messages
+  isAddressedToMe(sock, messageContent) {
+    const contextInfo = messageContent.extendedTextMessage?.contextInfo ||
+      messageContent.imageMessage?.contextInfo ||
+      messageContent.videoMessage?.contextInfo;
+    if (!contextInfo) return false;
+
+    const ownJids = this.getOwnJids(sock);
+    const mentioned = (contextInfo.mentionedJid || []).some(jid => ownJids.includes(jidNormalizedUser(jid)));
+    const quotedMine = !!contextInfo.participant && ownJids.includes(jidNormalizedUser(contextInfo.participant));
+
+    return mentioned || quotedMine;
+  }
+
+  // Remove "@<our number>" from the text so the bot doesn't see its own handle
+  stripOwnMention(sock, text) {
+    let result = text;
+    for (const jid of this.getOwnJids(sock)) {
+      result = result.split(`@${jid.split('@')[0]}`).join('');
+    }
+    return result.replace(/\s{2,}/g, ' ').trim() || text;
+  }
 
-    const jid = this.formatPhoneNumber(number);
+  /**
+   * Phone number -> WhatsApp jid (jids are passed through)
+   * @param {string} number - Number in international or national format
+   * @param {string} [country] - Default country for numbers without a country code
+   * @throws {Error} 400 INVALID_NUMBER
+   */
+  formatPhoneNumber(number, country = DEFAULT_COUNTRY) {
+    if (number.includes('@')) return number;
+
+    return `${normalizePhoneNumber(number, country).slice(1)}@s.whatsapp.net`;
+  }
 
+  // Default country of an account: its default_country setting, then DEFAULT_COUNTRY
+  async getDefaultCountry(accountId) {
     try {
-      // Show typing indicator
-      const typingDelay = parseInt(process.env.TYPING_DELAY_MS) || 1500;
-      if (typingDelay > 0) {
-        try {
-          await sock.presenceSubscribe(jid);
-          await sock.sendPresenceUpdate('composing', jid);
-          await new Promise(resolve => setTimeout(resolve, typingDelay));
-          await sock.sendPresenceUpdate('paused', jid);
-        } catch (e) { /* ignore presence errors */ }
-      }
+      const account = await db.getAccount(accountId);
+      return account?.metadata?.default_country || DEFAULT_COUNTRY;
+    } catch (error) {
+      return DEFAULT_COUNTRY;
+    }
+  }
 
-      // Create message content
-      const msgContent = { text: message };
-      
-      const result = await sock.sendMessage(jid, msgContent);
+  async toJid(accountId, number) {
+    return this.formatPhoneNumber(String(number), await this.getDefaultCountry(accountId));
+  }
 
-      // Cache message for retry (fixes "Waiting for this message" issue)
-      if (sock.messageRetryMap && result?.key?.id) {
-        sock.messageRetryMap.set(result.key.id, msgContent);
-        // Clean up old entries after 5 minutes
-        setTimeout(() => sock.messageRetryMap?.delete(result.key.id), 5 * 60 * 1000);
+  /**
+   * Which jids are registered on WhatsApp (cached)
+   * @returns {Promise<Map<string, string|null>>} jid -> the jid WhatsApp uses for it, or null if not registered
+   */
+  async lookupRegistrations(sock, jids) {
+    const results = new Map();
+    const unknown = [];
+    for (const jid of new Set(jids)) {
+      const cached = this.registrations.get(jid);
+      if (cached && cached.expiresAt > Date.now()) {
+        results.set(jid, cached.jid);
+      } else {
+        unknown.push(jid);
       }
-      // Note: Session keys are saved via creds.update event when they change
+    }
+    if (!unknown.length) return results;
+
+    const found = ((await sock.onWhatsApp(...unknown)) || []).filter(r => r.exists);
+    const byJid = new Map(found.map(r => [jidNormalizedUser(r.jid), r.jid]));
+    const unmatched = unknown.filter(jid => !byJid.has(jid));
+
+    // WhatsApp can answer with a different jid than asked (e.g. Brazilian mobiles without the extra 9),
+    // so leftover answers are matched up by asking for those numbers one at a time
+    if (unmatched.length && found.length > unknown.length - unmatched.length) {
+      for (const jid of unmatched) {
+        const [single] = (await sock.onWhatsApp(jid)) || [];
+        if (single?.exists) byJid.set(jid, single.jid);
+      }
+    }
 
-      await db.updateAccount(accountId, {
-        last_active_at: new Date().toISOString()
+    for (const jid of unknown) {
+      const registered = byJid.get(jid) || null;
+      if (this.registrations.size >= REGISTRATION_CACHE_MAX_SIZE) {
+        this.registrations.delete(this.registrations.keys().next().value);
+      }
+      this.registrations.set(jid, {
+        jid: registered,
+        expiresAt: Date.now() + (registered ? REGISTERED_TTL_MS : NOT_REGISTERED_TTL_MS)
       });
+      results.set(jid, registered);
+    }
+    return results;
+  }
 
-      this.metrics.messagesProcessed++;
+  /**
+   * Jid to send to - fails fast when the number isn't on WhatsApp
+   * @throws {Error} 400 INVALID_NUMBER, 422 NOT_ON_WHATSAPP
+   */
+  async getRecipientJid(sock, accountId, number) {
+    const jid = await this.toJid(accountId, number);
+    if (!this.checkNumberBeforeSend || !jid.endsWith('@s.whatsapp.net')) return jid;
 
-      return {
-        success: true,
-        messageId: result.key.id,
-        timestamp: Math.floor(Date.now() / 1000)
-      };
+    let registered;
+    try {
+      registered = (await this.lookupRegistrations(sock, [jid])).get(jid);
     } catch (error) {
-      this.metrics.messagesFailed++;
-      throw error;
+      // Don't block sends because the check itself failed
+      logger.warn(`Could not check ${jid} on WhatsApp: ${error.message}`);
+      return jid;
     }
+
+    if (!registered) {
+      throw Object.assign(new Error(`${number} is not on WhatsApp`), { status: 422, code: 'NOT_ON_WHATSAPP' });
+    }
+    return registered;
   }
 
-  async sendMedia(accountId, number, media, caption = '', options = {}) {
+  /**
+   * Check which numbers have WhatsApp
+   * @param {string} accountId - Account UUID
+   * @param {string[]} numbers - Numbers in international or national format
+   * @returns {Promise<Array<{number, valid, exists, e164?, jid?, error?}>>}
+   */
+  async checkNumbers(accountId, numbers) {
+    const sock = this.getReadyClient(accountId);
+    const country = await this.getDefaultCountry(accountId);
+
+    const entries = numbers.map(number => {
+      try {
+        const e164 = normalizePhoneNumber(number, country);
+        return { number, e164, jid: `${e164.slice(1)}@s.whatsapp.net` };
+      } catch (error) {
+        return { number, error: error.message };
+      }
+    });
+
+    const registrations = await this.lookupRegistrations(sock, entries.filter(e => e.jid).map(e => e.jid));
+
+    return entries.map(({ number, e164, jid, error }) => {
+      if (error) return { number, valid: false, exists: false, error };
+      const registered = registrations.get(jid);
+      return { number, valid: true, exists: !!registered, e164, jid: registered };
+    });
+  }
+
+  /**
+   * Get the socket for an account, throwing if it is missing or not connected
+   * @param {string} accountId - Account UUID
+   * @returns {object} Baileys socket
+   */
+  getReadyClient(accountId) {
     const sock = this.clients.get(accountId);
     if (!sock) throw new Error('Client not found');
 
     const status = this.accountStatus.get(accountId);
     if (status !== 'ready') throw new Error(`Client not ready: ${status}`);
 
+    return sock;
+  }
+
+  // Show "typing..." before a send (TYPING_DELAY_MS, 0 disables)
+  async simulateTyping(sock, jid) {
+    const typingDelay = parseInt(process.env.TYPING_DELAY_MS) || 1500;
+    if (typingDelay <= 0) return;
+
+    try {
+      await sock.presenceSubscribe(jid);
+      await sock.sendPresenceUpdate('composing', jid);
+      await new Promise(resolve => setTimeout(resolve, typingDelay));
+      await sock.sendPresenceUpdate('paused', jid);
+    } catch (e) { /* ignore presence errors */ }
+  }
+
+  // Cache sent content for retry (fixes "Waiting for this message" issue)
+  cacheForRetry(sock, messageId, content) {
+    if (!sock.messageRetryMap || !messageId) return;
+    sock.messageRetryMap.set(messageId, content);
+    // Clean up old entries after 5 minutes
+    setTimeout(() => sock.messageRetryMap?.delete(messageId), 5 * 60 * 1000);
+  }
+
+  /**
+   * Resolve an API media object ({ data | url, mimetype, filename }) into a buffer
+   * @param {object} media - Base64 data or URL plus optional mimetype/filename
+   * @returns {Promise<{buffer: Buffer, mimetype: string, filename: string}>}
+   */
+  async resolveMedia(media) {
     let base64Data = media.data || '';
     let mimetype = media.mimetype || '';
     let filename = media.filename || '';
@@ -934,19 +1758,103 @@ class WhatsAppManager {
 
     if (!mimetype) throw new Error('mimetype required');
 
-    const jid = this.formatPhoneNumber(number);
-    const buffer = Buffer.from(base64Data, 'base64');
+    return { buffer: Buffer.from(base64Data, 'base64'), mimetype, filename };
+  }
 
-    // Show typing indicator (don't fail media send on presence errors)
-    const typingDelay = parseInt(process.env.TYPING_DELAY_MS) || 1500;
-    if (typingDelay > 0) {
-      try {
-        await sock.presenceSubscribe(jid);
-        await sock.sendPresenceUpdate('composing', jid);
-        await new Promise(resolve => setTimeout(resolve, typingDelay));
-        await sock.sendPresenceUpdate('paused', jid);
-      } catch (e) { /* ignore presence errors */ }
+  /**
+   * Build the quoted message and mention list for a send
+   * @param {string} accountId - Account UUID
+   * @param {object} options - { quotedMessageId?, quoted?, mentions?: string[] } (mentions are numbers or JIDs;
+   *   quoted is a copy of the quoted message from queueableReplyOptions)
+   * @returns {Promise<{sendOptions: object, mentions: string[]|undefined}>}
+   */
+  async buildReplyContext(accountId, options = {}) {
+    const sendOptions = {};
+
+    if (options.quoted) {
+      sendOptions.quoted = JSON.parse(JSON.stringify(options.quoted), BufferJSON.reviver);
+    } else if (options.quotedMessageId) {
+      const quoted = messageStore.get(accountId, options.quotedMessageId);
+      if (!quoted) {
+        throw Object.assign(new Error(`Quoted message ${options.quotedMessageId} not found (it may be too old)`), { status: 400 });
+      }
+      sendOptions.quoted = quoted;
+    }
+
+    // Numbers without a country code use the account's default country, like recipients do
+    const mentions = options.mentions?.length
+      ? await Promise.all(options.mentions.map(number => this.toJid(accountId, number)))
+      : undefined;
+
+    return { sendOptions, mentions };
+  }
+
+  /**
+   * Reply options for a send that happens later (queued jobs), checked now
+   * The quoted message is copied in, since the message store is in memory and only keeps recent messages
+   * @throws {Error} 400 if the quoted message isn't known
+   */
+  async queueableReplyOptions(accountId, options = {}) {
+    const { sendOptions } = await this.buildReplyContext(accountId, options);
+    if (!sendOptions.quoted) return options;
+
+    const { key, message } = sendOptions.quoted;
+    return { ...options, quoted: JSON.parse(JSON.stringify({ key, message }, BufferJSON.replacer)) };
+  }
+
+  /**
+   * Send a text message
+   * @param {string} accountId - Account UUID
+   * @param {string} number - Recipient phone number or JID
+   * @param {string} message - Text (mentioned users should appear as @number in it)
+   * @param {object} [options] - { quotedMessageId?, mentions? }
+   */
+  async sendMessage(accountId, number, message, options = {}) {
+    const sock = this.getReadyClient(accountId);
+
+    const jid = await this.getRecipientJid(sock, accountId, number);
+    const { sendOptions, mentions } = await this.buildReplyContext(accountId, options);
+
+    try {
+      await this.simulateTyping(sock, jid);
+
+      // Create message content
+      const msgContent = { text: message };
+      if (mentions) msgContent.mentions = mentions;
+      
+      const result = await sock.sendMessage(jid, msgContent, sendOptions);
+
+      this.cacheForRetry(sock, result?.key?.id, msgContent);
+      messageStore.save(accountId, result);
+      this.logOutgoingMessage(accountId, jid, result?.key?.id, 'text', message);
+      // Note: Session keys are saved via creds.update event when they change
+
+      await db.updateAccount(accountId, {
+        last_active_at: new Date().toISOString()
+      });
+
+      this.metrics.messagesProcessed++;
+
+      return {
+        success: true,
+        messageId: result.key.id,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+    } catch (error) {
+      this.metrics.messagesFailed++;
+      throw error;
     }
+  }
+
+  async sendMedia(accountId, number, media, caption = '', options = {}) {
+    const sock = this.getReadyClient(accountId);
+
+    const { sendOptions, mentions } = await this.buildReplyContext(accountId, options);
+    const { buffer, mimetype, filename } = await this.resolveMedia(media);
+    const jid = await this.getRecipientJid(sock, accountId, number);
+
+    // Show typing indicator (don't fail media send on presence errors)
+    await this.simulateTyping(sock, jid);
 
     // Determine message type based on mimetype
     let messageContent;
@@ -959,8 +1867,11 @@ class WhatsAppManager {
     } else {
       messageContent = { document: buffer, mimetype, fileName: filename || 'file' };
     }
+    if (mentions) messageContent.mentions = mentions;
 
-    const result = await sock.sendMessage(jid, messageContent);
+    const result = await sock.sendMessage(jid, messageContent, sendOptions);
+    messageStore.save(accountId, result);
+    this.logOutgoingMessage(accountId, jid, result?.key?.id, Object.keys(messageContent)[0], caption);
 
     this.metrics.messagesProcessed++;
 
@@ -971,6 +1882,731 @@ class WhatsAppManager {
     };
   }
 
+  /**
+   * Send a location pin
+   * @param {object} location - { latitude, longitude, name?, address? }
+   * @param {object} [options] - { quotedMessageId?, mentions? }
+   */
+  async sendLocation(accountId, number, location, options = {}) {
+    const content = {
+      location: {
+        degreesLatitude: location.latitude,
+        degreesLongitude: location.longitude,
+        name: location.name || undefined,
+        address: location.address || undefined
+      }
+    };
+    const summary = [location.name, location.address].filter(Boolean).join(', ') || `${location.latitude},${location.longitude}`;
+
+    return this.sendContent(accountId, number, content, 'location', summary, options);
+  }
+
+  /**
+   * Send one or more contact cards
+   * @param {Array<object>} contacts - [{ name, phone | phones[], organization?, email? }]
+   * @param {object} [options] - { quotedMessageId?, mentions? }
+   */
+  async sendContacts(accountId, number, contacts, options = {}) {
+    const content = {
+      contacts: {
+        displayName: contacts.length === 1 ? contacts[0].name : `${contacts.length} contacts`,
+        contacts: contacts.map(contact => ({ displayName: contact.name, vcard: this.buildVCard(contact) }))
+      }
+    };
+
+    return this.sendContent(accountId, number, content, 'contact', contacts.map(c => c.name).join(', '), options);
+  }
+
+  /**
+   * Send a poll
+   * @param {object} poll - { name, options: string[], selectable_count } (0 allows any number of answers)
+   * @param {object} [options] - { quotedMessageId?, mentions? }
+   */
+  async sendPoll(accountId, number, poll, options = {}) {
+    const content = {
+      poll: {
+        name: poll.name,
+        values: poll.options,
+        selectableCount: poll.selectable_count ?? 1
+      }
+    };
+
+    return this.sendContent(accountId, number, content, 'poll', poll.name, options);
+  }
+
+  buildVCard(contact) {
+    const phones = contact.phones || [contact.phone];
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${contact.name}`];
+
+    if (contact.organization) lines.push(`ORG:${contact.organization};`);
+    for (const phone of phones) {
+      // waid lets WhatsApp show "Message" / "Add contact" for the number
+      const digits = String(phone).replace(/[^\d]/g, '');
+      lines.push(`TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`);
+    }
+    if (contact.email) lines.push(`EMAIL:${contact.email}`);
+    lines.push('END:VCARD');
+
+    return lines.join('\n');
+  }
+
+  // Send prepared Baileys content with typing, reply context, store and log handling
+  async sendContent(accountId, number, content, logType, logText, options = {}) {
+    const sock = this.getReadyClient(accountId);
+
+    const jid = await this.getRecipientJid(sock, accountId, number);
+    const { sendOptions, mentions } = await this.buildReplyContext(accountId, options);
+    if (mentions) content.mentions = mentions;
+
+    try {
+      await this.simulateTyping(sock, jid);
+
+      const result = await sock.sendMessage(jid, content, sendOptions);
+
+      this.cacheForRetry(sock, result?.key?.id, result?.message);
+      messageStore.save(accountId, result);
+      this.logOutgoingMessage(accountId, jid, result?.key?.id, logType, logText);
+
+      this.metrics.messagesProcessed++;
+
+      return {
+        success: true,
+        messageId: result.key.id,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+    } catch (error) {
+      this.metrics.messagesFailed++;
+      throw error;
+    }
+  }
+
+  /**
+   * Send a native interactive message with up to 3 buttons
+   * Buttons are sent as a native flow message (quick replies, URL, call or copy-code buttons)
+   * @param {string} accountId - Account UUID
+   * @param {string} number - Recipient phone number or JID
+   * @param {string} body - Body text
+   * @param {Array<object>} buttons - [{ body, id?, type?: 'reply'|'url'|'call'|'copy', url?, phone_number?, copy_code? }]
+   * @param {string} [title] - Header title
+   * @param {string} [footer] - Footer text
+   * @param {object} [media] - Optional header media ({ data | url, mimetype, filename })
+   */
+  async sendButtons(accountId, number, body, buttons, title = '', footer = '', media = null) {
+    const sock = this.getReadyClient(accountId);
+    const jid = await this.getRecipientJid(sock, accountId, number);
+
+    const header = { title: title || '', subtitle: '', hasMediaAttachment: false };
+
+    if (media) {
+      const { buffer, mimetype, filename } = await this.resolveMedia(media);
+
+      let mediaContent;
+      if (mimetype.startsWith('image/')) {
+        mediaContent = { image: buffer, mimetype };
+      } else if (mimetype.startsWith('video/')) {
+        mediaContent = { video: buffer, mimetype };
+      } else if (!mimetype.startsWith('audio/')) {
+        mediaContent = { document: buffer, mimetype, fileName: filename || 'file' };
+      } else {
+        throw new Error('Button header media must be an image, video or document');
+      }
+
+      // Upload once and attach the resulting imageMessage/videoMessage/documentMessage to the header
+      const prepared = await prepareWAMessageMedia(mediaContent, { upload: sock.waUploadToServer });
+      Object.assign(header, prepared, { hasMediaAttachment: true });
+    }
+
+    const interactiveMessage = {
+      header,
+      body: { text: body || '' },
+      footer: { text: footer || '' },
+      nativeFlowMessage: {
+        buttons: buttons.map((button, index) => this.buildNativeFlowButton(button, index)),
+        messageParamsJson: ''
+      }
+    };
+
+    return this.sendInteractiveMessage(sock, accountId, jid, interactiveMessage);
+  }
+
+  /**
+   * Send a native list message (single select menu)
+   * @param {string} accountId - Account UUID
+   * @param {string} number - Recipient phone number or JID
+   * @param {string} body - Body text
+   * @param {string} buttonText - Label of the button that opens the list
+   * @param {Array<object>} sections - [{ title, rows: [{ id?, title, description? }] }]
+   * @param {string} [title] - Header title
+   * @param {string} [footer] - Footer text
+   */
+  async sendList(accountId, number, body, buttonText, sections, title = '', footer = '') {
+    const sock = this.getReadyClient(accountId);
+    const jid = await this.getRecipientJid(sock, accountId, number);
+
+    const listParams = {
+      title: buttonText,
+      sections: sections.map((section, sectionIndex) => ({
+        title: section.title || '',
+        rows: section.rows.map((row, rowIndex) => ({
+          header: '',
+          title: row.title,
+          description: row.description || '',
+          id: row.id || `row_${sectionIndex}_${rowIndex}`
+        }))
+      }))
+    };
+
+    const interactiveMessage = {
+      header: { title: title || '', subtitle: '', hasMediaAttachment: false },
+      body: { text: body },
+      footer: { text: footer || '' },
+      nativeFlowMessage: {
+        buttons: [{ name: 'single_select', buttonParamsJson: JSON.stringify(listParams) }],
+        messageParamsJson: ''
+      }
+    };
+
+    return this.sendInteractiveMessage(sock, accountId, jid, interactiveMessage);
+  }
+
+  // Map an API button definition to a native flow button
+  buildNativeFlowButton(button, index) {
+    const displayText = button.body || button.text;
+
+    switch (button.type) {
+      case 'url':
+        return {
+          name: 'cta_url',
+          buttonParamsJson: JSON.stringify({ display_text: displayText, url: button.url, merchant_url: button.url })
+        };
+      case 'call':
+        return {
+          name: 'cta_call',
+          buttonParamsJson: JSON.stringify({ display_text: displayText, phone_number: button.phone_number })
+        };
+      case 'copy':
+        return {
+          name: 'cta_copy',
+          buttonParamsJson: JSON.stringify({ display_text: displayText, copy_code: button.copy_code })
+        };
+      default:
+        return {
+          name: 'quick_reply',
+          buttonParamsJson: JSON.stringify({ display_text: displayText, id: button.id || `btn_${index}` })
+        };
+    }
+  }
+
+  // Interactive messages have no high-level content type in Baileys, so build and relay the proto directly
+  async sendInteractiveMessage(sock, accountId, jid, interactiveMessage) {
+    try {
+      await this.simulateTyping(sock, jid);
+
+      const content = {
+        viewOnceMessage: {
+          message: {
+            messageContextInfo: { deviceListMetadata: {}, deviceListMetadataVersion: 2 },
+            interactiveMessage
+          }
+        }
+      };
+
+      const waMessage = generateWAMessageFromContent(jid, content, { userJid: sock.user.id });
+      await sock.relayMessage(jid, waMessage.message, { messageId: waMessage.key.id });
+
+      this.cacheForRetry(sock, waMessage.key.id, waMessage.message);
+      messageStore.save(accountId, waMessage);
+      this.logOutgoingMessage(accountId, jid, waMessage.key.id, 'interactive', interactiveMessage.body?.text || '');
+
+      await db.updateAccount(accountId, {
+        last_active_at: new Date().toISOString()
+      });
+
+      this.metrics.messagesProcessed++;
+
+      return {
+        success: true,
+        messageId: waMessage.key.id,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+    } catch (error) {
+      this.metrics.messagesFailed++;
+      throw error;
+    }
+  }
+
+  // Log a sent message (stats, chatbot memory, and so edits/deletes can be recorded on it)
+  logOutgoingMessage(accountId, jid, messageId, type, text) {
+    const chatPhone = getPhoneNumber(jid);
+    db.logMessage({
+      account_id: accountId,
+      direction: 'outgoing',
+      message_id: messageId,
+      sender: accountId,
+      recipient: chatPhone,
+      message: text || '',
+      timestamp: Date.now(),
+      type,
+      chat_id: chatPhone,
+      is_group: jid.endsWith('@g.us'),
+      status: 'success',
+      created_at: new Date().toISOString()
+    }).catch(err => {
+      logger.warn(`Failed to log outgoing message: ${err.message}`);
+    });
+  }
+
+  /**
+   * Find the WhatsApp key of a message - from the message store, or rebuilt from message_logs
+   * @param {string} accountId - Account UUID
+   * @param {string} messageId - WhatsApp message id
+   * @returns {Promise<object>} Baileys message key ({ remoteJid, id, fromMe, participant? })
+   */
+  async getMessageKey(accountId, messageId) {
+    const stored = messageStore.get(accountId, messageId);
+    if (stored) return stored.key;
+
+    const logged = await db.getLoggedMessage(accountId, messageId);
+    if (!logged?.chat_id) {
+      throw Object.assign(new Error('Message not found'), { status: 404 });
+    }
+
+    const fromMe = logged.direction === 'outgoing';
+    const key = {
+      remoteJid: logged.is_group ? `${logged.chat_id}@g.us` : this.formatPhoneNumber(`+${logged.chat_id}`),
+      id: messageId,
+      fromMe
+    };
+    if (logged.is_group && !fromMe && logged.sender) {
+      key.participant = this.formatPhoneNumber(`+${logged.sender}`);
+    }
+    return key;
+  }
+
+  /**
+   * React to a message (sent or received) with an emoji; an empty emoji removes the reaction
+   */
+  async reactToMessage(accountId, messageId, emoji) {
+    const sock = this.getReadyClient(accountId);
+    const key = await this.getMessageKey(accountId, messageId);
+
+    const result = await sock.sendMessage(key.remoteJid, { react: { text: emoji, key } });
+
+    return {
+      success: true,
+      messageId,
+      reactionId: result?.key?.id,
+      emoji
+    };
+  }
+
+  /**
+   * Edit the text of a message sent by this account (WhatsApp allows this for about 15 minutes)
+   */
+  async editMessage(accountId, messageId, text) {
+    const sock = this.getReadyClient(accountId);
+    const key = await this.getMessageKey(accountId, messageId);
+
+    if (!key.fromMe) {
+      throw Object.assign(new Error('Only messages sent by this account can be edited'), { status: 400 });
+    }
+
+    await sock.sendMessage(key.remoteJid, { text, edit: key });
+
+    const editedAt = new Date().toISOString();
+    db.updateLoggedMessage(accountId, messageId, { message: text, edited_at: editedAt }).catch(err => {
+      logger.warn(`Failed to record edit of ${messageId}: ${err.message}`);
+    });
+
+    return { success: true, messageId, edited_at: editedAt };
+  }
+
+  /**
+   * Delete a message sent by this account for everyone
+   */
+  async deleteMessage(accountId, messageId) {
+    const sock = this.getReadyClient(accountId);
+    const key = await this.getMessageKey(accountId, messageId);
+
+    if (!key.fromMe) {
+      throw Object.assign(new Error('Only messages sent by this account can be deleted for everyone'), { status: 400 });
+    }
+
+    await sock.sendMessage(key.remoteJid, { delete: key });
+    messageStore.remove(accountId, messageId);
+
+    const revokedAt = new Date().toISOString();
+    db.updateLoggedMessage(accountId, messageId, { revoked_at: revokedAt }).catch(err => {
+      logger.warn(`Failed to record delete of ${messageId}: ${err.message}`);
+    });
+
+    return { success: true, messageId, revoked_at: revokedAt };
+  }
+
+  // ==========================================================================
+  // Read receipts & presence
+  // ==========================================================================
+
+  /**
+   * Send read receipts (blue ticks) for incoming messages in a chat
+   * @param {string} number - Phone number or group id of the chat
+   * @param {Array<string>} [messageIds] - Messages to mark; default is every recent incoming message in the chat
+   */
+  async markChatRead(accountId, number, messageIds) {
+    const sock = this.getReadyClient(accountId);
+    const jid = await this.toJid(accountId, number);
+    const chatPhone = getPhoneNumber(jid);
+
+    let keys;
+    if (messageIds?.length) {
+      keys = await Promise.all(messageIds.map(id => this.getMessageKey(accountId, id)));
+    } else {
+      // Incoming messages may be keyed by @lid, so compare by phone number
+      keys = messageStore.getAll(accountId)
+        .filter(m => getPhoneNumber(m.key.remoteJid) === chatPhone)
+        .map(m => m.key);
+    }
+    keys = keys.filter(key => !key.fromMe);
+
+    if (keys.length) {
+      await sock.readMessages(keys);
+    }
+
+    return { success: true, chat_id: chatPhone, read: keys.length };
+  }
+
+  /**
+   * Show a chat state to a contact, or set the account's online state
+   * @param {string} state - composing | recording | paused | available | unavailable
+   * @param {string} [number] - Chat to show composing/recording/paused in
+   */
+  async sendPresence(accountId, state, number) {
+    const sock = this.getReadyClient(accountId);
+    const jid = number ? await this.toJid(accountId, number) : undefined;
+
+    await sock.sendPresenceUpdate(state, jid);
+
+    return { success: true, state, chat_id: jid ? getPhoneNumber(jid) : null };
+  }
+
+  /**
+   * Ask WhatsApp for a contact's presence - updates arrive as presence.update webhooks
+   */
+  async subscribePresence(accountId, number) {
+    const sock = this.getReadyClient(accountId);
+    const jid = await this.toJid(accountId, number);
+
+    await sock.presenceSubscribe(jid);
+
+    return { success: true, chat_id: getPhoneNumber(jid) };
+  }
+
+  // Options set with PATCH /api/accounts/:id/settings (stored in accounts.metadata)
+  async getAccountSettings(accountId) {
+    try {
+      const account = await db.getAccount(accountId);
+      return account?.metadata || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // ==========================================================================
+  // Contact profiles
+  // ==========================================================================
+
+  /**
+   * Profile picture, about text and business profile of a contact (cached for PROFILE_CACHE_TTL_MS)
+   * @param {string} accountId - Account UUID
+   * @param {string} number - Phone number or JID
+   * @param {object} [options] - { refresh: skip the cache }
+   * @throws {Error} 404 NOT_ON_WHATSAPP
+   */
+  async getContactProfile(accountId, number, { refresh = false } = {}) {
+    const sock = this.getReadyClient(accountId);
+    let jid = await this.toJid(accountId, number);
+
+    const cacheKey = `${accountId}:${jid}`;
+    if (!refresh) {
+      const cached = this.profileCache.get(cacheKey);
+      if (cached) return cached;
+    }
+
+    if (jid.endsWith('@s.whatsapp.net')) {
+      const registered = (await this.lookupRegistrations(sock, [jid])).get(jid);
+      if (!registered) {
+        throw Object.assign(new Error(`${number} is not on WhatsApp`), { status: 404, code: 'NOT_ON_WHATSAPP' });
+      }
+      jid = registered;
+    }
+
+    // Each part can be hidden by the contact's privacy settings - a missing part is just null
+    const [picture, status, business] = await Promise.allSettled([
+      sock.profilePictureUrl(jid, 'image'),
+      sock.fetchStatus(jid),
+      sock.getBusinessProfile(jid)
+    ]);
+
+    // Newer Baileys returns a USync list ([{ id, status: { status, setAt } }]), older versions { status, setAt }
+    const about = status.status === 'fulfilled'
+      ? (Array.isArray(status.value) ? status.value[0]?.status : status.value)
+      : null;
+    const businessProfile = business.status === 'fulfilled' ? business.value : null;
+
+    const profile = {
+      jid,
+      phone_number: getPhoneNumber(jid),
+      picture_url: picture.status === 'fulfilled' ? picture.value || null : null,
+      about: about?.status || null,
+      about_set_at: about?.setAt ? new Date(about.setAt).toISOString() : null,
+      is_business: !!businessProfile,
+      business: businessProfile ? {
+        description: businessProfile.description || null,
+        category: businessProfile.category || null,
+        website: businessProfile.website?.[0] || null,
+        email: businessProfile.email || null,
+        address: businessProfile.address || null
+      } : null,
+      fetched_at: new Date().toISOString()
+    };
+
+    this.profileCache.set(cacheKey, profile);
+    return profile;
+  }
+
+  // Add contact_profile to an incoming message webhook when the account has webhook_contact_profile on
+  async attachContactProfile(accountId, messageData, jid, settings) {
+    if (settings.webhook_contact_profile !== true) return;
+
+    try {
+      messageData.contact_profile = await this.getContactProfile(accountId, jid);
+    } catch (error) {
+      logger.debug(`Could not fetch profile of ${jid}: ${error.message}`);
+      messageData.contact_profile = null;
+    }
+  }
+
+  // ==========================================================================
+  // Account profile (the linked number's own name, about, picture and privacy)
+  // ==========================================================================
+
+  /**
+   * Current profile of the linked account
+   * @param {string} accountId - Account UUID
+   * @returns {Promise<{jid, phone_number, name, about, picture_url, privacy}>}
+   */
+  async getAccountProfile(accountId) {
+    const sock = this.getReadyClient(accountId);
+    const jid = jidNormalizedUser(sock.user.id);
+
+    const [picture, status, privacy] = await Promise.allSettled([
+      sock.profilePictureUrl(jid, 'image'),
+      sock.fetchStatus(jid),
+      this.getPrivacySettings(sock)
+    ]);
+
+    const about = status.status === 'fulfilled'
+      ? (Array.isArray(status.value) ? status.value[0]?.status : status.value)
+      : null;
+
+    return {
+      jid,
+      phone_number: getPhoneNumber(jid),
+      name: sock.user.name || null,
+      about: about?.status || null,
+      picture_url: picture.status === 'fulfilled' ? picture.value || null : null,
+      privacy: privacy.status === 'fulfilled' ? privacy.value : null
+    };
+  }
+
+  /**
+   * Change the display name and/or about text
+   * @param {string} accountId - Account UUID
+   * @param {object} changes - { name?, about? }
+   */
+  async updateAccountProfile(accountId, { name, about }) {
+    const sock = this.getReadyClient(accountId);
+
+    if (name !== undefined) {
+      await sock.updateProfileName(name);
+      sock.user.name = name;
+    }
+    if (about !== undefined) {
+      await sock.updateProfileStatus(about);
+    }
+
+    // The about text isn't on the accounts row - only a new name is
+    if (name !== undefined) {
+      await this.syncAccountRow(accountId, sock, name);
+    }
+    return this.getAccountProfile(accountId);
+  }
+
+  /**
+   * Set the profile picture (cropped to a square by WhatsApp's image processing)
+   * @param {string} accountId - Account UUID
+   * @param {object} media - { data | url, mimetype }
+   */
+  async updateAccountPicture(accountId, media) {
+    const sock = this.getReadyClient(accountId);
+    const { buffer, mimetype } = await this.resolveMedia(media);
+    if (!mimetype.startsWith('image/')) {
+      throw Object.assign(new Error('Profile picture must be an image'), { status: 400 });
+    }
+
+    await sock.updateProfilePicture(jidNormalizedUser(sock.user.id), buffer);
+    return this.getAccountProfile(accountId);
+  }
+
+  async removeAccountPicture(accountId) {
+    const sock = this.getReadyClient(accountId);
+    await sock.removeProfilePicture(jidNormalizedUser(sock.user.id));
+  }
+
+  // Privacy settings by API name ({ last_seen: 'contacts', ... })
+  async getPrivacySettings(sock, force = false) {
+    const categories = await sock.fetchPrivacySettings(force);
+    return Object.fromEntries(
+      Object.entries(PRIVACY_SETTINGS).map(([name, { category }]) => [name, categories?.[category] ?? null])
+    );
+  }
+
+  /**
+   * Change privacy settings
+   * @param {string} accountId - Account UUID
+   * @param {object} settings - { last_seen?, online?, profile_photo?, about?, read_receipts?, groups_add? }
+   * @returns {Promise<object>} All privacy settings after the change
+   */
+  async updatePrivacySettings(accountId, settings) {
+    const sock = this.getReadyClient(accountId);
+
+    for (const [name, value] of Object.entries(settings)) {
+      await sock[PRIVACY_SETTINGS[name].update](value);
+    }
+
+    return this.getPrivacySettings(sock, true);
+  }
+
+  // Keep the accounts row (and the cached account list) in step with the linked number's new name
+  async syncAccountRow(accountId, sock, name) {
+    const updates = {
+      name,
+      phone_number: getPhoneNumber(sock.user.id),
+      updated_at: new Date().toISOString()
+    };
+
+    await db.updateAccount(accountId, updates);
+    this.emitToAll('account-updated', { accountId, ...updates });
+  }
+
+  // ==========================================================================
+  // Groups
+  // ==========================================================================
+
+  // Group ids may be given with or without the @g.us suffix
+  toGroupJid(groupId) {
+    return groupId.endsWith('@g.us') ? groupId : `${groupId}@g.us`;
+  }
+
+  formatGroup(metadata) {
+    return {
+      id: metadata.id,
+      subject: metadata.subject,
+      description: metadata.desc || null,
+      owner: metadata.owner ? getPhoneNumber(metadata.owner) : null,
+      created_at: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+      size: metadata.size ?? metadata.participants?.length ?? 0,
+      announce: !!metadata.announce,  // only admins can send
+      restrict: !!metadata.restrict,  // only admins can edit group info
+      participants: (metadata.participants || []).map(p => ({
+        id: p.id,
+        phone: getPhoneNumber(p.id),
+        admin: p.admin || null
+      }))
+    };
+  }
+
+  async getGroups(accountId) {
+    const sock = this.getReadyClient(accountId);
+    const groups = await sock.groupFetchAllParticipating();
+    return Object.values(groups).map(metadata => {
+      this.cacheGroupMetadata(accountId, metadata);
+      return this.formatGroup(metadata);
+    });
+  }
+
+  async getGroup(accountId, groupId) {
+    const sock = this.getReadyClient(accountId);
+    const metadata = await sock.groupMetadata(this.toGroupJid(groupId));
+    this.cacheGroupMetadata(accountId, metadata);
+    return this.formatGroup(metadata);
+  }
+
+  /**
+   * Create a group
+   * @param {string} subject - Group name
+   * @param {Array<string>} participants - Phone numbers or JIDs to add
+   */
+  async createGroup(accountId, subject, participants) {
+    const sock = this.getReadyClient(accountId);
+    const metadata = await sock.groupCreate(subject, await Promise.all(participants.map(p => this.toJid(accountId, p))));
+    logger.info(`Group created for ${accountId}: ${metadata.id}`);
+    return this.formatGroup(metadata);
+  }
+
+  /**
+   * Rename a group and/or change its description (empty description clears it)
+   */
+  async updateGroup(accountId, groupId, { subject, description }) {
+    const sock = this.getReadyClient(accountId);
+    const jid = this.toGroupJid(groupId);
+
+    if (subject !== undefined) {
+      await sock.groupUpdateSubject(jid, subject);
+    }
+    if (description !== undefined) {
+      await sock.groupUpdateDescription(jid, description || undefined);
+    }
+
+    return this.getGroup(accountId, jid);
+  }
+
+  /**
+   * Add, remove, promote or demote participants
+   * @param {string} action - 'add' | 'remove' | 'promote' | 'demote'
+   * @returns {Promise<Array<{phone: string, status: string}>>} Per-participant result ('200' on success)
+   */
+  async updateGroupParticipants(accountId, groupId, participants, action) {
+    const sock = this.getReadyClient(accountId);
+    const results = await sock.groupParticipantsUpdate(
+      this.toGroupJid(groupId),
+      await Promise.all(participants.map(p => this.toJid(accountId, p))),
+      action
+    );
+
+    return results.map(({ jid, status }) => ({ id: jid, phone: getPhoneNumber(jid), status }));
+  }
+
+  async getGroupInvite(accountId, groupId) {
+    const sock = this.getReadyClient(accountId);
+    const code = await sock.groupInviteCode(this.toGroupJid(groupId));
+    return { code, link: `https://chat.whatsapp.com/${code}` };
+  }
+
+  // Invalidates the current link and returns the new one
+  async revokeGroupInvite(accountId, groupId) {
+    const sock = this.getReadyClient(accountId);
+    const code = await sock.groupRevokeInvite(this.toGroupJid(groupId));
+    return { code, link: `https://chat.whatsapp.com/${code}` };
+  }
+
+  async leaveGroup(accountId, groupId) {
+    const sock = this.getReadyClient(accountId);
+    await sock.groupLeave(this.toGroupJid(groupId));
+    this.groupMetadata.delete(`${accountId}:${this.toGroupJid(groupId)}`);
+    logger.info(`Account ${accountId} left group ${groupId}`);
+  }
+
   getQRCode(accountId) {
     return this.qrCodes.get(accountId);
   }
@@ -1023,6 +2659,12 @@ class WhatsAppManager {
       // Mark as deleted FIRST to prevent QR regeneration/reconnection
       this.deletedAccounts.add(accountId);
       logger.info(`Marking account ${accountId} as deleted - stopping all activity`);
+      messageStore.clear(accountId);
+      contactStore.clear(accountId);
+      lidMappingStore.clear(accountId);
+      for (const key of this.groupMetadata.keys()) {
+        if (key.startsWith(`${accountId}:`)) this.groupMetadata.delete(key);
+      }
 
       await this.safeDisposeClient(accountId);
 
@@ -1030,6 +2672,7 @@ class WhatsAppManager {
       this.accountStatus.delete(accountId);
       this.reconnecting.delete(accountId);
       this.qrAttempts.delete(accountId);
+      this.disconnectCount.delete(accountId);
 
       // Clear session files
       const sessionPath = path.join('./wa-sessions-temp', accountId);
@@ -1195,7 +2838,8 @@ class WhatsAppManager {
   getMetrics() {
     return {
       ...this.metrics,
-      activeClients: this.clients.size
+      activeClients: this.clients.size,
+      messageStore: messageStore.getStats()
     };
   }
 
@@ -1243,6 +2887,7 @@ class WhatsAppManager {
     this.reconnecting.clear();
     this.deletedAccounts.clear();
     this.authStates.clear();
+    this.groupMetadata.clear();
 
     logger.info('WhatsAppManager shutdown complete');
   }